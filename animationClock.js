@@ -0,0 +1,46 @@
+// animationClock.js - Global animation time with play/pause and time scaling
+
+// Animation clock shared by everything that animates over time (currently the deformation modes).
+// The clock only advances while playing; the time scale speeds up, slows down or reverses playback.
+export class AnimationClock {
+  constructor(options = {}) {
+    this.time = options.time || 0;                 // Seconds of animation time
+    this.timeScale = options.timeScale !== undefined ? options.timeScale : 1;
+    this.playing = options.playing !== undefined ? options.playing : true;
+  }
+
+  // Advance by a wall-clock interval (seconds); returns the new animation time
+  update(deltaSeconds) {
+    if (this.playing) {
+      this.time += deltaSeconds * this.timeScale;
+    }
+    return this.time;
+  }
+
+  play() {
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  // Toggle between playing and paused; returns whether the clock is now playing
+  toggle() {
+    this.playing = !this.playing;
+    return this.playing;
+  }
+
+  setTimeScale(timeScale) {
+    this.timeScale = timeScale;
+  }
+
+  // Jump to a given animation time
+  setTime(time) {
+    this.time = time;
+  }
+
+  reset() {
+    this.time = 0;
+  }
+}
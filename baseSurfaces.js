@@ -0,0 +1,331 @@
+// baseSurfaces.js - Base surfaces the deformation modes displace along their normals
+//
+// Every surface is parameterised over the same (u, v) = (theta, phi) domain the modes are
+// written for: theta from 0 to 2π around the Z axis and phi from 0 to π. Surfaces with the
+// topology of a sphere (sphere, superellipsoid, capped cylinder, plate) reuse the sphere
+// tessellations of tessellation.js through these angles; the torus builds its own grid
+// that wraps around the tube. A surface provides:
+//   position(theta, phi, radius)  - point on the surface for a given base radius
+//   normal(theta, phi)            - outward unit normal
+//   getDomain()                   - the (u, v) ranges and which of them wrap around
+// Modes receive the surface position divided by the radius as their basePoint (the unit
+// vector on the sphere), so 3D patterns such as noise follow the surface.
+
+import { createTessellation, createPeriodicGrid } from './tessellation.js';
+
+export const BASE_SURFACE_TYPES = ['sphere', 'torus', 'superellipsoid', 'cylinder', 'plate'];
+
+// Vertices closer than this (in phi, or in radii along a profile) to an edge belong to it
+const EDGE_EPSILON = 1e-6;
+
+// Signed power used by superquadrics: sign(x)·|x|^e
+function signedPower(x, exponent) {
+  return Math.sign(x) * Math.pow(Math.abs(x), exponent);
+}
+
+// Base class: a sphere-topology surface with a numerically estimated normal
+export class BaseSurface {
+  constructor(type, name) {
+    this.type = type;
+    this.name = name;
+    this.paramSchema = [];
+  }
+
+  // Declare the surface's adjustable parameters ({ name, label, min, max, step, default });
+  // the default falls back to the property's current value
+  defineParams(schema) {
+    this.paramSchema = schema.map(param => ({
+      label: param.name,
+      step: 0.01,
+      ...param,
+      default: param.default !== undefined ? param.default : this[param.name]
+    }));
+  }
+
+  getParamSchema() {
+    return this.paramSchema;
+  }
+
+  getParams() {
+    return Object.fromEntries(this.paramSchema.map(param => [param.name, this[param.name]]));
+  }
+
+  // Set a parameter, clamped to its declared range
+  setParam(name, value) {
+    const param = this.paramSchema.find(p => p.name === name);
+    if (!param) {
+      throw new Error(`Surface "${this.name}" has no parameter "${name}"`);
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`Invalid value "${value}" for parameter "${name}"`);
+    }
+    this[name] = Math.max(param.min, Math.min(param.max, number));
+  }
+
+  setParams(params) {
+    for (const name of Object.keys(params)) {
+      this.setParam(name, params[name]);
+    }
+  }
+
+  // Ranges of theta (u) and phi (v), and whether each wraps around
+  getDomain() {
+    return { u: [0, 2 * Math.PI], v: [0, Math.PI], uPeriodic: true, vPeriodic: false };
+  }
+
+  // Point on the surface - override in subclasses
+  position(theta, phi, radius) {
+    return {
+      x: radius * Math.sin(phi) * Math.cos(theta),
+      y: radius * Math.sin(phi) * Math.sin(theta),
+      z: radius * Math.cos(phi)
+    };
+  }
+
+  // Outward unit normal from the cross product of the partial derivatives (phi × theta);
+  // near the poles, where the theta derivative vanishes, phi is nudged inwards
+  normal(theta, phi) {
+    const h = 1e-4;
+    const p = Math.max(2 * h, Math.min(Math.PI - 2 * h, phi));
+    const a = this.position(theta, p - h, 1);
+    const b = this.position(theta, p + h, 1);
+    const c = this.position(theta - h, p, 1);
+    const d = this.position(theta + h, p, 1);
+    const dPhi = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+    const dTheta = { x: d.x - c.x, y: d.y - c.y, z: d.z - c.z };
+    return normalize({
+      x: dPhi.y * dTheta.z - dPhi.z * dTheta.y,
+      y: dPhi.z * dTheta.x - dPhi.x * dTheta.z,
+      z: dPhi.x * dTheta.y - dPhi.y * dTheta.x
+    });
+  }
+
+  // Distance from the origin no surface point exceeds
+  getBoundingRadius(radius) {
+    return radius;
+  }
+
+  /**
+   * Builds the base mesh: the chosen sphere tessellation mapped onto the surface, with
+   * surfacePositions and normals (x, y, z per vertex) added and basePoints replaced by the
+   * surface positions in units of the radius
+   * @param {string} tessellation - One of TESSELLATION_TYPES
+   * @param {number} numPointsTheta - Grid resolution along the equator
+   * @param {number} numPointsPhi - Grid resolution from pole to pole
+   * @param {number} radius - Base radius
+   * @returns {Object} The base mesh
+   */
+  createBaseMesh(tessellation, numPointsTheta, numPointsPhi, radius) {
+    return this.mapMesh(createTessellation(tessellation, numPointsTheta, numPointsPhi), radius);
+  }
+
+  // Evaluate the surface at every vertex of a mesh of angles
+  mapMesh(mesh, radius) {
+    const { vertexCount, angles } = mesh;
+    const basePoints = new Float32Array(vertexCount * 3);
+    const surfacePositions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+
+    for (let v = 0; v < vertexCount; v++) {
+      const theta = angles[v * 2];
+      const phi = angles[v * 2 + 1];
+      const position = this.position(theta, phi, radius);
+      const normal = this.normal(theta, phi);
+      surfacePositions.set([position.x, position.y, position.z], v * 3);
+      basePoints.set([position.x / radius, position.y / radius, position.z / radius], v * 3);
+      normals.set([normal.x, normal.y, normal.z], v * 3);
+    }
+    return { ...mesh, surface: this.type, basePoints, surfacePositions, normals };
+  }
+}
+
+// The original base shape
+export class SphereSurface extends BaseSurface {
+  constructor() {
+    super('sphere', 'Sphere');
+  }
+
+  normal(theta, phi) {
+    return {
+      x: Math.sin(phi) * Math.cos(theta),
+      y: Math.sin(phi) * Math.sin(theta),
+      z: Math.cos(phi)
+    };
+  }
+}
+
+// Ring of major radius `radius` around the Z axis; phi runs once around the tube (tube
+// angle 2·phi) like the sphere's: from the top down the outside, then back up the inside
+export class TorusSurface extends BaseSurface {
+  constructor(tubeRatio = 0.35) {
+    super('torus', 'Torus');
+    this.tubeRatio = tubeRatio;
+    this.defineParams([
+      { name: 'tubeRatio', label: 'Tube radius', min: 0.05, max: 0.95 }
+    ]);
+  }
+
+  getDomain() {
+    return { u: [0, 2 * Math.PI], v: [0, Math.PI], uPeriodic: true, vPeriodic: true };
+  }
+
+  position(theta, phi, radius) {
+    const tube = 2 * phi;
+    const ring = radius * (1 + this.tubeRatio * Math.sin(tube));
+    return {
+      x: ring * Math.cos(theta),
+      y: ring * Math.sin(theta),
+      z: radius * this.tubeRatio * Math.cos(tube)
+    };
+  }
+
+  normal(theta, phi) {
+    const tube = 2 * phi;
+    return {
+      x: Math.sin(tube) * Math.cos(theta),
+      y: Math.sin(tube) * Math.sin(theta),
+      z: Math.cos(tube)
+    };
+  }
+
+  getBoundingRadius(radius) {
+    return radius * (1 + this.tubeRatio);
+  }
+
+  // The tessellation choice does not apply: a torus needs a grid that wraps both ways
+  createBaseMesh(tessellation, numPointsTheta, numPointsPhi, radius) {
+    return this.mapMesh(createPeriodicGrid(numPointsTheta, numPointsPhi), radius);
+  }
+}
+
+// Superellipsoid: exponent 1 gives the sphere, smaller exponents a box-like shape and
+// larger ones a pinched, star-like one; the vertical and horizontal exponents act separately
+export class SuperellipsoidSurface extends BaseSurface {
+  constructor(verticalExponent = 0.5, horizontalExponent = 0.5) {
+    super('superellipsoid', 'Superellipsoid');
+    this.verticalExponent = verticalExponent;
+    this.horizontalExponent = horizontalExponent;
+    this.defineParams([
+      { name: 'verticalExponent', label: 'Vertical exponent', min: 0.1, max: 3 },
+      { name: 'horizontalExponent', label: 'Horizontal exponent', min: 0.1, max: 3 }
+    ]);
+  }
+
+  position(theta, phi, radius) {
+    const latitude = Math.PI / 2 - phi;
+    const ring = radius * signedPower(Math.cos(latitude), this.verticalExponent);
+    return {
+      x: ring * signedPower(Math.cos(theta), this.horizontalExponent),
+      y: ring * signedPower(Math.sin(theta), this.horizontalExponent),
+      z: radius * signedPower(Math.sin(latitude), this.verticalExponent)
+    };
+  }
+
+  getBoundingRadius(radius) {
+    // The corners of the box-like shapes reach furthest: √3 at most
+    return radius * Math.sqrt(3);
+  }
+}
+
+// Cylinder of radius `radius` with flat caps; phi runs down the profile at constant speed:
+// across the top cap from its centre, down the side, then across the bottom cap
+export class CylinderSurface extends BaseSurface {
+  constructor(height = 2) {
+    super('cylinder', 'Capped Cylinder');
+    this.height = height;
+    this.defineParams([
+      { name: 'height', label: 'Height', min: 0.1, max: 4 }
+    ]);
+  }
+
+  // Distance s along the profile (in radii) and the profile's total length
+  profile(phi) {
+    const length = 2 + this.height;
+    return { s: phi / Math.PI * length, length };
+  }
+
+  position(theta, phi, radius) {
+    const { s, length } = this.profile(phi);
+    const halfHeight = this.height / 2;
+    let r, z;
+    if (s <= 1) {
+      r = s;
+      z = halfHeight;
+    } else if (s < 1 + this.height) {
+      r = 1;
+      z = halfHeight - (s - 1);
+    } else {
+      r = length - s;
+      z = -halfHeight;
+    }
+    return { x: radius * r * Math.cos(theta), y: radius * r * Math.sin(theta), z: radius * z };
+  }
+
+  normal(theta, phi) {
+    const { s } = this.profile(phi);
+    const side = { x: Math.cos(theta), y: Math.sin(theta), z: 0 };
+    // The rims take the average of the cap and side normals
+    if (Math.abs(s - 1) < EDGE_EPSILON) return normalize({ ...side, z: 1 });
+    if (Math.abs(s - 1 - this.height) < EDGE_EPSILON) return normalize({ ...side, z: -1 });
+    if (s < 1) return { x: 0, y: 0, z: 1 };
+    if (s > 1 + this.height) return { x: 0, y: 0, z: -1 };
+    return side;
+  }
+
+  getBoundingRadius(radius) {
+    return radius * Math.hypot(1, this.height / 2);
+  }
+}
+
+// Flat circular Chladni plate of radius `radius`. As in sphereToPlate() (shapeDeformer.js)
+// the northern hemisphere maps to the top face and the southern one to the bottom face, both
+// seen as azimuthal-equidistant views, so the Chladni modes draw their figures on the plate
+// itself; the faces meet at the rim and are `thickness` (in radii) apart at the centre
+export class PlateSurface extends BaseSurface {
+  constructor(thickness = 0.04) {
+    super('plate', 'Plate');
+    this.thickness = thickness;
+    this.defineParams([
+      { name: 'thickness', label: 'Thickness', min: 0, max: 0.5 }
+    ]);
+  }
+
+  position(theta, phi, radius) {
+    const top = phi <= Math.PI / 2;
+    const r = top ? 2 * phi / Math.PI : 2 * (Math.PI - phi) / Math.PI;
+    const z = (top ? 1 : -1) * (1 - r) * this.thickness / 2;
+    return { x: radius * r * Math.cos(theta), y: radius * r * Math.sin(theta), z: radius * z };
+  }
+
+  normal(theta, phi) {
+    if (Math.abs(phi - Math.PI / 2) < EDGE_EPSILON) return { x: Math.cos(theta), y: Math.sin(theta), z: 0 };
+    return { x: 0, y: 0, z: phi < Math.PI / 2 ? 1 : -1 };
+  }
+}
+
+/**
+ * Creates a base surface by type
+ * @param {string} type - One of BASE_SURFACE_TYPES
+ * @param {Object} params - Parameter values (see each surface's schema)
+ * @returns {BaseSurface} The surface
+ */
+export function createBaseSurface(type, params = {}) {
+  let surface;
+  switch (type) {
+    case 'sphere': surface = new SphereSurface(); break;
+    case 'torus': surface = new TorusSurface(); break;
+    case 'superellipsoid': surface = new SuperellipsoidSurface(); break;
+    case 'cylinder': surface = new CylinderSurface(); break;
+    case 'plate': surface = new PlateSurface(); break;
+    default:
+      throw new Error(`Unknown base surface "${type}" (expected ${BASE_SURFACE_TYPES.join(', ')})`);
+  }
+  surface.setParams(params);
+  return surface;
+}
+
+function normalize({ x, y, z }) {
+  const length = Math.hypot(x, y, z) || 1;
+  return { x: x / length, y: y / length, z: z / length };
+}
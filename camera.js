@@ -59,6 +59,17 @@ class Vector3 {
       }
       return this;
     }
+
+    dot(v) {
+      return this.x * v.x + this.y * v.y + this.z * v.z;
+    }
+
+    cross(v) {
+      const x = this.y * v.z - this.z * v.y;
+      const y = this.z * v.x - this.x * v.z;
+      const z = this.x * v.y - this.y * v.x;
+      return this.set(x, y, z);
+    }
   }
   
     
@@ -83,6 +94,17 @@ class Vector3 {
         return this;
       }
     
+      // Scale to unit length (an identity rotation if the quaternion is zero)
+      normalize() {
+        const length = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+        if (length === 0) return this.set(0, 0, 0, 1);
+        this.x /= length;
+        this.y /= length;
+        this.z /= length;
+        this.w /= length;
+        return this;
+      }
+    
       setFromEuler(x, y, z) {
         // Convert Euler angles to quaternion
         const c1 = Math.cos(x / 2);
@@ -178,6 +200,295 @@ class Vector3 {
         this.w = q.w;
         return this;
       }
+
+      // Inverse rotation for a unit quaternion
+      conjugate() {
+        this.x = -this.x;
+        this.y = -this.y;
+        this.z = -this.z;
+        return this;
+      }
+
+      // Hamilton product: this = this * q (apply q first, then this)
+      multiply(q) {
+        const ax = this.x, ay = this.y, az = this.z, aw = this.w;
+        const bx = q.x, by = q.y, bz = q.z, bw = q.w;
+
+        this.x = ax * bw + aw * bx + ay * bz - az * by;
+        this.y = ay * bw + aw * by + az * bx - ax * bz;
+        this.z = az * bw + aw * bz + ax * by - ay * bx;
+        this.w = aw * bw - ax * bx - ay * by - az * bz;
+
+        return this;
+      }
+
+      // this = q * this (apply this first, then q)
+      premultiply(q) {
+        return this.copy(q.clone().multiply(this));
+      }
+
+      setFromAxisAngle(axis, angle) {
+        const halfAngle = angle / 2;
+        const s = Math.sin(halfAngle);
+
+        this.x = axis.x * s;
+        this.y = axis.y * s;
+        this.z = axis.z * s;
+        this.w = Math.cos(halfAngle);
+
+        return this;
+      }
+
+      // Orientation whose local -Z axis points along direction, with local +Y as close to up as possible
+      setFromLookDirection(direction, up = new Vector3(0, 1, 0)) {
+        const zAxis = direction.clone().multiplyScalar(-1).normalize();
+        let xAxis = up.clone().cross(zAxis);
+
+        // Looking straight along the up vector: pick any perpendicular axis
+        if (xAxis.length() < 1e-6) {
+          xAxis = new Vector3(1, 0, 0).cross(zAxis);
+          if (xAxis.length() < 1e-6) xAxis = new Vector3(0, 0, 1).cross(zAxis);
+        }
+        xAxis.normalize();
+        const yAxis = zAxis.clone().cross(xAxis);
+
+        // Convert the rotation matrix [xAxis yAxis zAxis] (as columns) to a quaternion
+        const m00 = xAxis.x, m01 = yAxis.x, m02 = zAxis.x;
+        const m10 = xAxis.y, m11 = yAxis.y, m12 = zAxis.y;
+        const m20 = xAxis.z, m21 = yAxis.z, m22 = zAxis.z;
+        const trace = m00 + m11 + m22;
+
+        if (trace > 0) {
+          const s = 0.5 / Math.sqrt(trace + 1);
+          this.w = 0.25 / s;
+          this.x = (m21 - m12) * s;
+          this.y = (m02 - m20) * s;
+          this.z = (m10 - m01) * s;
+        } else if (m00 > m11 && m00 > m22) {
+          const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+          this.w = (m21 - m12) / s;
+          this.x = 0.25 * s;
+          this.y = (m01 + m10) / s;
+          this.z = (m02 + m20) / s;
+        } else if (m11 > m22) {
+          const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+          this.w = (m02 - m20) / s;
+          this.x = (m01 + m10) / s;
+          this.y = 0.25 * s;
+          this.z = (m12 + m21) / s;
+        } else {
+          const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+          this.w = (m10 - m01) / s;
+          this.x = (m02 + m20) / s;
+          this.y = (m12 + m21) / s;
+          this.z = 0.25 * s;
+        }
+
+        return this;
+      }
+    }
+
+    // Rotate a vector by a unit quaternion (v' = q * v * q^-1), returning a new Vector3
+    function rotateVectorByQuaternion(v, q) {
+      // t = 2 * cross(q.xyz, v)
+      const tx = 2 * (q.y * v.z - q.z * v.y);
+      const ty = 2 * (q.z * v.x - q.x * v.z);
+      const tz = 2 * (q.x * v.y - q.y * v.x);
+
+      // v' = v + w * t + cross(q.xyz, t)
+      return new Vector3(
+        v.x + q.w * tx + (q.y * tz - q.z * ty),
+        v.y + q.w * ty + (q.z * tx - q.x * tz),
+        v.z + q.w * tz + (q.x * ty - q.y * tx)
+      );
+    }
+
+    // 4x4 matrix for view and projection transforms
+    // Elements are stored column-major (as WebGL expects): element (row, col) is elements[col * 4 + row]
+    class Matrix4 {
+      constructor() {
+        this.elements = [
+          1, 0, 0, 0,
+          0, 1, 0, 0,
+          0, 0, 1, 0,
+          0, 0, 0, 1
+        ];
+      }
+    
+      clone() {
+        return new Matrix4().copy(this);
+      }
+    
+      copy(m) {
+        for (let i = 0; i < 16; i++) {
+          this.elements[i] = m.elements[i];
+        }
+        return this;
+      }
+    
+      // Set from row-major arguments (easier to read in source)
+      set(n11, n12, n13, n14, n21, n22, n23, n24, n31, n32, n33, n34, n41, n42, n43, n44) {
+        const e = this.elements;
+        e[0] = n11; e[4] = n12; e[8] = n13; e[12] = n14;
+        e[1] = n21; e[5] = n22; e[9] = n23; e[13] = n24;
+        e[2] = n31; e[6] = n32; e[10] = n33; e[14] = n34;
+        e[3] = n41; e[7] = n42; e[11] = n43; e[15] = n44;
+        return this;
+      }
+    
+      identity() {
+        return this.set(
+          1, 0, 0, 0,
+          0, 1, 0, 0,
+          0, 0, 1, 0,
+          0, 0, 0, 1
+        );
+      }
+    
+      // this = this * m
+      multiply(m) {
+        return this.multiplyMatrices(this, m);
+      }
+    
+      // this = m * this
+      premultiply(m) {
+        return this.multiplyMatrices(m, this);
+      }
+    
+      // this = a * b
+      multiplyMatrices(a, b) {
+        const ae = a.elements;
+        const be = b.elements;
+        const result = new Array(16);
+    
+        for (let col = 0; col < 4; col++) {
+          for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+              sum += ae[k * 4 + row] * be[col * 4 + k];
+            }
+            result[col * 4 + row] = sum;
+          }
+        }
+    
+        this.elements = result;
+        return this;
+      }
+    
+      // OpenGL-style perspective projection (camera looks down -Z, depth mapped to [-1, 1])
+      makePerspective(fov, aspect, near, far) {
+        const f = 1 / Math.tan((fov * Math.PI / 180) / 2);
+        const rangeInv = 1 / (near - far);
+    
+        return this.set(
+          f / aspect, 0, 0, 0,
+          0, f, 0, 0,
+          0, 0, (near + far) * rangeInv, 2 * near * far * rangeInv,
+          0, 0, -1, 0
+        );
+      }
+    
+      // OpenGL-style orthographic projection of the box [left, right] x [bottom, top] x [-near, -far]
+      makeOrthographic(left, right, top, bottom, near, far) {
+        const w = 1 / (right - left);
+        const h = 1 / (top - bottom);
+        const d = 1 / (far - near);
+    
+        return this.set(
+          2 * w, 0, 0, -(right + left) * w,
+          0, 2 * h, 0, -(top + bottom) * h,
+          0, 0, -2 * d, -(far + near) * d,
+          0, 0, 0, 1
+        );
+      }
+    
+      // Rigid transform placing an object at position with the given orientation
+      compose(position, quaternion) {
+        const { x, y, z, w } = quaternion;
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+        const xx = x * x2, xy = x * y2, xz = x * z2;
+        const yy = y * y2, yz = y * z2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+    
+        return this.set(
+          1 - (yy + zz), xy - wz, xz + wy, position.x,
+          xy + wz, 1 - (xx + zz), yz - wx, position.y,
+          xz - wy, yz + wx, 1 - (xx + yy), position.z,
+          0, 0, 0, 1
+        );
+      }
+    
+      // View matrix for an eye at `eye` looking at `target` (the inverse of the camera's world transform)
+      lookAt(eye, target, up = new Vector3(0, 1, 0)) {
+        const zAxis = new Vector3().copy(eye).sub(target).normalize();
+        const xAxis = new Vector3().copy(up).cross(zAxis).normalize();
+        const yAxis = zAxis.clone().cross(xAxis);
+    
+        return this.set(
+          xAxis.x, xAxis.y, xAxis.z, -xAxis.dot(eye),
+          yAxis.x, yAxis.y, yAxis.z, -yAxis.dot(eye),
+          zAxis.x, zAxis.y, zAxis.z, -zAxis.dot(eye),
+          0, 0, 0, 1
+        );
+      }
+    
+      // General 4x4 inverse via cofactors; leaves a zero matrix if singular
+      invert() {
+        const m = this.elements;
+        const inv = new Array(16);
+    
+        inv[0] = m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] +
+                 m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10];
+        inv[4] = -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] -
+                 m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10];
+        inv[8] = m[4] * m[9] * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] +
+                 m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9];
+        inv[12] = -m[4] * m[9] * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] -
+                  m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9];
+        inv[1] = -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] -
+                 m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10];
+        inv[5] = m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] +
+                 m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10];
+        inv[9] = -m[0] * m[9] * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] -
+                 m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9];
+        inv[13] = m[0] * m[9] * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] +
+                  m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9];
+        inv[2] = m[1] * m[6] * m[15] - m[1] * m[7] * m[14] - m[5] * m[2] * m[15] +
+                 m[5] * m[3] * m[14] + m[13] * m[2] * m[7] - m[13] * m[3] * m[6];
+        inv[6] = -m[0] * m[6] * m[15] + m[0] * m[7] * m[14] + m[4] * m[2] * m[15] -
+                 m[4] * m[3] * m[14] - m[12] * m[2] * m[7] + m[12] * m[3] * m[6];
+        inv[10] = m[0] * m[5] * m[15] - m[0] * m[7] * m[13] - m[4] * m[1] * m[15] +
+                  m[4] * m[3] * m[13] + m[12] * m[1] * m[7] - m[12] * m[3] * m[5];
+        inv[14] = -m[0] * m[5] * m[14] + m[0] * m[6] * m[13] + m[4] * m[1] * m[14] -
+                  m[4] * m[2] * m[13] - m[12] * m[1] * m[6] + m[12] * m[2] * m[5];
+        inv[3] = -m[1] * m[6] * m[11] + m[1] * m[7] * m[10] + m[5] * m[2] * m[11] -
+                 m[5] * m[3] * m[10] - m[9] * m[2] * m[7] + m[9] * m[3] * m[6];
+        inv[7] = m[0] * m[6] * m[11] - m[0] * m[7] * m[10] - m[4] * m[2] * m[11] +
+                 m[4] * m[3] * m[10] + m[8] * m[2] * m[7] - m[8] * m[3] * m[6];
+        inv[11] = -m[0] * m[5] * m[11] + m[0] * m[7] * m[9] + m[4] * m[1] * m[11] -
+                  m[4] * m[3] * m[9] - m[8] * m[1] * m[7] + m[8] * m[3] * m[5];
+        inv[15] = m[0] * m[5] * m[10] - m[0] * m[6] * m[9] - m[4] * m[1] * m[10] +
+                  m[4] * m[2] * m[9] + m[8] * m[1] * m[6] - m[8] * m[2] * m[5];
+    
+        const det = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+        const invDet = det !== 0 ? 1 / det : 0;
+    
+        for (let i = 0; i < 16; i++) {
+          this.elements[i] = inv[i] * invDet;
+        }
+        return this;
+      }
+    
+      // Transform a point (w = 1), returning homogeneous clip coordinates { x, y, z, w }
+      transformPoint(p) {
+        const e = this.elements;
+        return {
+          x: e[0] * p.x + e[4] * p.y + e[8] * p.z + e[12],
+          y: e[1] * p.x + e[5] * p.y + e[9] * p.z + e[13],
+          z: e[2] * p.x + e[6] * p.y + e[10] * p.z + e[14],
+          w: e[3] * p.x + e[7] * p.y + e[11] * p.z + e[15]
+        };
+      }
     }
     
     // Interpolation functions
@@ -343,7 +654,7 @@ class Vector3 {
     
     // Main Camera class
     class Camera {
-      constructor(fov = 75, aspect = window.innerWidth / window.innerHeight, near = 0.1, far = 1000) {
+      constructor(fov = 75, aspect = window.innerWidth / window.innerHeight, near = 0.1, far = 1000, options = {}) {
         this.position = new Vector3();
         this.rotation = new Vector3();
         this.quaternion = new Quaternion();
@@ -357,24 +668,39 @@ class Vector3 {
         this.far = far;
         this.zoom = 1;
         
+        // Orthographic projection option; orthoSize is the half-height of the view volume.
+        // When orthoSize is null it is derived from the distance to the target so that
+        // switching projections keeps the target at the same apparent size.
+        this.orthographic = options.orthographic || false;
+        this.orthoSize = options.orthoSize !== undefined ? options.orthoSize : null;
+        
+        // Transform matrices shared by every renderer backend
+        this.worldMatrix = new Matrix4();
+        this.viewMatrix = new Matrix4();
+        this.projectionMatrix = new Matrix4();
+        this.viewProjectionMatrix = new Matrix4();
+        
         // Path following state
         this.mode = 'manual'; // 'manual' or 'path'
         this.pathProgress = 0;
         this.pathDuration = 10000; // Default duration in ms
         this.pathStartTime = 0;
         
-        // Create an initial projection matrix
+        // Create initial view and projection matrices
+        this.updateViewMatrix();
         this.updateProjectionMatrix();
       }
       
       setPosition(x, y, z) {
         this.position.set(x, y, z);
+        this.updateViewMatrix();
         return this;
       }
       
       setRotation(x, y, z) {
         this.rotation.set(x, y, z);
         this.quaternion.setFromEuler(x, y, z);
+        this.updateViewMatrix();
         return this;
       }
       
@@ -382,6 +708,7 @@ class Vector3 {
         this.quaternion.copy(q);
         const euler = this.quaternion.toEuler();
         this.rotation.set(euler.x, euler.y, euler.z);
+        this.updateViewMatrix();
         return this;
       }
       
@@ -395,24 +722,59 @@ class Vector3 {
         // Calculate direction from position to target
         const direction = new Vector3().copy(this.target).sub(this.position).normalize();
         
-        // Calculate rotation from direction
-        const pitch = -Math.asin(direction.y);
-        const yaw = Math.atan2(direction.x, direction.z);
+        // Orient the camera so that it looks down its local -Z axis towards the target
+        this.setQuaternion(new Quaternion().setFromLookDirection(direction, this.up));
         
-        this.setRotation(0, pitch, yaw);
+        // The automatic orthographic size depends on the distance to the target
+        if (this.orthographic) this.updateProjectionMatrix();
         return this;
       }
       
+      // Rebuild the view matrix (world -> camera space) from position and quaternion
+      updateViewMatrix() {
+        this.worldMatrix.compose(this.position, this.quaternion);
+        this.viewMatrix.copy(this.worldMatrix).invert();
+        this.viewProjectionMatrix.multiplyMatrices(this.projectionMatrix, this.viewMatrix);
+        return this;
+      }
+      
+      // Rebuild the projection matrix from fov/aspect/near/far, zoom and the projection type
       updateProjectionMatrix() {
-        // This would update the projection matrix for rendering
-        // Implementation will depend on your rendering system
-        console.log("Projection matrix updated", {
-          fov: this.fov,
-          aspect: this.aspect,
-          near: this.near,
-          far: this.far,
-          zoom: this.zoom
-        });
+        if (this.orthographic) {
+          const distance = new Vector3().copy(this.target).sub(this.position).length();
+          const size = this.orthoSize !== null
+            ? this.orthoSize
+            : distance * Math.tan((this.fov * Math.PI / 180) / 2);
+          const halfHeight = size / this.zoom;
+          const halfWidth = halfHeight * this.aspect;
+          this.projectionMatrix.makeOrthographic(-halfWidth, halfWidth, halfHeight, -halfHeight, this.near, this.far);
+        } else {
+          // Zooming narrows the effective field of view
+          const zoomedFov = 2 * Math.atan(Math.tan((this.fov * Math.PI / 180) / 2) / this.zoom) * 180 / Math.PI;
+          this.projectionMatrix.makePerspective(zoomedFov, this.aspect, this.near, this.far);
+        }
+        
+        this.viewProjectionMatrix.multiplyMatrices(this.projectionMatrix, this.viewMatrix);
+        return this;
+      }
+      
+      // Bring both matrices up to date (e.g. after the position was mutated directly)
+      updateMatrices() {
+        this.updateViewMatrix();
+        this.updateProjectionMatrix();
+        return this;
+      }
+      
+      // Switch between perspective and orthographic projection
+      setOrthographic(orthographic) {
+        this.orthographic = orthographic;
+        this.updateProjectionMatrix();
+        return this;
+      }
+      
+      setAspect(aspect) {
+        this.aspect = aspect;
+        this.updateProjectionMatrix();
         return this;
       }
       
@@ -423,29 +785,28 @@ class Vector3 {
       return this;
     }
   
-    // Projects a 3D point into 2D camera space.
-    // For simplicity, we subtract the camera's position, rotate by the inverse camera orientation,
-    // and then apply a perspective divide using this.zoom as the focal length.
-    project(point) {
-      // Translate point relative to the camera.
-      const translated = new Vector3(
-        point.x - this.position.x,
-        point.y - this.position.y,
-        point.z - this.position.z
-      );
+    // Transforms a world-space point into camera space using the view matrix.
+    // The camera sits at the origin of camera space looking down -Z, with +Y up.
+    worldToCamera(point) {
+      const p = this.viewMatrix.transformPoint(point);
+      return new Vector3(p.x, p.y, p.z);
+    }
   
-      // To "undo" the camera rotation, we can apply the inverse of the camera quaternion.
-      // A simple way is to negate the vector part of the quaternion:
-      const invQ = new Quaternion(-this.quaternion.x, -this.quaternion.y, -this.quaternion.z, this.quaternion.w);
-      // Use a helper function (like our global rotateVectorByQuaternion) to rotate.
-      const rotated = rotateVectorByQuaternion(translated, invQ);
+    // Projects a 3D world point through the view and projection matrices.
+    // Returns normalized device coordinates (x, y in [-1, 1] across the viewport, z in [-1, 1]
+    // between the near and far planes) plus the distance in front of the camera,
+    // or null if the point lies outside the near/far range.
+    project(point) {
+      const clip = this.viewProjectionMatrix.transformPoint(point);
+      const depth = -this.viewMatrix.transformPoint(point).z;
+      if (depth <= this.near || depth >= this.far) return null;
   
-      // Apply perspective projection. Assume focal length f = this.zoom.
-      if (rotated.z <= 0) return null; // Point is behind the camera.
-      const f = this.zoom;
-      const x = (rotated.x * f) / rotated.z;
-      const y = (rotated.y * f) / rotated.z;
-      return { x, y, depth: rotated.z };
+      return {
+        x: clip.x / clip.w,
+        y: clip.y / clip.w,
+        z: clip.z / clip.w,
+        depth
+      };
     }
   
     // Temporarily focus on a target by switching to manual mode, then resuming the previous mode.
@@ -527,16 +888,61 @@ class Vector3 {
         return this;
       }
       
+      // Place the camera where it is on its (looping) path a given time (ms) after the start,
+      // independent of the wall clock (e.g. for rendering frames at exact times)
+      updatePathAt(elapsed) {
+        const t = (((elapsed % this.pathDuration) + this.pathDuration) % this.pathDuration) / this.pathDuration;
+        this.updateAlongPath(t, this.positionPath, this.rotationPath, this.perspectiveCurve);
+        return this;
+      }
+      
+      // Fraction (0 to 1) of the current path loop travelled so far
+      getPathProgress() {
+        if (this.mode !== 'path') return 0;
+        const elapsed = performance.now() - this.pathStartTime;
+        return (elapsed % this.pathDuration) / this.pathDuration;
+      }
+      
+      // Jump to a fraction (0 to 1) of the current path loop
+      setPathProgress(t) {
+        this.pathStartTime = performance.now() - t * this.pathDuration;
+        return this;
+      }
+
+      // Snapshot of the pose and projection settings (e.g. for bookmarks and undo)
+      getPose() {
+        return {
+          position: this.position.clone(),
+          quaternion: this.quaternion.clone(),
+          target: this.target.clone(),
+          fov: this.fov,
+          zoom: this.zoom,
+          orthographic: this.orthographic
+        };
+      }
+
+      // Restore a pose from getPose(); stops any path so the camera stays there
+      setPose(pose) {
+        this.stopPath();
+        this.target.copy(pose.target);
+        this.fov = pose.fov;
+        this.zoom = pose.zoom;
+        this.orthographic = pose.orthographic;
+        this.position.copy(pose.position);
+        this.setQuaternion(pose.quaternion);
+        this.updateProjectionMatrix();
+        return this;
+      }
+
       // Main update method that handles both manual and path modes
       update(deltaTime) {
         if (this.mode === 'path') {
-          const elapsed = performance.now() - this.pathStartTime;
-          const t = (elapsed % this.pathDuration) / this.pathDuration;
-          
-          this.updateAlongPath(t, this.positionPath, this.rotationPath, this.perspectiveCurve);
+          this.updatePathAt(performance.now() - this.pathStartTime);
         }
         // In manual mode, update would be handled by the CameraController
         
+        // The controller may have moved the camera directly, so refresh the view matrix
+        this.updateViewMatrix();
         return this;
       }
     }
@@ -582,13 +988,12 @@ class Vector3 {
             const deltaX = e.clientX - this.previousMouseX;
             const deltaY = e.clientY - this.previousMouseY;
             
-            this.camera.rotation.z -= deltaX * this.rotationSpeed;
-            this.camera.rotation.y -= deltaY * this.rotationSpeed;
+            // Yaw around the world up axis, pitch around the camera's own right axis
+            const yaw = new Quaternion().setFromAxisAngle(this.camera.up, -deltaX * this.rotationSpeed);
+            const pitch = new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), -deltaY * this.rotationSpeed);
             
-            this.camera.quaternion.setFromEuler(
-              this.camera.rotation.x,
-              this.camera.rotation.y,
-              this.camera.rotation.z
+            this.camera.setQuaternion(
+              this.camera.quaternion.clone().premultiply(yaw).multiply(pitch)
             );
             
             this.previousMouseX = e.clientX;
@@ -608,31 +1013,29 @@ class Vector3 {
         
         const moveSpeed = this.movementSpeed * (deltaTime || 1/60);
         
-        // Calculate movement vector based on camera orientation
-        const forward = new Vector3(0, 0, -1);
-        const right = new Vector3(1, 0, 0);
-        
-        // Apply rotation to get world-space direction vectors
-        // In a real implementation, you'd use matrix rotation here
+        // Calculate movement vectors based on camera orientation
+        const forward = rotateVectorByQuaternion(new Vector3(0, 0, -1), this.camera.quaternion);
+        const right = rotateVectorByQuaternion(new Vector3(1, 0, 0), this.camera.quaternion);
+        const up = this.camera.up.clone().normalize();
         
         // Process keyboard input for movement
         if (this.keys['KeyW']) {
-          this.camera.position.z -= moveSpeed;
+          this.camera.position.add(forward.clone().multiplyScalar(moveSpeed));
         }
         if (this.keys['KeyS']) {
-          this.camera.position.z += moveSpeed;
+          this.camera.position.sub(forward.clone().multiplyScalar(moveSpeed));
         }
         if (this.keys['KeyA']) {
-          this.camera.position.x -= moveSpeed;
+          this.camera.position.sub(right.clone().multiplyScalar(moveSpeed));
         }
         if (this.keys['KeyD']) {
-          this.camera.position.x += moveSpeed;
+          this.camera.position.add(right.clone().multiplyScalar(moveSpeed));
         }
         if (this.keys['Space']) {
-          this.camera.position.y += moveSpeed;
+          this.camera.position.add(up.clone().multiplyScalar(moveSpeed));
         }
         if (this.keys['ShiftLeft']) {
-          this.camera.position.y -= moveSpeed;
+          this.camera.position.sub(up.clone().multiplyScalar(moveSpeed));
         }
         
         return this;
@@ -745,12 +1148,8 @@ class Vector3 {
               .sub(currentPos)
               .normalize();
             
-            // Calculate Euler angles from direction
-            const pitch = -Math.asin(direction.y);
-            const yaw = Math.atan2(direction.x, direction.z);
-            
-            // Create quaternion from Euler angles
-            const q = new Quaternion().setFromEuler(0, pitch, yaw);
+            // Create a quaternion looking along that direction
+            const q = new Quaternion().setFromLookDirection(direction);
             rotations.push(q);
           }
           
@@ -765,6 +1164,18 @@ class Vector3 {
         
         return rotations;
       }
+      
+      // Generate quaternion rotations that keep the camera aimed at a fixed target
+      generateLookAtRotationPath(positionPath, target = new Vector3(0, 0, 0)) {
+        return positionPath.map((position) => {
+          const direction = new Vector3()
+            .copy(target)
+            .sub(position)
+            .normalize();
+          
+          return new Quaternion().setFromLookDirection(direction);
+        });
+      }
     }
     
     // Usage example
@@ -836,6 +1247,8 @@ class Vector3 {
     export {
       Vector3,
       Quaternion,
+      Matrix4,
+      rotateVectorByQuaternion,
       Interpolation,
       Kaprekar,
       Camera,
@@ -1,6 +1,8 @@
 // cameraUI.js
 // A module to handle the camera-related UI controls for the nuChladni application
 
+import { createCameraPoseCommand } from './history.js';
+
 /**
  * Sets up the camera UI controls
  * @param {Object} camera - The Camera instance
@@ -14,29 +16,75 @@ export function setupCameraUI(camera, pathGen, parentElement, options = {}) {
     const defaultOptions = {
       buttonPosition: { top: '10px', right: '10px' },
       dropdownPosition: { top: '50px', right: '10px' },
+      projectionButtonPosition: { top: '130px', right: '10px' },
       zIndex: 101
     };
     
     // Merge options with defaults
     const config = { ...defaultOptions, ...options };
     
+    // Create orbital path, keeping the camera aimed at the shape's centre
+    const orbitalPath = pathGen.circularPath(500, { x: 0, y: 0, z: 0 }, 16);
+    const rotationPath = pathGen.generateLookAtRotationPath(orbitalPath, { x: 0, y: 0, z: 0 });
+    
+    // Start following the orbital path (20 seconds per orbit unless a duration is given)
+    const startOrbit = (duration = 20000) => {
+      camera.startPath(orbitalPath, rotationPath, duration);
+    };
+    
     // Create toggle button for camera mode
-    const toggleButton = createToggleButton(camera, pathGen, config);
+    const toggleButton = createToggleButton(camera, startOrbit, config);
     parentElement.appendChild(toggleButton);
     
+    // Create toggle button for perspective/orthographic projection
+    const { projectionButton, updateLabel } = createProjectionButton(camera, config);
+    parentElement.appendChild(projectionButton);
+    
     return {
-      toggleButton
+      toggleButton,
+      projectionButton,
+      startOrbit,
+      // Refresh the buttons after the camera was changed elsewhere
+      update: updateLabel
     };
   }
   
+  /**
+   * Creates a button to switch between perspective and orthographic projection
+   * @param {Object} camera - The Camera instance
+   * @param {Object} config - Configuration options
+   * @returns {Object} The created button element and a function refreshing its label
+   */
+  function createProjectionButton(camera, config) {
+    const projectionButton = document.createElement('button');
+    const updateLabel = () => {
+      projectionButton.textContent = camera.orthographic ? 'Orthographic' : 'Perspective';
+    };
+    updateLabel();
+    
+    // Apply styles
+    projectionButton.style.position = 'absolute';
+    projectionButton.style.top = config.projectionButtonPosition.top;
+    projectionButton.style.right = config.projectionButtonPosition.right;
+    projectionButton.style.zIndex = config.zIndex;
+    
+    // Add event listener
+    projectionButton.addEventListener('click', () => {
+      camera.setOrthographic(!camera.orthographic);
+      updateLabel();
+    });
+    
+    return { projectionButton, updateLabel };
+  }
+  
   /**
    * Creates a toggle button to switch between manual and orbital camera modes
    * @param {Object} camera - The Camera instance
-   * @param {Object} pathGen - The PathGenerator instance
+   * @param {Function} startOrbit - Starts the orbital path
    * @param {Object} config - Configuration options
    * @returns {HTMLElement} The created button element
    */
-  function createToggleButton(camera, pathGen, config) {
+  function createToggleButton(camera, startOrbit, config) {
     const toggleButton = document.createElement('button');
     toggleButton.textContent = 'Toggle Camera Mode';
     
@@ -46,15 +94,10 @@ export function setupCameraUI(camera, pathGen, parentElement, options = {}) {
     toggleButton.style.right = config.buttonPosition.right;
     toggleButton.style.zIndex = config.zIndex;
     
-    // Create orbital path
-    const orbitalPath = pathGen.circularPath(500, { x: 0, y: 0, z: 0 }, 16);
-    const rotationPath = pathGen.generateRotationPath(orbitalPath, true);
-    
     // Add event listener
     toggleButton.addEventListener('click', () => {
       if (camera.mode === 'manual') {
-        // Start following the orbital path (20 seconds per orbit by default)
-        camera.startPath(orbitalPath, rotationPath, 20000);
+        startOrbit();
       } else {
         camera.stopPath();
       }
@@ -77,4 +120,156 @@ export function setupCameraUI(camera, pathGen, parentElement, options = {}) {
       }
       valueDisplay.textContent = slider.value;
     });
-  }
\ No newline at end of file
+  }
+
+  /**
+   * Sets up camera bookmarks: save the current view under a name, return to a saved view
+   * and delete views. With options.history (a CommandHistory) adding, visiting and deleting
+   * bookmarks are undoable steps.
+   * @param {Object} camera - The Camera instance
+   * @param {HTMLElement} parentElement - The parent element to append the controls to
+   * @param {Object} options - Configuration options
+   * @returns {Object} Object containing references to the created UI elements and the bookmark list
+   */
+  export function setupCameraBookmarks(camera, parentElement, options = {}) {
+    // Default options
+    const defaultOptions = {
+      position: { top: '250px', right: '10px' },
+      zIndex: 101,
+      history: null,
+      onChange: null  // Called after the camera moved to a bookmark (or back)
+    };
+    
+    // Merge options with defaults
+    const config = { ...defaultOptions, ...options };
+    
+    // Saved views: { name, pose } with poses from camera.getPose()
+    const bookmarks = [];
+    
+    // Create the container
+    const container = document.createElement('div');
+    container.className = 'camera-bookmarks';
+    container.style.position = 'absolute';
+    container.style.top = config.position.top;
+    container.style.right = config.position.right;
+    container.style.zIndex = config.zIndex;
+    
+    const selector = document.createElement('select');
+    selector.title = 'Saved camera views';
+    
+    const render = (selected = null) => {
+      const previous = selected || bookmarks[selector.selectedIndex] || null;
+      selector.innerHTML = '';
+      
+      if (bookmarks.length === 0) {
+        const option = document.createElement('option');
+        option.textContent = 'No saved views';
+        selector.appendChild(option);
+      }
+      bookmarks.forEach((bookmark, i) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = bookmark.name;
+        selector.appendChild(option);
+      });
+      
+      if (bookmarks.includes(previous)) {
+        selector.selectedIndex = bookmarks.indexOf(previous);
+      }
+      selector.disabled = bookmarks.length === 0;
+      goButton.disabled = bookmarks.length === 0;
+      deleteButton.disabled = bookmarks.length === 0;
+    };
+    
+    // Run a change, through the history when there is one
+    const run = (command) => {
+      if (config.history) {
+        config.history.execute(command);
+      } else {
+        command.redo();
+      }
+    };
+    
+    const notify = () => {
+      if (config.onChange) config.onChange();
+    };
+    
+    const addButton = document.createElement('button');
+    addButton.textContent = 'Save View';
+    addButton.title = 'Bookmark the current camera view';
+    addButton.addEventListener('click', () => {
+      const bookmark = { name: `View ${bookmarks.length + 1}`, pose: camera.getPose() };
+      run({
+        label: `Save ${bookmark.name}`,
+        redo: () => {
+          bookmarks.push(bookmark);
+          render(bookmark);
+        },
+        undo: () => {
+          bookmarks.splice(bookmarks.indexOf(bookmark), 1);
+          render();
+        }
+      });
+    });
+    
+    const goButton = document.createElement('button');
+    goButton.textContent = 'Go';
+    goButton.title = 'Move the camera to the selected view';
+    const goToSelected = () => {
+      const bookmark = bookmarks[selector.selectedIndex];
+      if (!bookmark) return;
+      
+      const command = createCameraPoseCommand(camera, bookmark.pose, `Go to ${bookmark.name}`);
+      run({
+        label: command.label,
+        redo: () => {
+          command.redo();
+          notify();
+        },
+        undo: () => {
+          command.undo();
+          notify();
+        }
+      });
+    };
+    goButton.addEventListener('click', goToSelected);
+    selector.addEventListener('change', goToSelected);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.title = 'Delete the selected view';
+    deleteButton.addEventListener('click', () => {
+      const bookmark = bookmarks[selector.selectedIndex];
+      if (!bookmark) return;
+      
+      const index = selector.selectedIndex;
+      run({
+        label: `Delete ${bookmark.name}`,
+        redo: () => {
+          bookmarks.splice(bookmarks.indexOf(bookmark), 1);
+          render();
+        },
+        undo: () => {
+          bookmarks.splice(index, 0, bookmark);
+          render(bookmark);
+        }
+      });
+    });
+    
+    render();
+    
+    container.appendChild(selector);
+    container.appendChild(goButton);
+    container.appendChild(addButton);
+    container.appendChild(deleteButton);
+    parentElement.appendChild(container);
+    
+    return {
+      container,
+      selector,
+      addButton,
+      goButton,
+      deleteButton,
+      bookmarks
+    };
+  }
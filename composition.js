@@ -0,0 +1,247 @@
+// composition.js - How the outputs of the deformation modes are combined
+//
+// Every mode is a layer of the composition stack. The stack is stored with a preset as:
+//   {
+//     order: ['noise', 'gaussianCurvature', 'mode1'],  // Evaluation order (optional)
+//     layers: {
+//       noise: { blend: 'add', mask: 'gaussianCurvature' },
+//       gaussianCurvature: { muted: true },
+//       mode1: { blend: 'multiply', invertMask: true }
+//     }
+//   }
+// Layers only list the settings that differ from DEFAULT_LAYER. Modes missing from `order`
+// follow the listed ones in their own order; without `order` the stack is the mode order.
+//
+// The radial modes are folded into a running total, starting from 0, in stack order:
+//   add        total + value
+//   multiply   total * pattern
+//   modulate   total * (1 + pattern) / 2    (scales the total without flipping its sign)
+//   max, min   the larger or smaller of total and value
+// where the pattern is the layer's value divided by its amplitude (roughly -1 to 1).
+// Multiply and modulate fade in with the amplitude, fully from BLEND_FULL_AMPLITUDE on, so
+// an amplitude of 0 still switches a layer off. A layer's mask names another radial mode:
+// where that mode's pattern is positive (negative when the mask is inverted) the layer
+// applies, weighted by the pattern clamped to 1, and elsewhere it is faded out. A mask mode
+// at zero amplitude lets nothing through. Vector displacement modes are scaled by their
+// mask, and space warps are blended with the unwarped point by it; neither has a blend mode.
+//
+// A disabled layer is bypassed entirely, including where it serves as a mask. A muted layer
+// is silent but can still mask others (e.g. a Gaussian region shaping some noise). While
+// any enabled layer is soloed, only soloed layers are heard.
+
+export const BLEND_MODES = ['add', 'multiply', 'max', 'min', 'modulate'];
+
+// Settings of a layer nobody has configured
+export const DEFAULT_LAYER = {
+  blend: 'add',
+  mask: null,
+  invertMask: false,
+  enabled: true,
+  muted: false,
+  solo: false
+};
+
+// Amplitude from which multiply and modulate layers apply fully
+export const BLEND_FULL_AMPLITUDE = 50;
+
+/**
+ * Combines the running total with a layer's value
+ * @param {string} blend - One of BLEND_MODES
+ * @param {number} total - Total of the layers below
+ * @param {number} value - The layer's displacement (amplitude and envelope included)
+ * @param {number} amplitude - The layer's amplitude
+ * @returns {number} The new total
+ */
+export function blendValues(blend, total, value, amplitude) {
+  switch (blend) {
+    case 'multiply':
+    case 'modulate': {
+      if (amplitude === 0) return total;
+      const pattern = value / amplitude;
+      const factor = blend === 'multiply' ? pattern : (1 + pattern) / 2;
+      return total * (1 + blendDepth(amplitude) * (factor - 1));
+    }
+    case 'max':
+      return Math.max(total, value);
+    case 'min':
+      return Math.min(total, value);
+    default:
+      return total + value;
+  }
+}
+
+// How fully a multiply or modulate layer applies at an amplitude (0 to 1)
+export function blendDepth(amplitude) {
+  return Math.min(1, Math.abs(amplitude) / BLEND_FULL_AMPLITUDE);
+}
+
+/**
+ * Weight (0 to 1) of a mask at a point
+ * @param {number} value - The mask mode's displacement at the point
+ * @param {number} amplitude - The mask mode's amplitude
+ * @param {boolean} invert - Whether the negative part of the pattern lets the layer through
+ * @returns {number} The weight
+ */
+export function maskWeight(value, amplitude, invert = false) {
+  if (amplitude === 0) return 0;
+  const pattern = (invert ? -value : value) / amplitude;
+  return Math.min(1, Math.max(0, pattern));
+}
+
+/**
+ * GLSL expression combining a running total with a layer (see blendValues)
+ * @param {string} blend - One of BLEND_MODES
+ * @param {string} total - Expression of the running total
+ * @param {string} value - Expression of the layer's displacement
+ * @param {string} pattern - Expression of the layer's pattern (value / amplitude)
+ * @param {string} depth - Expression of the layer's blendDepth()
+ * @returns {string} The expression
+ */
+export function blendShaderExpression(blend, total, value, pattern, depth) {
+  switch (blend) {
+    case 'multiply':
+      return `${total} * (1.0 + ${depth} * (${pattern} - 1.0))`;
+    case 'modulate':
+      return `${total} * (1.0 + ${depth} * (0.5 * (1.0 + ${pattern}) - 1.0))`;
+    case 'max':
+      return `max(${total}, ${value})`;
+    case 'min':
+      return `min(${total}, ${value})`;
+    default:
+      return `${total} + ${value}`;
+  }
+}
+
+/**
+ * Checks stack data (as stored in a preset) against the available modes
+ * @param {Object} data - Stack data
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @returns {Array<string>} Warnings for settings that cannot be used
+ */
+export function validateStack(data, shapeDeformer) {
+  const warnings = [];
+  const known = new Set(shapeDeformer.getModeIds());
+
+  for (const id of data.order || []) {
+    if (!known.has(id)) warnings.push(`Stack order names unknown mode "${id}", which was ignored`);
+  }
+  for (const [id, layer] of Object.entries(data.layers || {})) {
+    if (!known.has(id)) {
+      warnings.push(`Stack layer for unknown mode "${id}" is ignored`);
+      continue;
+    }
+    if (layer.blend !== undefined && !BLEND_MODES.includes(layer.blend)) {
+      warnings.push(`Stack layer "${id}" has unknown blend mode "${layer.blend}"; using add`);
+    }
+    if (layer.mask !== undefined && layer.mask !== null && !known.has(layer.mask)) {
+      warnings.push(`Stack layer "${id}" is masked by unknown mode "${layer.mask}"; the mask is ignored`);
+    }
+  }
+  return warnings;
+}
+
+// Order and per-layer settings of the composition; layers are keyed by mode ID
+export class CompositionStack {
+  constructor(data = null) {
+    this.order = null;  // Mode IDs in evaluation order, or null for the mode order
+    this.layers = {};   // Settings that differ from DEFAULT_LAYER, keyed by mode ID
+
+    if (data) this.load(data);
+  }
+
+  // Replace the order and settings with stored data (see the top of this file)
+  load(data) {
+    this.clear();
+    if (Array.isArray(data.order)) this.order = data.order.filter(id => typeof id === 'string');
+    for (const [id, layer] of Object.entries(data.layers || {})) {
+      const settings = { ...layer };
+      if (!BLEND_MODES.includes(settings.blend)) delete settings.blend;
+      this.setLayer(id, settings);
+    }
+  }
+
+  // Back to the mode order with every layer at its defaults
+  clear() {
+    this.order = null;
+    this.layers = {};
+  }
+
+  // Whether the stack behaves like a plain sum in mode order
+  isDefault() {
+    return this.order === null && Object.keys(this.layers).length === 0;
+  }
+
+  // Settings of a layer, defaults included
+  getLayer(id) {
+    return { ...DEFAULT_LAYER, ...this.layers[id] };
+  }
+
+  // Update a layer's settings (missing keys keep their current values)
+  setLayer(id, settings) {
+    if (settings.blend !== undefined && !BLEND_MODES.includes(settings.blend)) {
+      throw new Error(`Unknown blend mode "${settings.blend}" (expected ${BLEND_MODES.join(', ')})`);
+    }
+
+    const layer = this.getLayer(id);
+    for (const name of Object.keys(DEFAULT_LAYER)) {
+      if (settings[name] !== undefined) layer[name] = settings[name];
+    }
+    if (layer.mask === id || layer.mask === '') layer.mask = null;
+
+    const changed = {};
+    for (const [name, value] of Object.entries(layer)) {
+      if (value !== DEFAULT_LAYER[name]) changed[name] = value;
+    }
+    if (Object.keys(changed).length > 0) {
+      this.layers[id] = changed;
+    } else {
+      delete this.layers[id];
+    }
+  }
+
+  // Mode IDs in evaluation order, given the IDs of the modes in mode order
+  getOrder(modeIds) {
+    if (!this.order) return [...modeIds];
+    const known = new Set(modeIds);
+    const ordered = this.order.filter(id => known.has(id));
+    const listed = new Set(ordered);
+    return [...ordered, ...modeIds.filter(id => !listed.has(id))];
+  }
+
+  // Move a layer to a position in the evaluation order
+  moveLayer(modeIds, id, index) {
+    const order = this.getOrder(modeIds).filter(other => other !== id);
+    order.splice(Math.max(0, Math.min(index, order.length)), 0, id);
+    this.order = order;
+  }
+
+  // Forget a layer whose mode was removed: its settings, its place in the order and its use as a mask
+  removeLayer(id) {
+    delete this.layers[id];
+    if (this.order) this.order = this.order.filter(other => other !== id);
+    for (const [other, layer] of Object.entries(this.layers)) {
+      if (layer.mask === id) this.setLayer(other, { mask: null });
+    }
+  }
+
+  // Whether any enabled layer is soloed
+  hasSolo() {
+    return Object.values(this.layers).some(layer => layer.solo && layer.enabled !== false);
+  }
+
+  // Whether a layer contributes to the shape (its mode may still be at zero amplitude)
+  isAudible(id) {
+    const layer = this.getLayer(id);
+    return layer.enabled && !layer.muted && (layer.solo || !this.hasSolo());
+  }
+
+  // Data for storing the stack in a preset
+  toJSON() {
+    const data = { layers: {} };
+    if (this.order) data.order = [...this.order];
+    for (const [id, layer] of Object.entries(this.layers)) {
+      data.layers[id] = { ...layer };
+    }
+    return data;
+  }
+}
@@ -0,0 +1,203 @@
+// compositionUI.js
+// A module to handle the composition stack section of the deformation panel
+
+import { BLEND_MODES } from './composition.js';
+import { isRadialMode } from './shapeDeformer.js';
+import { createShapeCommand } from './history.js';
+
+/**
+ * Sets up the composition stack at the top of the deformation panel: one row per layer in
+ * evaluation order, with buttons to move it up or down, enable/mute/solo toggles, its blend
+ * mode and its mask. Only layers in use (switched on, configured or masking another) are
+ * listed unless "Show all" is ticked.
+ * @param {Object} shapeDeformer - The ShapeDeformer instance (its stack is edited)
+ * @param {HTMLElement} containerElement - The deformation panel
+ * @param {Object} options - Configuration options; with options.history (a CommandHistory)
+ *   every change is recorded as an undoable step, and options.onChange() is called after a change
+ * @returns {Object} Object containing the section element and an update function
+ */
+export function setupCompositionPanel(shapeDeformer, containerElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    history: null,
+    onChange: null,
+    showAll: false
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+  const stack = shapeDeformer.stack;
+
+  const panel = document.createElement('details');
+  panel.className = 'composition-stack';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Composition';
+  summary.title = 'Order, blend modes and masks of the deformation modes';
+  panel.appendChild(summary);
+
+  // ---- Options row ----
+  const optionsRow = document.createElement('div');
+
+  const showAllLabel = document.createElement('span');
+  const showAllBox = document.createElement('input');
+  showAllBox.type = 'checkbox';
+  showAllBox.checked = config.showAll;
+  showAllBox.addEventListener('change', () => update());
+  showAllLabel.appendChild(showAllBox);
+  showAllLabel.appendChild(document.createTextNode(' Show all '));
+  optionsRow.appendChild(showAllLabel);
+
+  const resetButton = document.createElement('button');
+  resetButton.textContent = 'Reset stack';
+  resetButton.title = 'Mode order, every layer added, no masks';
+  resetButton.addEventListener('click', () => change('Reset composition', () => stack.clear()));
+  optionsRow.appendChild(resetButton);
+  panel.appendChild(optionsRow);
+
+  const list = document.createElement('div');
+  panel.appendChild(list);
+
+  containerElement.insertBefore(panel, containerElement.firstChild);
+
+  // Apply a change to the stack, through the history when there is one
+  function change(label, apply) {
+    if (config.history) {
+      config.history.execute(createShapeCommand(shapeDeformer, label, apply));
+    } else {
+      apply();
+    }
+    if (config.onChange) config.onChange();
+    update();
+  }
+
+  // Modes listed in the section, in evaluation order
+  function getVisibleIds() {
+    const order = stack.getOrder(shapeDeformer.getModeIds());
+    if (showAllBox.checked) return order;
+
+    const masks = new Set(order.map(id => stack.getLayer(id).mask).filter(Boolean));
+    return order.filter(id => {
+      const mode = shapeDeformer.modes[shapeDeformer.findModeIndex(id)];
+      return mode.amplitude !== 0 || stack.layers[id] || masks.has(id);
+    });
+  }
+
+  // Move a layer past its visible neighbour (direction -1 up, +1 down)
+  function moveLayer(visibleIds, id, direction) {
+    const neighbour = visibleIds[visibleIds.indexOf(id) + direction];
+    if (!neighbour) return;
+    const modeIds = shapeDeformer.getModeIds();
+    const target = stack.getOrder(modeIds).indexOf(neighbour);
+    const mode = shapeDeformer.modes[shapeDeformer.findModeIndex(id)];
+    change(`Move ${mode.name} ${direction < 0 ? 'up' : 'down'}`, () => stack.moveLayer(modeIds, id, target));
+  }
+
+  function createLayerRow(id, visibleIds, radialModes) {
+    const mode = shapeDeformer.modes[shapeDeformer.findModeIndex(id)];
+    const layer = stack.getLayer(id);
+    const setLayer = (label, settings) => change(`${mode.name}: ${label}`, () => stack.setLayer(id, settings));
+
+    const row = document.createElement('div');
+    row.className = 'stack-layer';
+    if (mode.amplitude === 0 || !stack.isAudible(id)) row.classList.add('inaudible');
+
+    const upButton = createButton('↑', 'Evaluate earlier', () => moveLayer(visibleIds, id, -1));
+    upButton.disabled = visibleIds[0] === id;
+    const downButton = createButton('↓', 'Evaluate later', () => moveLayer(visibleIds, id, 1));
+    downButton.disabled = visibleIds[visibleIds.length - 1] === id;
+
+    const enabledBox = document.createElement('input');
+    enabledBox.type = 'checkbox';
+    enabledBox.checked = layer.enabled;
+    enabledBox.title = 'Enabled (a disabled layer is bypassed, also as a mask)';
+    enabledBox.addEventListener('change', () => setLayer(enabledBox.checked ? 'enable' : 'disable', { enabled: enabledBox.checked }));
+
+    const name = document.createElement('span');
+    name.className = 'stack-layer-name';
+    name.textContent = mode.name;
+    name.title = mode.description;
+
+    const muteButton = createButton('M', 'Mute (silent, but still usable as a mask)', () => setLayer(layer.muted ? 'unmute' : 'mute', { muted: !layer.muted }));
+    muteButton.classList.toggle('active', layer.muted);
+    const soloButton = createButton('S', 'Solo (only soloed layers are heard)', () => setLayer(layer.solo ? 'unsolo' : 'solo', { solo: !layer.solo }));
+    soloButton.classList.toggle('active', layer.solo);
+
+    // Vector modes and warps always add; only radial layers blend
+    const blendSelect = createSelect(BLEND_MODES.map(blend => [blend, blend]));
+    blendSelect.value = layer.blend;
+    blendSelect.disabled = !isRadialMode(mode);
+    blendSelect.title = blendSelect.disabled ? 'Vector modes and warps are not blended' : 'How the layer combines with the layers before it';
+    blendSelect.addEventListener('change', () => setLayer(`blend ${blendSelect.value}`, { blend: blendSelect.value }));
+
+    const maskSelect = createSelect([['', 'no mask'], ...radialModes.filter(other => other.id !== id).map(other => [other.id, other.name])]);
+    maskSelect.value = layer.mask || '';
+    maskSelect.title = 'Mode whose positive pattern lets the layer through';
+    maskSelect.addEventListener('change', () => setLayer(maskSelect.value ? `mask by ${maskSelect.value}` : 'remove mask', { mask: maskSelect.value || null }));
+
+    const invertBox = document.createElement('input');
+    invertBox.type = 'checkbox';
+    invertBox.checked = layer.invertMask;
+    invertBox.disabled = !layer.mask;
+    invertBox.title = 'Invert the mask (the negative pattern lets the layer through)';
+    invertBox.addEventListener('change', () => setLayer(invertBox.checked ? 'invert mask' : 'normal mask', { invertMask: invertBox.checked }));
+
+    for (const element of [upButton, downButton, enabledBox, name, muteButton, soloButton, blendSelect, maskSelect, invertBox]) {
+      row.appendChild(element);
+    }
+    return row;
+  }
+
+  // Rebuild the rows when the listed layers or their settings changed
+  let shownKey = null;
+  function update() {
+    const visibleIds = getVisibleIds();
+    const key = JSON.stringify([
+      visibleIds,
+      stack.toJSON(),
+      visibleIds.map(id => shapeDeformer.modes[shapeDeformer.findModeIndex(id)].amplitude === 0)
+    ]);
+    if (key === shownKey) return;
+    shownKey = key;
+
+    const radialModes = shapeDeformer.modes.filter(isRadialMode);
+    list.innerHTML = '';
+    for (const id of visibleIds) {
+      list.appendChild(createLayerRow(id, visibleIds, radialModes));
+    }
+    if (visibleIds.length === 0) {
+      list.textContent = 'No modes are switched on.';
+    }
+  }
+
+  // Layers appear and disappear as their amplitudes move away from or back to 0
+  containerElement.addEventListener('input', () => update());
+
+  update();
+
+  return {
+    panel,
+    update
+  };
+}
+
+// Small button with a tooltip
+function createButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Dropdown from [value, label] pairs
+function createSelect(options) {
+  const select = document.createElement('select');
+  for (const [value, label] of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  return select;
+}
@@ -1,11 +1,21 @@
 // deformationUI.js
 // A module to handle the dynamic deformation mode UI for the nuChladni application
 
+import { ANIMATION_PARAM_SCHEMA } from './shapeDeformer.js';
+import { createAmplitudeCommand, createParamCommand, createAnimationCommand } from './history.js';
+
+// Refresh functions of the parameter groups, keyed by the mode's amplitude slider
+const paramGroupRefreshers = new WeakMap();
+
+// Mode and elements of each control created by syncDeformationControls(), keyed by its slider
+const createdControls = new WeakMap();
+
 /**
  * Sets up the deformation mode UI for the ShapeDeformer
  * @param {Object} shapeDeformer - The ShapeDeformer instance
  * @param {HTMLElement} containerElement - The container element for the UI controls
- * @param {Object} options - Configuration options for the UI
+ * @param {Object} options - Configuration options for the UI; with options.history (a CommandHistory)
+ *   every change is recorded as an undoable command
  * @returns {Object} Object containing references to the created UI elements
  */
 export function setupDeformationUI(shapeDeformer, containerElement, options = {}) {
@@ -14,12 +24,18 @@ export function setupDeformationUI(shapeDeformer, containerElement, options = {}
       controlType: 'slider',  // Future support for different control types
       maxValue: 50,
       minValue: 0,
-      step: 1
+      step: 1,
+      history: null
     };
     
     // Merge options with defaults
     const config = { ...defaultOptions, ...options };
     
+    // A released slider or a changed dropdown ends the current undo step
+    if (config.history) {
+      containerElement.addEventListener('change', () => config.history.seal());
+    }
+    
     // Arrays to store slider references
     const modeSliders = [];
     const modeValues = [];
@@ -50,13 +66,61 @@ export function setupDeformationUI(shapeDeformer, containerElement, options = {}
         // Add event listener
         existingModeSliders[i].addEventListener('input', () => {
           modeValues[i].textContent = modeSliders[i].value;
-          shapeDeformer.setAmplitude(i, parseFloat(modeSliders[i].value));
+          setAmplitude(shapeDeformer, i, parseFloat(modeSliders[i].value), config.history);
         });
+        
+        // Add the expandable parameter group below the slider
+        const sliderContainer = existingModeSliders[i].parentElement;
+        const paramGroup = createParamGroup(shapeDeformer, i, config.history);
+        sliderContainer.parentElement.insertBefore(paramGroup.element, sliderContainer.nextSibling);
+        paramGroupRefreshers.set(existingModeSliders[i], paramGroup.refresh);
       }
     }
     
     // Create new sliders for additional modes (after mode3)
-    for (let i = 3; i < shapeDeformer.modes.length; i++) {
+    syncDeformationControls(shapeDeformer, containerElement, modeSliders, modeValues, config);
+    
+    return {
+      modeSliders,
+      modeValues
+    };
+  }
+  
+  /**
+   * Creates controls for any modes that do not have one yet (e.g. modes added after startup,
+   * such as fitted spherical harmonics). New controls are appended to the existing arrays
+   * so references held elsewhere stay valid. When a mode was removed (e.g. a region), the
+   * controls from its index on are dropped and rebuilt for the modes now there.
+   * @param {Object} shapeDeformer - The ShapeDeformer instance
+   * @param {HTMLElement} containerElement - The container element for the UI controls
+   * @param {Array} modeSliders - Array of slider elements
+   * @param {Array} modeValues - Array of value display elements
+   * @param {Object} options - Configuration options for the UI (including options.history, as for setupDeformationUI)
+   */
+  export function syncDeformationControls(shapeDeformer, containerElement, modeSliders, modeValues, options = {}) {
+    const config = {
+      controlType: 'slider',
+      maxValue: 50,
+      minValue: 0,
+      step: 1,
+      history: null,
+      ...options
+    };
+    
+    const stale = modeSliders.findIndex((slider, i) => {
+      const created = createdControls.get(slider);
+      return created && created.mode !== shapeDeformer.modes[i];
+    });
+    if (stale !== -1) {
+      for (const slider of modeSliders.slice(stale)) {
+        createdControls.get(slider).elements.forEach(element => element.remove());
+      }
+      modeSliders.length = stale;
+      modeValues.length = stale;
+    }
+    
+    for (let i = 0; i < shapeDeformer.modes.length; i++) {
+      if (modeSliders[i]) continue;
       const mode = shapeDeformer.modes[i];
       
       // Create control based on configuration
@@ -65,7 +129,7 @@ export function setupDeformationUI(shapeDeformer, containerElement, options = {}
         i, 
         config, 
         (value) => {
-          shapeDeformer.setAmplitude(i, parseFloat(value));
+          setAmplitude(shapeDeformer, i, parseFloat(value), config.history);
         }
       );
       
@@ -73,6 +137,11 @@ export function setupDeformationUI(shapeDeformer, containerElement, options = {}
       modeSliders[i] = controlElements.control;
       modeValues[i] = controlElements.valueDisplay;
       
+      // Expandable group with the mode's parameters and animation settings
+      const paramGroup = createParamGroup(shapeDeformer, i, config.history);
+      paramGroupRefreshers.set(controlElements.control, paramGroup.refresh);
+      createdControls.set(controlElements.control, { mode, elements: [controlElements.container, paramGroup.element] });
+      
       // Find insertion point - this should be before the rotX slider container
       const rotXSlider = document.getElementById('rotX');
       const insertBefore = rotXSlider ? rotXSlider.parentElement : null;
@@ -80,15 +149,21 @@ export function setupDeformationUI(shapeDeformer, containerElement, options = {}
       // Append elements to container
       if (insertBefore) {
         containerElement.insertBefore(controlElements.container, insertBefore);
+        containerElement.insertBefore(paramGroup.element, insertBefore);
       } else {
         containerElement.appendChild(controlElements.container);
+        containerElement.appendChild(paramGroup.element);
       }
     }
-    
-    return {
-      modeSliders,
-      modeValues
-    };
+  }
+  
+  // Set a mode's amplitude, through the history when there is one
+  function setAmplitude(shapeDeformer, index, amplitude, history) {
+    if (history) {
+      history.execute(createAmplitudeCommand(shapeDeformer, index, amplitude));
+    } else {
+      shapeDeformer.setAmplitude(index, amplitude);
+    }
   }
   
   /**
@@ -150,8 +225,11 @@ export function setupDeformationUI(shapeDeformer, containerElement, options = {}
     const slider = document.createElement('input');
     slider.type = 'range';
     slider.id = `mode${index+1}`;
-    slider.min = config.minValue.toString();
-    slider.max = config.maxValue.toString();
+    
+    // Modes may declare their own amplitude range (e.g. signed spectral coefficients)
+    const range = mode.amplitudeRange || { min: config.minValue, max: config.maxValue };
+    slider.min = range.min.toString();
+    slider.max = range.max.toString();
     slider.value = mode.amplitude;
     slider.step = config.step.toString();
     
@@ -164,6 +242,132 @@ export function setupDeformationUI(shapeDeformer, containerElement, options = {}
     return slider;
   }
   
+  /**
+   * Creates the expandable group of controls for one mode: one control per entry of the
+   * mode's parameter schema, followed by its animation settings
+   * @param {Object} shapeDeformer - The ShapeDeformer instance
+   * @param {number} index - The index of the mode
+   * @param {Object} history - The CommandHistory recording the changes, or null
+   * @returns {Object} Object containing the group element and a function refreshing its controls
+   */
+  function createParamGroup(shapeDeformer, index, history = null) {
+    const mode = shapeDeformer.modes[index];
+    
+    const group = document.createElement('details');
+    group.className = 'param-group';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = `${mode.name} settings`;
+    summary.title = mode.description;
+    group.appendChild(summary);
+    
+    const refreshers = [];
+    
+    for (const param of mode.getParamSchema()) {
+      const control = createParamControl(
+        param,
+        () => shapeDeformer.getParam(index, param.name),
+        (value) => {
+          if (history) {
+            history.execute(createParamCommand(shapeDeformer, index, param.name, value));
+          } else {
+            shapeDeformer.setParam(index, param.name, value);
+          }
+        }
+      );
+      group.appendChild(control.container);
+      refreshers.push(control.refresh);
+    }
+    
+    const animationHeading = document.createElement('div');
+    animationHeading.className = 'param-heading';
+    animationHeading.textContent = 'Animation';
+    group.appendChild(animationHeading);
+    
+    for (const param of ANIMATION_PARAM_SCHEMA) {
+      const control = createParamControl(
+        param,
+        () => mode.animation[param.name],
+        (value) => {
+          if (history) {
+            history.execute(createAnimationCommand(shapeDeformer, index, { [param.name]: value }));
+          } else {
+            shapeDeformer.setAnimation(index, { [param.name]: value });
+          }
+        }
+      );
+      group.appendChild(control.container);
+      refreshers.push(control.refresh);
+    }
+    
+    return {
+      element: group,
+      refresh: () => refreshers.forEach(refresh => refresh())
+    };
+  }
+  
+  /**
+   * Creates a control for one schema entry: a slider for 'number' and 'integer'
+   * parameters, a dropdown for 'select' parameters
+   * @param {Object} param - The parameter schema entry
+   * @param {Function} getValue - Returns the current value
+   * @param {Function} setValue - Applies a new value
+   * @returns {Object} Object containing the container element and a function refreshing the control
+   */
+  function createParamControl(param, getValue, setValue) {
+    const container = document.createElement('div');
+    container.className = 'param-control';
+    
+    const label = document.createElement('label');
+    label.textContent = `${param.label}:`;
+    container.appendChild(label);
+    
+    if (param.type === 'select') {
+      const select = document.createElement('select');
+      for (const option of param.options) {
+        const element = document.createElement('option');
+        element.value = String(option);
+        element.textContent = String(option);
+        select.appendChild(element);
+      }
+      
+      const refresh = () => {
+        select.value = String(getValue());
+      };
+      refresh();
+      
+      select.addEventListener('change', () => setValue(select.value));
+      container.appendChild(select);
+      
+      return { container, refresh };
+    }
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = param.min.toString();
+    slider.max = param.max.toString();
+    slider.step = param.step.toString();
+    
+    const valueDisplay = document.createElement('span');
+    valueDisplay.className = 'value-display';
+    
+    const refresh = () => {
+      slider.value = getValue();
+      valueDisplay.textContent = getValue();
+    };
+    refresh();
+    
+    slider.addEventListener('input', () => {
+      setValue(slider.value);
+      valueDisplay.textContent = getValue();
+    });
+    
+    container.appendChild(slider);
+    container.appendChild(valueDisplay);
+    
+    return { container, refresh };
+  }
+  
   /**
    * Updates the UI to reflect the current state of the ShapeDeformer
    * @param {Object} shapeDeformer - The ShapeDeformer instance
@@ -175,6 +379,9 @@ export function setupDeformationUI(shapeDeformer, containerElement, options = {}
       if (modeSliders[i]) {
         modeSliders[i].value = shapeDeformer.modes[i].amplitude;
         modeValues[i].textContent = modeSliders[i].value;
+        
+        const refreshParams = paramGroupRefreshers.get(modeSliders[i]);
+        if (refreshParams) refreshParams();
       }
     }
   }
@@ -1,6 +1,7 @@
 // New deformation modes for shapeDeformer.js
 
 import { DeformationMode } from './shapeDeformer.js';
+import { PRESET_VERSION } from './presets.js';
 
 // Gaussian Curvature Mode - creates areas of positive and negative curvature
 export class GaussianCurvatureMode extends DeformationMode {
@@ -127,31 +128,54 @@ export class RadialWaveMode extends DeformationMode {
   }
 }
 
-// Updated presets including new modes
+// Updated presets including new modes, keyed by mode ID (see presets.js).
+// These were written as positional arrays for an 11-mode order (the six harmonic modes,
+// Noise, Rugosity, Axial Symmetry, Anisotropic, Radial Waves) that never matched the
+// registry in ShapeDeformer.setupDefaultModes().
 export const extendedPresetConfigurations = {
   'terrain': {
+    version: PRESET_VERSION,
     name: 'Terrain',
     description: 'Mountain-like terrain with roughness',
-    amplitudes: [5, 10, 0, 0, 0, 0, 15, 20, 0, 0, 0] // Assuming 7 original modes + 4 new ones
+    modes: {
+      mode1: { amplitude: 5 },
+      mode2: { amplitude: 10 },
+      noise: { amplitude: 15 },
+      rugosity: { amplitude: 20 }
+    }
   },
   'moon': {
+    version: PRESET_VERSION,
     name: 'Moon Surface',
     description: 'Cratered surface like the moon',
-    amplitudes: [0, 0, 0, 0, 0, 0, 5, 15, 0, 0, 10]
+    modes: {
+      noise: { amplitude: 5 },
+      rugosity: { amplitude: 15 },
+      radialWaves: { amplitude: 10 }
+    }
   },
   'symmetric': {
+    version: PRESET_VERSION,
     name: 'Symmetric Form',
     description: 'Form with axial symmetry',
-    amplitudes: [0, 0, 0, 0, 0, 0, 0, 0, 25, 0, 0]
+    modes: {
+      axialSymmetry: { amplitude: 25 }
+    }
   },
   'stretched': {
+    version: PRESET_VERSION,
     name: 'Stretched Form',
     description: 'Anisotropically stretched form',
-    amplitudes: [0, 0, 0, 0, 0, 0, 0, 0, 0, 20, 0]
+    modes: {
+      anisotropic: { amplitude: 20 }
+    }
   },
   'rippled_sphere': {
+    version: PRESET_VERSION,
     name: 'Rippled Sphere',
     description: 'Sphere with radial waves',
-    amplitudes: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 15]
+    modes: {
+      radialWaves: { amplitude: 15 }
+    }
   }
-};
\ No newline at end of file
+};
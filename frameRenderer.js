@@ -0,0 +1,223 @@
+// frameRenderer.js - Deterministic offline rendering of numbered frame sequences
+//
+// Frames are rendered at a fixed size and a fixed timestep: frame i shows the scene at
+// startTime + i / fps seconds, computed from the frame index rather than accumulated, so a
+// render is identical however long each frame takes. The camera path, the shape's keyframe
+// timeline and the deformation time (or, with useSequencer, the sequencer's master timeline)
+// are evaluated at exactly that time. The live view is restored afterwards.
+//
+// Browser: renderFramesToZip() returns a zip Blob of PNGs for downloading (at most
+// MAX_ZIP_ENTRIES frames and 4 GB, as the zip has no zip64 support).
+// Node: renderFramesToDirectory() writes the PNGs to a directory, given a renderer drawing
+// into a canvas implementation such as node-canvas.
+
+import { MAX_ZIP_ENTRIES, ZipWriter, crc32 } from './zip.js';
+import { encodePNG } from './png.js';
+
+export const DEFAULT_RENDER_OPTIONS = {
+  width: 1920,
+  height: 1080,
+  fps: 30,
+  duration: 10,          // Seconds
+  startTime: 0,          // Seconds
+  timeScale: 1,          // Deformation animation speed, as AnimationClock.timeScale
+  numPointsTheta: 256,
+  numPointsPhi: 128,
+  useSequencer: false,   // Drive everything from the sequencer's master timeline
+  filePrefix: 'frame',
+  digits: 5
+};
+
+// Renders single frames of a scene at exact times with a fixed canvas size
+export class OfflineFrameRenderer {
+  /**
+   * @param {Object} scene - { renderer, camera, shapeDeformer, sequencer? }
+   * @param {Object} options - See DEFAULT_RENDER_OPTIONS
+   */
+  constructor(scene, options = {}) {
+    this.renderer = scene.renderer;
+    this.camera = scene.camera;
+    this.shapeDeformer = scene.shapeDeformer;
+    this.sequencer = scene.sequencer || null;
+    this.options = { ...DEFAULT_RENDER_OPTIONS, ...options };
+    this.saved = null;
+
+    if (this.options.useSequencer && !this.sequencer) {
+      throw new Error('useSequencer needs a sequencer in the scene');
+    }
+    if (!(this.options.fps > 0) || !(this.options.width > 0) || !(this.options.height > 0)) {
+      throw new Error('Frame rate, width and height must be positive');
+    }
+  }
+
+  get frameCount() {
+    return Math.max(1, Math.round(this.options.duration * this.options.fps));
+  }
+
+  // Scene time (seconds) shown by a frame
+  frameTime(index) {
+    return this.options.startTime + index / this.options.fps;
+  }
+
+  // Zero-padded file name of a frame, e.g. frame00042.png
+  frameFileName(index) {
+    return `${this.options.filePrefix}${String(index).padStart(this.options.digits, '0')}.png`;
+  }
+
+  // Save the live view and switch the canvas to the render size
+  begin() {
+    const { renderer, camera, shapeDeformer, sequencer } = this;
+    const canvas = renderer.canvas;
+
+    this.saved = {
+      width: canvas.width,
+      height: canvas.height,
+      aspect: camera.aspect,
+      pose: camera.getPose(),
+      pathMode: camera.mode === 'path',
+      lightDir: { ...renderer.lightDir },
+      preset: shapeDeformer.getCurrentPreset(),
+      time: shapeDeformer.time,
+      sequencerTime: sequencer ? sequencer.time : 0
+    };
+
+    // Window resizes must not change the frame size mid-render
+    if (renderer.autoResize && typeof window !== 'undefined') {
+      window.removeEventListener('resize', renderer.resizeCanvas);
+    }
+    canvas.width = this.options.width;
+    canvas.height = this.options.height;
+    camera.setAspect(this.options.width / this.options.height);
+  }
+
+  // Set the scene to a frame's time and draw it
+  renderFrame(index) {
+    const time = this.frameTime(index);
+    const { camera, shapeDeformer } = this;
+
+    if (this.options.useSequencer) {
+      this.sequencer.evaluate(time);
+    } else {
+      if (camera.mode === 'path') camera.updatePathAt(time * 1000);
+      if (shapeDeformer.timeline.hasTracks()) {
+        shapeDeformer.timeline.apply(shapeDeformer, shapeDeformer.timeline.playheadAt(time));
+      }
+      shapeDeformer.setTime(time * this.options.timeScale);
+    }
+
+    this.renderer.draw(this.options.numPointsTheta, this.options.numPointsPhi);
+  }
+
+  // Restore the live view saved by begin()
+  end() {
+    if (!this.saved) return;
+    const { renderer, camera, shapeDeformer, sequencer, saved } = this;
+    const canvas = renderer.canvas;
+
+    shapeDeformer.applyPreset(saved.preset);
+    shapeDeformer.setTime(saved.time);
+    if (sequencer) sequencer.time = saved.sequencerTime;
+    renderer.setLightDirection(saved.lightDir.x, saved.lightDir.y, saved.lightDir.z);
+
+    // A camera on a path carries on along it from the wall clock
+    if (!saved.pathMode) camera.setPose(saved.pose);
+
+    if (renderer.autoResize && typeof window !== 'undefined') {
+      window.addEventListener('resize', renderer.resizeCanvas);
+      renderer.resizeCanvas();
+    } else {
+      canvas.width = saved.width;
+      canvas.height = saved.height;
+      camera.setAspect(saved.aspect);
+    }
+    this.saved = null;
+  }
+}
+
+/**
+ * Renders a frame sequence in the browser and bundles the PNGs into a zip. Each PNG is only
+ * read to checksum it and the archive is assembled from the PNG Blobs, so the frames are
+ * never copied into one buffer. Throws before rendering when there are more frames than a
+ * zip can hold, and once the archive would exceed 4 GB.
+ * @param {Object} scene - { renderer, camera, shapeDeformer, sequencer? }
+ * @param {Object} options - See DEFAULT_RENDER_OPTIONS; options.onProgress(done, total) is
+ *   called after each frame and options.signal (an AbortSignal) cancels the render
+ * @returns {Promise<Blob>} The zip archive
+ */
+export async function renderFramesToZip(scene, options = {}) {
+  const frames = new OfflineFrameRenderer(scene, options);
+  const canvas = scene.renderer.canvas;
+  const zip = new ZipWriter();
+
+  if (frames.frameCount > MAX_ZIP_ENTRIES) {
+    throw new Error(`${frames.frameCount} frames do not fit in a zip (at most ${MAX_ZIP_ENTRIES}); shorten the duration or lower the frame rate`);
+  }
+
+  frames.begin();
+  try {
+    for (let i = 0; i < frames.frameCount; i++) {
+      if (options.signal && options.signal.aborted) throw new Error('Render cancelled');
+
+      frames.renderFrame(i);
+      // Capture straight after drawing: a WebGL canvas does not keep its drawing buffer
+      const blob = await canvasToPNGBlob(canvas);
+      zip.addEntry(frames.frameFileName(i), blob, blob.size, crc32(new Uint8Array(await blob.arrayBuffer())));
+
+      if (options.onProgress) options.onProgress(i + 1, frames.frameCount);
+    }
+  } finally {
+    frames.end();
+  }
+
+  return new Blob(zip.finish(), { type: 'application/zip' });
+}
+
+/**
+ * Renders a frame sequence in Node and writes the numbered PNGs to a directory. The canvas
+ * must provide toBuffer('image/png') (node-canvas) or a 2D context with getImageData().
+ * @param {Object} scene - { renderer, camera, shapeDeformer, sequencer? }
+ * @param {string} directory - Output directory (created if missing)
+ * @param {Object} options - See DEFAULT_RENDER_OPTIONS; options.onProgress(done, total)
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+export async function renderFramesToDirectory(scene, directory, options = {}) {
+  const { mkdir, writeFile } = await import('node:fs/promises');
+  const { join } = await import('node:path');
+  const { deflateSync } = await import('node:zlib');
+
+  const frames = new OfflineFrameRenderer(scene, options);
+  const canvas = scene.renderer.canvas;
+  const paths = [];
+
+  await mkdir(directory, { recursive: true });
+  frames.begin();
+  try {
+    for (let i = 0; i < frames.frameCount; i++) {
+      frames.renderFrame(i);
+
+      let png;
+      if (typeof canvas.toBuffer === 'function') {
+        png = canvas.toBuffer('image/png');
+      } else {
+        const image = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        png = encodePNG(image.width, image.height, image.data, deflateSync);
+      }
+
+      const path = join(directory, frames.frameFileName(i));
+      await writeFile(path, png);
+      paths.push(path);
+
+      if (options.onProgress) options.onProgress(i + 1, frames.frameCount);
+    }
+  } finally {
+    frames.end();
+  }
+  return paths;
+}
+
+// canvas.toBlob() as a promise
+function canvasToPNGBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not capture the canvas'))), 'image/png');
+  });
+}
@@ -1,8 +1,19 @@
 // generalUI.js
 // A module to handle general UI controls for the nuChladni application
 
+import { createShapeCommand, getHistoryShortcut } from './history.js';
+import { TESSELLATION_TYPES, TESSELLATION_LABELS } from './tessellation.js';
+import { BASE_SURFACE_TYPES, createBaseSurface } from './baseSurfaces.js';
+
+// Prefixes of the selector values when built-in and user presets are listed together
+const BUILTIN_PRESET_PREFIX = 'builtin:';
+const USER_PRESET_PREFIX = 'user:';
+
 /**
- * Sets up the preset selector UI
+ * Sets up the preset selector UI. With options.library (a PresetLibrary) the user's presets
+ * are listed in a second group after the built-in ones and kept in sync with the library.
+ * With options.history (a CommandHistory) applying a preset is an undoable step, and with
+ * options.morph (a PresetMorph) the shape morphs to the chosen preset instead of snapping.
  * @param {Object} shapeDeformer - The ShapeDeformer instance
  * @param {Object} presetConfigurations - The preset configurations object
  * @param {HTMLElement} parentElement - The parent element to append the controls to
@@ -36,17 +47,18 @@ export function setupPresetSelector(
     presetSelector.style.zIndex = config.zIndex;
     
     // Add preset options
-    for (const presetKey in presetConfigurations) {
-      const option = document.createElement('option');
-      option.value = presetKey;
-      option.textContent = presetConfigurations[presetKey].name;
-      presetSelector.appendChild(option);
+    const renderOptions = () => renderPresetOptions(presetSelector, presetConfigurations, config.library);
+    renderOptions();
+    
+    if (config.library) {
+      config.library.addListener(renderOptions);
     }
     
     // Handle preset selection change
     presetSelector.addEventListener('change', () => {
-      const selectedPreset = presetConfigurations[presetSelector.value];
-      shapeDeformer.applyPreset(selectedPreset);
+      const selectedPreset = getSelectedPreset(presetSelector, presetConfigurations, config.library);
+      if (!selectedPreset) return;
+      applyPresetWithHistory(shapeDeformer, selectedPreset, config.history, config.morph);
       
       // Call the update callback to update UI
       if (updateCallback) {
@@ -59,6 +71,279 @@ export function setupPresetSelector(
     return presetSelector;
   }
   
+  /**
+   * Fills a <select> with the built-in presets and, given a library, a second group with the
+   * user's presets. Selected presets that still exist stay selected.
+   * @param {HTMLSelectElement} selectElement - The select to fill (single or multiple)
+   * @param {Object} presetConfigurations - The built-in preset configurations
+   * @param {Object} library - The PresetLibrary, or null
+   */
+  export function renderPresetOptions(selectElement, presetConfigurations, library = null) {
+    const selected = new Set([...selectElement.selectedOptions].map(option => option.value));
+    selectElement.innerHTML = '';
+    
+    if (!library) {
+      for (const presetKey in presetConfigurations) {
+        selectElement.appendChild(createOption(presetKey, presetConfigurations[presetKey].name));
+      }
+    } else {
+      const builtInGroup = document.createElement('optgroup');
+      builtInGroup.label = 'Built-in';
+      for (const presetKey in presetConfigurations) {
+        builtInGroup.appendChild(createOption(BUILTIN_PRESET_PREFIX + presetKey, presetConfigurations[presetKey].name));
+      }
+      selectElement.appendChild(builtInGroup);
+      
+      const userEntries = library.list();
+      if (userEntries.length > 0) {
+        const userGroup = document.createElement('optgroup');
+        userGroup.label = 'My Presets';
+        for (const entry of userEntries) {
+          userGroup.appendChild(createOption(USER_PRESET_PREFIX + entry.id, entry.preset.name));
+        }
+        selectElement.appendChild(userGroup);
+      }
+    }
+    
+    // Keep the selection if the presets still exist
+    if (selected.size > 0) {
+      for (const option of selectElement.options) {
+        option.selected = selected.has(option.value);
+      }
+    }
+  }
+  
+  /**
+   * Looks up the preset an option value of renderPresetOptions() stands for
+   * @param {string} value - The option value
+   * @param {Object} presetConfigurations - The built-in preset configurations
+   * @param {Object} library - The PresetLibrary, if user presets are listed
+   * @returns {Object|null} The preset
+   */
+  export function resolvePresetValue(value, presetConfigurations, library = null) {
+    if (library && value.startsWith(USER_PRESET_PREFIX)) {
+      return library.get(value.slice(USER_PRESET_PREFIX.length));
+    }
+    const key = value.startsWith(BUILTIN_PRESET_PREFIX) ? value.slice(BUILTIN_PRESET_PREFIX.length) : value;
+    return presetConfigurations[key] || null;
+  }
+  
+  /**
+   * Looks up the preset currently chosen in a preset selector
+   * @param {HTMLSelectElement} presetSelector - Selector created by setupPresetSelector()
+   * @param {Object} presetConfigurations - The built-in preset configurations
+   * @param {Object} library - The PresetLibrary, if the selector lists user presets
+   * @returns {Object|null} The selected preset
+   */
+  export function getSelectedPreset(presetSelector, presetConfigurations, library = null) {
+    return resolvePresetValue(presetSelector.value, presetConfigurations, library);
+  }
+  
+  /**
+   * ID of the user preset chosen in a preset selector
+   * @param {HTMLSelectElement} presetSelector - Selector created by setupPresetSelector()
+   * @returns {string|null} The library ID, or null if a built-in preset is selected
+   */
+  export function getSelectedUserPresetId(presetSelector) {
+    const value = presetSelector.value;
+    return value.startsWith(USER_PRESET_PREFIX) ? value.slice(USER_PRESET_PREFIX.length) : null;
+  }
+  
+  /**
+   * Sets up the preset library controls: save the current shape as a new preset, rename,
+   * delete, export the selected preset to a JSON file and import presets from JSON files
+   * @param {Object} shapeDeformer - The ShapeDeformer instance
+   * @param {Object} library - The PresetLibrary instance
+   * @param {HTMLSelectElement} presetSelector - Selector created by setupPresetSelector() with the same library
+   * @param {Object} presetConfigurations - The built-in preset configurations
+   * @param {HTMLElement} parentElement - The parent element to append the controls to
+   * @param {Function} updateCallback - Function to call to update UI after an imported preset is applied
+   * @param {Object} options - Configuration options; options.history records applying an imported preset
+   * @returns {Object} Object containing references to the created UI elements
+   */
+  export function setupPresetLibraryControls(
+    shapeDeformer,
+    library,
+    presetSelector,
+    presetConfigurations,
+    parentElement,
+    updateCallback,
+    options = {}
+  ) {
+    // Default options
+    const defaultOptions = {
+      position: { top: '210px', right: '10px' },
+      zIndex: 101,
+      history: null
+    };
+    
+    // Merge options with defaults
+    const config = { ...defaultOptions, ...options };
+    
+    // Create the container
+    const container = document.createElement('div');
+    container.className = 'preset-library-controls';
+    container.style.position = 'absolute';
+    container.style.top = config.position.top;
+    container.style.right = config.position.right;
+    container.style.zIndex = config.zIndex;
+    
+    const createButton = (text, title, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      container.appendChild(button);
+      return button;
+    };
+    
+    const saveButton = createButton('Save As', 'Save the current shape as a new preset', () => {
+      const name = window.prompt('Preset name:', `My Preset ${library.list().length + 1}`);
+      if (!name) return;
+      
+      const id = library.save(shapeDeformer.getCurrentPreset(name));
+      presetSelector.value = USER_PRESET_PREFIX + id;
+      updateButtons();
+    });
+    
+    const renameButton = createButton('Rename', 'Rename the selected preset', () => {
+      const id = getSelectedUserPresetId(presetSelector);
+      if (!id) return;
+      
+      const name = window.prompt('New name:', library.get(id).name);
+      if (name) library.rename(id, name);
+    });
+    
+    const deleteButton = createButton('Delete', 'Delete the selected preset', () => {
+      const id = getSelectedUserPresetId(presetSelector);
+      if (!id) return;
+      
+      if (window.confirm(`Delete preset "${library.get(id).name}"?`)) {
+        library.delete(id);
+        updateButtons();
+      }
+    });
+    
+    createButton('Export', 'Download the selected preset as a JSON file', () => {
+      const preset = getSelectedPreset(presetSelector, presetConfigurations, library);
+      if (!preset) return;
+      
+      const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `${fileNameFromTitle(preset.name || 'preset')}.json`);
+    });
+    
+    // Hidden file input used by the import button
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.json,application/json';
+    importInput.multiple = true;
+    importInput.style.display = 'none';
+    container.appendChild(importInput);
+    
+    createButton('Import', 'Add presets from JSON files', () => importInput.click());
+    
+    importInput.addEventListener('change', async () => {
+      const ids = [];
+      const problems = [];
+      
+      for (const file of importInput.files) {
+        try {
+          const result = library.importJSON(await file.text());
+          ids.push(...result.ids);
+          problems.push(...result.warnings);
+        } catch (error) {
+          problems.push(`${file.name}: ${error.message}`);
+        }
+      }
+      importInput.value = ''; // Allow importing the same file again
+      
+      // Apply the first imported preset
+      if (ids.length > 0) {
+        presetSelector.value = USER_PRESET_PREFIX + ids[0];
+        problems.push(...applyPresetWithHistory(shapeDeformer, library.get(ids[0]), config.history));
+        if (updateCallback) updateCallback();
+      }
+      updateButtons();
+      
+      if (problems.length > 0) {
+        window.alert(`Imported ${ids.length} preset(s) with warnings:\n${problems.join('\n')}`);
+      }
+    });
+    
+    // Rename and delete only apply to user presets
+    const updateButtons = () => {
+      const isUserPreset = getSelectedUserPresetId(presetSelector) !== null;
+      renameButton.disabled = !isUserPreset;
+      deleteButton.disabled = !isUserPreset;
+    };
+    updateButtons();
+    presetSelector.addEventListener('change', updateButtons);
+    
+    parentElement.appendChild(container);
+    
+    return {
+      container,
+      saveButton,
+      renameButton,
+      deleteButton,
+      importInput
+    };
+  }
+  
+  /**
+   * Offers a blob to the user as a file download
+   * @param {Blob} blob - The file contents
+   * @param {string} fileName - The suggested file name
+   */
+  export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  /**
+   * Applies a preset, as an undoable step when a history is given
+   * @param {Object} shapeDeformer - The ShapeDeformer instance
+   * @param {Object} preset - The preset to apply
+   * @param {Object} history - The CommandHistory, or null
+   * @param {Object} morph - A PresetMorph to morph to the preset instead of applying it at once, or null
+   * @returns {Array<string>} Warnings from applying the preset
+   */
+  export function applyPresetWithHistory(shapeDeformer, preset, history, morph = null) {
+    const apply = () => (morph ? morph.morphTo(preset) : { warnings: shapeDeformer.applyPreset(preset), target: null });
+    if (!history) {
+      return apply().warnings;
+    }
+    
+    let warnings = [];
+    history.execute(createShapeCommand(shapeDeformer, `Preset: ${preset.name || 'Untitled'}`, () => {
+      const result = apply();
+      warnings = result.warnings;
+      return result.target;
+    }));
+    return warnings;
+  }
+  
+  // Create an <option> element
+  function createOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+  }
+  
+  // File-system friendly version of a title ("Moon Surface" -> "moon-surface")
+  function fileNameFromTitle(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'preset';
+  }
+  
   /**
    * Sets up a reset button for the deformation modes
    * @param {HTMLElement} parentElement - The parent element to append the button to
@@ -96,4 +381,352 @@ export function setupPresetSelector(
     parentElement.appendChild(resetButton);
     
     return resetButton;
-  }
\ No newline at end of file
+  }
+
+  /**
+   * Sets up a selector for the base tessellation of the sphere (UV, icosphere, cube sphere)
+   * @param {Object} shapeDeformer - The ShapeDeformer instance
+   * @param {HTMLElement} parentElement - The parent element to append the selector to
+   * @param {Object} options - Configuration options; options.onChange() is called after a change
+   * @returns {Object} Object containing the select element and an update function
+   */
+  export function setupTessellationSelector(shapeDeformer, parentElement, options = {}) {
+    // Default options
+    const defaultOptions = {
+      position: { top: '10px', right: '10px' },
+      zIndex: 101,
+      onChange: null
+    };
+    
+    // Merge options with defaults
+    const config = { ...defaultOptions, ...options };
+    
+    const select = document.createElement('select');
+    select.title = 'Base tessellation of the sphere';
+    select.style.position = 'absolute';
+    select.style.top = config.position.top;
+    select.style.right = config.position.right;
+    select.style.zIndex = config.zIndex;
+    
+    for (const type of TESSELLATION_TYPES) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = TESSELLATION_LABELS[type];
+      select.appendChild(option);
+    }
+    
+    select.addEventListener('change', () => {
+      shapeDeformer.setTessellation(select.value);
+      if (config.onChange) config.onChange();
+    });
+    
+    // Show the current tessellation (call after it changed elsewhere, e.g. a restored link)
+    const update = () => {
+      select.value = shapeDeformer.tessellation;
+    };
+    update();
+    
+    parentElement.appendChild(select);
+    
+    return { select, update };
+  }
+
+  /**
+   * Sets up the base surface panel: the surface the modes displace (sphere, torus,
+   * superellipsoid, capped cylinder or plate) and sliders for its parameters
+   * @param {Object} shapeDeformer - The ShapeDeformer instance
+   * @param {HTMLElement} parentElement - The parent element to append the panel to
+   * @param {Object} options - Configuration options; options.onChange() is called after a change
+   * @returns {Object} Object containing references to the created UI elements and an update function
+   */
+  export function setupBaseSurfaceControls(shapeDeformer, parentElement, options = {}) {
+    // Default options
+    const defaultOptions = {
+      position: { top: '10px', right: '200px' },
+      zIndex: 101,
+      onChange: null
+    };
+    
+    // Merge options with defaults
+    const config = { ...defaultOptions, ...options };
+    
+    const panel = document.createElement('details');
+    panel.className = 'base-surface-panel';
+    panel.style.position = 'absolute';
+    panel.style.top = config.position.top;
+    panel.style.right = config.position.right;
+    panel.style.zIndex = config.zIndex;
+    panel.style.background = 'rgba(255, 255, 255, 0.8)';
+    panel.style.padding = '5px';
+    panel.style.borderRadius = '5px';
+    panel.style.fontSize = '12px';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = 'Base Surface';
+    summary.style.cursor = 'pointer';
+    panel.appendChild(summary);
+    
+    const typeSelect = document.createElement('select');
+    for (const type of BASE_SURFACE_TYPES) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = createBaseSurface(type).name;
+      typeSelect.appendChild(option);
+    }
+    panel.appendChild(typeSelect);
+    
+    const paramsContainer = document.createElement('div');
+    panel.appendChild(paramsContainer);
+    
+    const notifyChange = () => {
+      if (config.onChange) config.onChange();
+    };
+    
+    // One slider per parameter of the current surface
+    const renderParams = () => {
+      paramsContainer.innerHTML = '';
+      const surface = shapeDeformer.baseSurface;
+      for (const param of surface.getParamSchema()) {
+        const row = document.createElement('div');
+        const label = document.createElement('label');
+        label.textContent = `${param.label}: `;
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(param.min);
+        slider.max = String(param.max);
+        slider.step = String(param.step);
+        slider.value = String(surface[param.name]);
+        
+        const valueDisplay = document.createElement('span');
+        valueDisplay.className = 'value-display';
+        valueDisplay.textContent = surface[param.name].toFixed(2);
+        
+        slider.addEventListener('input', () => {
+          surface.setParam(param.name, parseFloat(slider.value));
+          valueDisplay.textContent = surface[param.name].toFixed(2);
+          notifyChange();
+        });
+        
+        row.appendChild(label);
+        row.appendChild(slider);
+        row.appendChild(valueDisplay);
+        paramsContainer.appendChild(row);
+      }
+    };
+    
+    typeSelect.addEventListener('change', () => {
+      shapeDeformer.setBaseSurface(typeSelect.value);
+      renderParams();
+      notifyChange();
+    });
+    
+    // Show the current surface (call after it changed elsewhere, e.g. a restored link)
+    const update = () => {
+      typeSelect.value = shapeDeformer.baseSurface.type;
+      renderParams();
+    };
+    update();
+    
+    parentElement.appendChild(panel);
+    
+    return { panel, typeSelect, update };
+  }
+
+  /**
+   * Sets up the global animation controls: play/pause, restart and a time-scale slider
+   * @param {Object} clock - The AnimationClock instance
+   * @param {HTMLElement} parentElement - The parent element to append the controls to
+   * @param {Object} options - Configuration options
+   * @returns {Object} Object containing references to the created UI elements
+   */
+  export function setupPlaybackControls(clock, parentElement, options = {}) {
+    // Default options
+    const defaultOptions = {
+      position: { top: '170px', right: '10px' },
+      zIndex: 101,
+      minTimeScale: -2,
+      maxTimeScale: 4,
+      timeScaleStep: 0.1
+    };
+    
+    // Merge options with defaults
+    const config = { ...defaultOptions, ...options };
+    
+    // Create the container
+    const container = document.createElement('div');
+    container.className = 'playback-controls';
+    container.style.position = 'absolute';
+    container.style.top = config.position.top;
+    container.style.right = config.position.right;
+    container.style.zIndex = config.zIndex;
+    container.style.background = 'rgba(255, 255, 255, 0.8)';
+    container.style.padding = '5px';
+    container.style.borderRadius = '5px';
+    container.style.fontSize = '12px';
+    
+    // Play/pause button
+    const playButton = document.createElement('button');
+    const updatePlayButton = () => {
+      playButton.textContent = clock.playing ? 'Pause' : 'Play';
+    };
+    updatePlayButton();
+    playButton.addEventListener('click', () => {
+      clock.toggle();
+      updatePlayButton();
+    });
+    
+    // Restart button
+    const restartButton = document.createElement('button');
+    restartButton.textContent = 'Restart';
+    restartButton.addEventListener('click', () => clock.reset());
+    
+    // Time-scale slider
+    const timeScaleLabel = document.createElement('span');
+    timeScaleLabel.textContent = ' Speed: ';
+    const timeScaleSlider = document.createElement('input');
+    timeScaleSlider.type = 'range';
+    timeScaleSlider.min = config.minTimeScale.toString();
+    timeScaleSlider.max = config.maxTimeScale.toString();
+    timeScaleSlider.step = config.timeScaleStep.toString();
+    timeScaleSlider.value = clock.timeScale.toString();
+    timeScaleSlider.style.width = '80px';
+    
+    const timeScaleValue = document.createElement('span');
+    timeScaleValue.textContent = `${clock.timeScale.toFixed(1)}x`;
+    
+    timeScaleSlider.addEventListener('input', () => {
+      clock.setTimeScale(parseFloat(timeScaleSlider.value));
+      timeScaleValue.textContent = `${clock.timeScale.toFixed(1)}x`;
+    });
+    
+    container.appendChild(playButton);
+    container.appendChild(restartButton);
+    container.appendChild(timeScaleLabel);
+    container.appendChild(timeScaleSlider);
+    container.appendChild(timeScaleValue);
+    parentElement.appendChild(container);
+    
+    return {
+      container,
+      playButton,
+      restartButton,
+      timeScaleSlider,
+      // Refresh the controls after the clock was changed elsewhere
+      update: () => {
+        updatePlayButton();
+        timeScaleSlider.value = clock.timeScale.toString();
+        timeScaleValue.textContent = `${clock.timeScale.toFixed(1)}x`;
+      }
+    };
+  }
+
+  /**
+   * Sets up the undo/redo controls: Undo and Redo buttons, the keyboard shortcuts
+   * (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y) and a list of the history steps; clicking a
+   * step undoes or redoes everything up to it
+   * @param {Object} history - The CommandHistory instance
+   * @param {HTMLElement} parentElement - The parent element to append the controls to
+   * @param {Object} options - Configuration options
+   * @returns {Object} Object containing references to the created UI elements
+   */
+  export function setupHistoryPanel(history, parentElement, options = {}) {
+    // Default options
+    const defaultOptions = {
+      position: { top: '290px', right: '10px' },
+      zIndex: 101,
+      listHeight: '150px',
+      initialLabel: 'Start'
+    };
+    
+    // Merge options with defaults
+    const config = { ...defaultOptions, ...options };
+    
+    // Create the container
+    const container = document.createElement('div');
+    container.className = 'history-panel';
+    container.style.position = 'absolute';
+    container.style.top = config.position.top;
+    container.style.right = config.position.right;
+    container.style.zIndex = config.zIndex;
+    container.style.background = 'rgba(255, 255, 255, 0.8)';
+    container.style.padding = '5px';
+    container.style.borderRadius = '5px';
+    container.style.fontSize = '12px';
+    container.style.width = '180px';
+    
+    const undoButton = document.createElement('button');
+    undoButton.textContent = 'Undo';
+    undoButton.title = 'Undo (Ctrl+Z)';
+    undoButton.addEventListener('click', () => history.undo());
+    
+    const redoButton = document.createElement('button');
+    redoButton.textContent = 'Redo';
+    redoButton.title = 'Redo (Ctrl+Shift+Z)';
+    redoButton.addEventListener('click', () => history.redo());
+    
+    // Steps, oldest first; the entry before the first step is the initial state
+    const list = document.createElement('ol');
+    list.start = 0;
+    list.style.maxHeight = config.listHeight;
+    list.style.overflowY = 'auto';
+    list.style.margin = '5px 0 0 0';
+    list.style.paddingLeft = '25px';
+    
+    const render = () => {
+      undoButton.disabled = !history.canUndo();
+      redoButton.disabled = !history.canRedo();
+      
+      list.innerHTML = '';
+      const steps = [{ label: config.initialLabel, applied: true }, ...history.list()];
+      steps.forEach((step, position) => {
+        const item = document.createElement('li');
+        item.textContent = step.label;
+        item.style.cursor = 'pointer';
+        item.style.color = step.applied ? '' : '#999';
+        if (position === history.position) {
+          item.style.fontWeight = 'bold';
+        }
+        item.addEventListener('click', () => history.jumpTo(position));
+        list.appendChild(item);
+      });
+      
+      // Keep the current step in view
+      const current = list.children[history.position];
+      if (current) current.scrollIntoView({ block: 'nearest' });
+    };
+    render();
+    history.addListener(render);
+    
+    // Keyboard shortcuts, except while typing into a text field
+    const onKeyDown = (event) => {
+      const shortcut = getHistoryShortcut(event);
+      if (!shortcut) return;
+      
+      const target = event.target;
+      const isTextField = target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'file'].includes(target.type));
+      if (isTextField || target.isContentEditable) return;
+      
+      event.preventDefault();
+      if (shortcut === 'undo') {
+        history.undo();
+      } else {
+        history.redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    
+    container.appendChild(undoButton);
+    container.appendChild(redoButton);
+    container.appendChild(list);
+    parentElement.appendChild(container);
+    
+    return {
+      container,
+      undoButton,
+      redoButton,
+      list,
+      dispose: () => window.removeEventListener('keydown', onKeyDown)
+    };
+  }
@@ -0,0 +1,247 @@
+// history.js - Undo/redo command history for shape and camera changes
+//
+// A command is a plain object:
+//   {
+//     label: 'Noise amplitude',          // Shown in the history list
+//     redo() { ... },                    // Applies the change (also used for the first run)
+//     undo() { ... },                    // Reverts it
+//     coalesceKey: 'amplitude:noise'     // Optional, see below
+//   }
+// Consecutive commands with the same coalesceKey are merged into one history step (the
+// first command's undo with the last command's redo), so dragging a slider produces a
+// single step. Merging stops when seal() is called (e.g. when the slider is released),
+// after an undo/redo, or when more than coalesceInterval ms passed since the last merge.
+
+// Default maximum number of history steps kept
+const DEFAULT_HISTORY_LIMIT = 200;
+
+// Default maximum pause (ms) between two commands that are still merged into one step
+const DEFAULT_COALESCE_INTERVAL = 1000;
+
+export class CommandHistory {
+  constructor(options = {}) {
+    this.limit = options.limit || DEFAULT_HISTORY_LIMIT;
+    this.coalesceInterval = options.coalesceInterval !== undefined ? options.coalesceInterval : DEFAULT_COALESCE_INTERVAL;
+    this.entries = [];    // Commands, oldest first
+    this.position = 0;    // Number of entries currently applied
+    this.sealed = true;   // Whether the newest entry may no longer absorb commands
+    this.lastMergeTime = 0;
+    this.listeners = [];
+  }
+
+  // Call listener(history, action) after every change; action is 'execute', 'undo', 'redo',
+  // 'jump' or 'clear'. Returns a function removing the listener.
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify(action) {
+    this.listeners.forEach(listener => listener(this, action));
+  }
+
+  // Run a command and add it to the history, dropping any steps that were undone
+  execute(command) {
+    command.redo();
+    this.record(command);
+    return command;
+  }
+
+  // Add a command whose change has already been applied
+  record(command) {
+    const now = Date.now();
+    const newest = this.entries[this.position - 1];
+
+    if (
+      !this.sealed &&
+      command.coalesceKey !== undefined &&
+      newest && newest.coalesceKey === command.coalesceKey &&
+      this.position === this.entries.length &&
+      now - this.lastMergeTime <= this.coalesceInterval
+    ) {
+      newest.redo = command.redo;
+      newest.label = command.label;
+      this.lastMergeTime = now;
+      this.notify('execute');
+      return;
+    }
+
+    this.entries.length = this.position;
+    this.entries.push(command);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+    this.position = this.entries.length;
+    this.sealed = command.coalesceKey === undefined;
+    this.lastMergeTime = now;
+    this.notify('execute');
+  }
+
+  // End the current merge, so the next command starts a new step
+  seal() {
+    this.sealed = true;
+  }
+
+  canUndo() {
+    return this.position > 0;
+  }
+
+  canRedo() {
+    return this.position < this.entries.length;
+  }
+
+  undo() {
+    if (!this.canUndo()) return false;
+    this.seal();
+    this.position--;
+    this.entries[this.position].undo();
+    this.notify('undo');
+    return true;
+  }
+
+  redo() {
+    if (!this.canRedo()) return false;
+    this.seal();
+    this.entries[this.position].redo();
+    this.position++;
+    this.notify('redo');
+    return true;
+  }
+
+  // Undo or redo until `position` entries are applied (0 is the state before the first entry)
+  jumpTo(position) {
+    const target = Math.max(0, Math.min(position, this.entries.length));
+    if (target === this.position) return;
+
+    this.seal();
+    while (this.position > target) {
+      this.position--;
+      this.entries[this.position].undo();
+    }
+    while (this.position < target) {
+      this.entries[this.position].redo();
+      this.position++;
+    }
+    this.notify('jump');
+  }
+
+  // Labels of all entries with a flag for the ones currently applied
+  list() {
+    return this.entries.map((entry, i) => ({ label: entry.label, applied: i < this.position }));
+  }
+
+  clear() {
+    this.entries = [];
+    this.position = 0;
+    this.seal();
+    this.notify('clear');
+  }
+}
+
+// ================ COMMANDS ================
+
+// The mode commands find their mode by ID when run, as removing a mode (a region, say)
+// shifts the indices of the ones after it
+
+// Set the amplitude of a mode; drags of the same slider merge into one step
+export function createAmplitudeCommand(shapeDeformer, index, amplitude) {
+  const mode = shapeDeformer.modes[index];
+  const before = mode.amplitude;
+  const at = () => shapeDeformer.findModeIndex(mode.id);
+
+  return {
+    label: `${mode.name} amplitude`,
+    coalesceKey: `amplitude:${mode.id}`,
+    redo: () => shapeDeformer.setAmplitude(at(), amplitude),
+    undo: () => shapeDeformer.setAmplitude(at(), before)
+  };
+}
+
+// Set one schema parameter of a mode
+export function createParamCommand(shapeDeformer, index, name, value) {
+  const mode = shapeDeformer.modes[index];
+  const before = mode.getParam(name);
+  const label = mode.getParamSpec(name).label;
+  const at = () => shapeDeformer.findModeIndex(mode.id);
+
+  return {
+    label: `${mode.name} ${label.toLowerCase()}`,
+    coalesceKey: `param:${mode.id}:${name}`,
+    redo: () => shapeDeformer.setParam(at(), name, value),
+    undo: () => shapeDeformer.setParam(at(), name, before)
+  };
+}
+
+// Change animation settings of a mode (a partial animation object, as for setAnimation())
+export function createAnimationCommand(shapeDeformer, index, animation) {
+  const mode = shapeDeformer.modes[index];
+  const before = { ...mode.animation };
+  const names = Object.keys(animation);
+  const at = () => shapeDeformer.findModeIndex(mode.id);
+
+  return {
+    label: `${mode.name} animation`,
+    coalesceKey: `animation:${mode.id}:${names.join(',')}`,
+    redo: () => shapeDeformer.setAnimation(at(), animation),
+    undo: () => shapeDeformer.setAnimation(at(), before)
+  };
+}
+
+/**
+ * Wraps an arbitrary change of the whole shape (applying a preset, resetting, importing)
+ * in a command. The shape is snapshotted as a preset before and after the change; undo and
+ * redo re-apply those snapshots.
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @param {string} label - Label for the history list
+ * @param {Function} change - Performs the change on its first run. A change that completes
+ *   later (e.g. a morph) returns the final state as a preset, which redo then applies.
+ * @returns {Object} The command
+ */
+export function createShapeCommand(shapeDeformer, label, change) {
+  let before = null;
+  let after = null;
+
+  return {
+    label,
+    redo: () => {
+      if (after) {
+        shapeDeformer.applyPreset(after);
+        return;
+      }
+      before = shapeDeformer.getCurrentPreset(label);
+      after = change() || shapeDeformer.getCurrentPreset(label);
+    },
+    undo: () => shapeDeformer.applyPreset(before)
+  };
+}
+
+// Move the camera to a pose from Camera.getPose(); undo returns to the pose it had before
+export function createCameraPoseCommand(camera, pose, label = 'Camera view') {
+  const before = camera.getPose();
+  const wasFollowingPath = camera.mode === 'path';
+  const pathProgress = camera.getPathProgress();
+
+  return {
+    label,
+    redo: () => camera.setPose(pose),
+    undo: () => {
+      camera.setPose(before);
+      if (wasFollowingPath && camera.positionPath) {
+        camera.startPath(camera.positionPath, camera.rotationPath, camera.pathDuration, camera.perspectiveCurve);
+        camera.setPathProgress(pathProgress);
+      }
+    }
+  };
+}
+
+// Whether a keyboard event is the undo (Ctrl/Cmd+Z) or redo (Ctrl/Cmd+Shift+Z, Ctrl+Y) shortcut
+export function getHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+
+  const key = event.key.toLowerCase();
+  if (key === 'z') return event.shiftKey ? 'redo' : 'undo';
+  if (key === 'y' && !event.shiftKey) return 'redo';
+  return null;
+}
@@ -0,0 +1,423 @@
+// meshExport.js - Export the deformed shape as a triangle mesh (OBJ, binary STL, PLY, glTF)
+//
+// A mesh here is an indexed triangle list:
+//   {
+//     positions: Float32Array,   // x, y, z per vertex
+//     indices: Uint32Array,      // 3 vertex indices per triangle, counter-clockwise seen from outside
+//     normals: Float32Array,     // Optional: x, y, z per vertex (computed when missing)
+//     colors: Float32Array       // Optional: r, g, b (0 to 1) per vertex
+//   }
+// gridToMesh() turns a createDeformedSphere() grid into such a mesh, welding the seam
+// column and collapsing each pole row into a single vertex so the result is watertight.
+//
+// Sizes: every writer multiplies positions by options.scale (or scales the longest bounding
+// box side to options.size) and records options.unit. glTF is always written in metres and
+// Y-up, as its specification requires; the other formats keep the shape's Z-up axes.
+
+// Metres per unit
+export const MESH_UNITS = { mm: 0.001, cm: 0.01, m: 1, in: 0.0254 };
+
+export const DEFAULT_MESH_EXPORT_OPTIONS = {
+  scale: 1,              // Output units per scene unit
+  size: null,            // Longest bounding box side in output units (overrides scale)
+  unit: 'mm',
+  name: 'nuChladni'
+};
+
+/**
+ * Converts a createDeformedSphere() grid (rows from the north to the south pole, each with
+ * numPointsTheta + 1 points whose last repeats the first) into a closed indexed mesh
+ * @param {Array<Array<Object>>} grid - Points as { x, y, z }
+ * @returns {Object} The mesh, with area-weighted vertex normals
+ */
+export function gridToMesh(grid) {
+  const rows = grid.length;
+  const columns = grid[0].length - 1;
+  if (rows < 3 || columns < 3) {
+    throw new Error('The grid needs at least 3 rows and 3 columns to form a closed mesh');
+  }
+
+  const vertexCount = 2 + (rows - 2) * columns;
+  const positions = new Float32Array(vertexCount * 3);
+
+  // Collapse a pole row into its average point (modes may differ slightly around a pole)
+  const setPole = (index, row) => {
+    let x = 0, y = 0, z = 0;
+    for (let i = 0; i < columns; i++) {
+      x += row[i].x;
+      y += row[i].y;
+      z += row[i].z;
+    }
+    positions.set([x / columns, y / columns, z / columns], index * 3);
+  };
+
+  const north = 0;
+  const south = vertexCount - 1;
+  const vertexIndex = (j, i) => 1 + (j - 1) * columns + (i % columns);
+
+  setPole(north, grid[0]);
+  setPole(south, grid[rows - 1]);
+  for (let j = 1; j < rows - 1; j++) {
+    for (let i = 0; i < columns; i++) {
+      const point = grid[j][i];
+      positions.set([point.x, point.y, point.z], vertexIndex(j, i) * 3);
+    }
+  }
+
+  // Caps as triangle fans around the poles, quads (two triangles) in between
+  const indices = [];
+  for (let i = 0; i < columns; i++) {
+    indices.push(north, vertexIndex(1, i), vertexIndex(1, i + 1));
+    indices.push(vertexIndex(rows - 2, i), south, vertexIndex(rows - 2, i + 1));
+  }
+  for (let j = 1; j < rows - 2; j++) {
+    for (let i = 0; i < columns; i++) {
+      const a = vertexIndex(j, i);
+      const b = vertexIndex(j, i + 1);
+      const c = vertexIndex(j + 1, i);
+      const d = vertexIndex(j + 1, i + 1);
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  const mesh = { positions, indices: new Uint32Array(indices) };
+  mesh.normals = computeVertexNormals(mesh);
+  return mesh;
+}
+
+/**
+ * Area-weighted vertex normals of an indexed mesh
+ * @param {Object} mesh - The mesh
+ * @returns {Float32Array} Unit normals, x, y, z per vertex
+ */
+export function computeVertexNormals(mesh) {
+  const { positions, indices } = mesh;
+  const normals = new Float32Array(positions.length);
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const [nx, ny, nz] = faceNormal(positions, indices[t], indices[t + 1], indices[t + 2], false);
+    for (let k = 0; k < 3; k++) {
+      const v = indices[t + k] * 3;
+      normals[v] += nx;
+      normals[v + 1] += ny;
+      normals[v + 2] += nz;
+    }
+  }
+
+  for (let v = 0; v < normals.length; v += 3) {
+    const length = Math.hypot(normals[v], normals[v + 1], normals[v + 2]) || 1;
+    normals[v] /= length;
+    normals[v + 1] /= length;
+    normals[v + 2] /= length;
+  }
+  return normals;
+}
+
+/**
+ * Per-vertex colours showing the displacement from the base surface: blue where the surface
+ * is pushed in, white where it is undisturbed and red where it is pushed out
+ * @param {Float32Array} displacements - Displacement per vertex (see ShapeDeformer.createDeformedMesh())
+ * @returns {Float32Array} r, g, b (0 to 1) per vertex
+ */
+export function colorByDisplacement(displacements) {
+  let maxDisplacement = 0;
+  for (const displacement of displacements) {
+    maxDisplacement = Math.max(maxDisplacement, Math.abs(displacement));
+  }
+
+  const colors = new Float32Array(displacements.length * 3);
+  displacements.forEach((displacement, v) => {
+    const s = maxDisplacement > 0 ? displacement / maxDisplacement : 0;
+    colors[v * 3] = s < 0 ? 1 + s : 1;
+    colors[v * 3 + 1] = 1 - Math.abs(s);
+    colors[v * 3 + 2] = s > 0 ? 1 - s : 1;
+  });
+  return colors;
+}
+
+// Output units per scene unit for the export options
+function resolveScale(mesh, config) {
+  if (!(config.size > 0)) return config.scale;
+
+  const { positions } = mesh;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let v = 0; v < positions.length; v++) {
+    min[v % 3] = Math.min(min[v % 3], positions[v]);
+    max[v % 3] = Math.max(max[v % 3], positions[v]);
+  }
+  const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  return extent > 0 ? config.size / extent : config.scale;
+}
+
+// Copy of the mesh positions multiplied by a factor
+function scalePositions(positions, factor) {
+  return positions.map(value => value * factor);
+}
+
+// Normal of triangle (a, b, c), normalised unless normalise is false (then its length is twice the area)
+function faceNormal(positions, a, b, c, normalise = true) {
+  const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+  const e1x = positions[b * 3] - ax, e1y = positions[b * 3 + 1] - ay, e1z = positions[b * 3 + 2] - az;
+  const e2x = positions[c * 3] - ax, e2y = positions[c * 3 + 1] - ay, e2z = positions[c * 3 + 2] - az;
+  const nx = e1y * e2z - e1z * e2y;
+  const ny = e1z * e2x - e1x * e2z;
+  const nz = e1x * e2y - e1y * e2x;
+  if (!normalise) return [nx, ny, nz];
+  const length = Math.hypot(nx, ny, nz) || 1;
+  return [nx / length, ny / length, nz / length];
+}
+
+// Merge the options with the defaults and check the unit
+function resolveOptions(options) {
+  const config = { ...DEFAULT_MESH_EXPORT_OPTIONS, ...options };
+  if (!(config.unit in MESH_UNITS)) {
+    throw new Error(`Unknown unit "${config.unit}" (expected ${Object.keys(MESH_UNITS).join(', ')})`);
+  }
+  return config;
+}
+
+/**
+ * Wavefront OBJ with vertex normals
+ * @param {Object} mesh - The mesh
+ * @param {Object} options - See DEFAULT_MESH_EXPORT_OPTIONS
+ * @returns {string} The OBJ file
+ */
+export function writeOBJ(mesh, options = {}) {
+  const config = resolveOptions(options);
+  const positions = scalePositions(mesh.positions, resolveScale(mesh, config));
+  const normals = mesh.normals || computeVertexNormals(mesh);
+  const lines = [`# ${config.name}`, `# Units: ${config.unit}`, `o ${config.name}`];
+
+  for (let v = 0; v < positions.length; v += 3) {
+    lines.push(`v ${positions[v].toFixed(6)} ${positions[v + 1].toFixed(6)} ${positions[v + 2].toFixed(6)}`);
+  }
+  for (let v = 0; v < normals.length; v += 3) {
+    lines.push(`vn ${normals[v].toFixed(6)} ${normals[v + 1].toFixed(6)} ${normals[v + 2].toFixed(6)}`);
+  }
+  // OBJ indices start at 1; vertex and normal indices coincide
+  const { indices } = mesh;
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t] + 1, indices[t + 1] + 1, indices[t + 2] + 1];
+    lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Binary STL (facet normals; STL has no per-vertex data)
+ * @param {Object} mesh - The mesh
+ * @param {Object} options - See DEFAULT_MESH_EXPORT_OPTIONS
+ * @returns {ArrayBuffer} The STL file
+ */
+export function writeSTL(mesh, options = {}) {
+  const config = resolveOptions(options);
+  const positions = scalePositions(mesh.positions, resolveScale(mesh, config));
+  const { indices } = mesh;
+  const triangleCount = indices.length / 3;
+
+  const buffer = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(buffer);
+  const header = new TextEncoder().encode(`${config.name} (units: ${config.unit})`.slice(0, 80));
+  new Uint8Array(buffer, 0, 80).set(header);
+  view.setUint32(80, triangleCount, true);
+
+  let offset = 84;
+  for (let t = 0; t < indices.length; t += 3) {
+    const normal = faceNormal(positions, indices[t], indices[t + 1], indices[t + 2]);
+    for (const value of normal) {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    }
+    for (let k = 0; k < 3; k++) {
+      const v = indices[t + k] * 3;
+      view.setFloat32(offset, positions[v], true);
+      view.setFloat32(offset + 4, positions[v + 1], true);
+      view.setFloat32(offset + 8, positions[v + 2], true);
+      offset += 12;
+    }
+    offset += 2; // Attribute byte count
+  }
+  return buffer;
+}
+
+/**
+ * Binary little-endian PLY with normals and 8-bit vertex colours (white without mesh.colors)
+ * @param {Object} mesh - The mesh
+ * @param {Object} options - See DEFAULT_MESH_EXPORT_OPTIONS
+ * @returns {Uint8Array} The PLY file
+ */
+export function writePLY(mesh, options = {}) {
+  const config = resolveOptions(options);
+  const positions = scalePositions(mesh.positions, resolveScale(mesh, config));
+  const normals = mesh.normals || computeVertexNormals(mesh);
+  const { indices, colors } = mesh;
+  const vertexCount = positions.length / 3;
+  const triangleCount = indices.length / 3;
+
+  const header = new TextEncoder().encode([
+    'ply',
+    'format binary_little_endian 1.0',
+    `comment ${config.name}`,
+    `comment Units: ${config.unit}`,
+    `element vertex ${vertexCount}`,
+    'property float x', 'property float y', 'property float z',
+    'property float nx', 'property float ny', 'property float nz',
+    'property uchar red', 'property uchar green', 'property uchar blue',
+    `element face ${triangleCount}`,
+    'property list uchar int vertex_indices',
+    'end_header',
+    ''
+  ].join('\n'));
+
+  const bytes = new Uint8Array(header.length + vertexCount * 27 + triangleCount * 13);
+  bytes.set(header);
+  const view = new DataView(bytes.buffer);
+  let offset = header.length;
+
+  for (let v = 0; v < vertexCount; v++) {
+    for (let k = 0; k < 3; k++) {
+      view.setFloat32(offset, positions[v * 3 + k], true);
+      view.setFloat32(offset + 12, normals[v * 3 + k], true);
+      offset += 4;
+    }
+    offset += 12;
+    for (let k = 0; k < 3; k++) {
+      const value = colors ? colors[v * 3 + k] : 1;
+      view.setUint8(offset++, Math.round(Math.max(0, Math.min(1, value)) * 255));
+    }
+  }
+  for (let t = 0; t < indices.length; t += 3) {
+    view.setUint8(offset++, 3);
+    for (let k = 0; k < 3; k++) {
+      view.setInt32(offset, indices[t + k], true);
+      offset += 4;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * glTF 2.0 binary (.glb) with normals and, when present, vertex colours. Positions are
+ * converted to metres and to glTF's Y-up axes.
+ * @param {Object} mesh - The mesh
+ * @param {Object} options - See DEFAULT_MESH_EXPORT_OPTIONS
+ * @returns {Uint8Array} The GLB file
+ */
+export function writeGLB(mesh, options = {}) {
+  const config = resolveOptions(options);
+  const factor = resolveScale(mesh, config) * MESH_UNITS[config.unit];
+  const sourceNormals = mesh.normals || computeVertexNormals(mesh);
+  const vertexCount = mesh.positions.length / 3;
+
+  // Z-up to Y-up: (x, y, z) -> (x, z, -y)
+  const toYUp = (source, scale) => {
+    const result = new Float32Array(source.length);
+    for (let v = 0; v < source.length; v += 3) {
+      result[v] = source[v] * scale;
+      result[v + 1] = source[v + 2] * scale;
+      result[v + 2] = -source[v + 1] * scale;
+    }
+    return result;
+  };
+  const positions = toYUp(mesh.positions, factor);
+  const normals = toYUp(sourceNormals, 1);
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let v = 0; v < positions.length; v++) {
+    min[v % 3] = Math.min(min[v % 3], positions[v]);
+    max[v % 3] = Math.max(max[v % 3], positions[v]);
+  }
+
+  // One buffer holding every attribute and the indices, each 4-byte aligned
+  const parts = [positions, normals];
+  if (mesh.colors) parts.push(new Float32Array(mesh.colors));
+  parts.push(new Uint32Array(mesh.indices));
+
+  const bufferViews = [];
+  let byteLength = 0;
+  for (const part of parts) {
+    bufferViews.push({
+      buffer: 0,
+      byteOffset: byteLength,
+      byteLength: part.byteLength,
+      target: part instanceof Uint32Array ? 34963 : 34962 // ELEMENT_ARRAY_BUFFER / ARRAY_BUFFER
+    });
+    byteLength += part.byteLength;
+  }
+
+  const FLOAT = 5126;
+  const UNSIGNED_INT = 5125;
+  const accessors = [
+    { bufferView: 0, componentType: FLOAT, count: vertexCount, type: 'VEC3', min, max },
+    { bufferView: 1, componentType: FLOAT, count: vertexCount, type: 'VEC3' }
+  ];
+  const attributes = { POSITION: 0, NORMAL: 1 };
+  if (mesh.colors) {
+    attributes.COLOR_0 = accessors.length;
+    accessors.push({ bufferView: 2, componentType: FLOAT, count: vertexCount, type: 'VEC3' });
+  }
+  const indicesAccessor = accessors.length;
+  accessors.push({ bufferView: bufferViews.length - 1, componentType: UNSIGNED_INT, count: mesh.indices.length, type: 'SCALAR' });
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'nuChladni' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name: config.name }],
+    meshes: [{ name: config.name, primitives: [{ attributes, indices: indicesAccessor, mode: 4 }] }],
+    accessors,
+    bufferViews,
+    buffers: [{ byteLength }]
+  };
+
+  // JSON chunk padded with spaces, binary chunk with zeros, both to 4 bytes
+  const encoder = new TextEncoder();
+  let json = encoder.encode(JSON.stringify(gltf));
+  const jsonPadding = (4 - (json.length % 4)) % 4;
+  json = new Uint8Array([...json, ...new Array(jsonPadding).fill(0x20)]);
+
+  const totalLength = 12 + 8 + json.length + 8 + byteLength;
+  const glb = new Uint8Array(totalLength);
+  const view = new DataView(glb.buffer);
+  view.setUint32(0, 0x46546C67, true);  // 'glTF'
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+  view.setUint32(12, json.length, true);
+  view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+  glb.set(json, 20);
+
+  let offset = 20 + json.length;
+  view.setUint32(offset, byteLength, true);
+  view.setUint32(offset + 4, 0x004E4942, true); // 'BIN'
+  offset += 8;
+  for (const part of parts) {
+    glb.set(new Uint8Array(part.buffer, part.byteOffset, part.byteLength), offset);
+    offset += part.byteLength;
+  }
+  return glb;
+}
+
+// Writers by format, with file extension and MIME type
+export const MESH_FORMATS = {
+  obj: { label: 'OBJ', extension: 'obj', mimeType: 'model/obj', write: writeOBJ },
+  stl: { label: 'STL (binary)', extension: 'stl', mimeType: 'model/stl', write: writeSTL },
+  ply: { label: 'PLY (vertex colours)', extension: 'ply', mimeType: 'application/octet-stream', write: writePLY },
+  glb: { label: 'glTF 2.0 (.glb)', extension: 'glb', mimeType: 'model/gltf-binary', write: writeGLB }
+};
+
+/**
+ * Writes a mesh in one of MESH_FORMATS
+ * @param {Object} mesh - The mesh
+ * @param {string} format - Key of MESH_FORMATS
+ * @param {Object} options - See DEFAULT_MESH_EXPORT_OPTIONS
+ * @returns {Blob} The file contents
+ */
+export function exportMesh(mesh, format, options = {}) {
+  const writer = MESH_FORMATS[format];
+  if (!writer) {
+    throw new Error(`Unknown mesh format "${format}" (expected ${Object.keys(MESH_FORMATS).join(', ')})`);
+  }
+  return new Blob([writer.write(mesh, options)], { type: writer.mimeType });
+}
@@ -0,0 +1,127 @@
+// meshExportUI.js
+// A module to handle the mesh export panel for the nuChladni application
+
+import { MESH_FORMATS, MESH_UNITS, DEFAULT_MESH_EXPORT_OPTIONS, computeVertexNormals, colorByDisplacement, exportMesh } from './meshExport.js';
+import { downloadBlob } from './generalUI.js';
+
+/**
+ * Sets up the mesh export panel: format, mesh resolution, unit and size, and an Export
+ * button that downloads the current deformed shape as a watertight triangle mesh
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @param {HTMLElement} parentElement - The parent element to append the panel to
+ * @param {Object} options - Configuration options
+ * @returns {Object} Object containing references to the created UI elements
+ */
+export function setupMeshExportPanel(shapeDeformer, parentElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    position: { top: '10px', left: '1000px' },
+    zIndex: 101,
+    resolutions: [64, 128, 256, 512],  // Segments around the equator (half as many pole to pole)
+    defaultResolution: 128,
+    fileName: 'nuchladni'
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+
+  // Create the panel container
+  const panel = document.createElement('details');
+  panel.className = 'mesh-export-panel';
+  panel.style.position = 'absolute';
+  panel.style.top = config.position.top;
+  panel.style.left = config.position.left;
+  panel.style.zIndex = config.zIndex;
+  panel.style.background = 'rgba(255, 255, 255, 0.8)';
+  panel.style.padding = '5px';
+  panel.style.borderRadius = '5px';
+  panel.style.fontSize = '12px';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Export Mesh';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  // Labelled control in its own row
+  const addRow = (text, control) => {
+    const row = document.createElement('div');
+    const label = document.createElement('label');
+    label.textContent = text;
+    row.appendChild(label);
+    row.appendChild(control);
+    panel.appendChild(row);
+    return control;
+  };
+
+  const createSelect = (entries) => {
+    const select = document.createElement('select');
+    for (const [value, text] of entries) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    return select;
+  };
+
+  const formatSelect = addRow('Format: ', createSelect(
+    Object.entries(MESH_FORMATS).map(([format, writer]) => [format, writer.label])
+  ));
+
+  const resolutionSelect = addRow('Resolution: ', createSelect(
+    config.resolutions.map(n => [String(n), `${n} × ${n / 2}`])
+  ));
+  resolutionSelect.value = String(config.defaultResolution);
+
+  const unitSelect = addRow('Unit: ', createSelect(Object.keys(MESH_UNITS).map(unit => [unit, unit])));
+  unitSelect.value = DEFAULT_MESH_EXPORT_OPTIONS.unit;
+
+  const sizeInput = document.createElement('input');
+  sizeInput.type = 'number';
+  sizeInput.min = '0';
+  sizeInput.step = 'any';
+  sizeInput.value = '100';
+  sizeInput.style.width = '60px';
+  sizeInput.title = 'Longest side of the bounding box in the chosen unit; leave empty to export one scene unit as one chosen unit';
+  addRow('Size: ', sizeInput);
+
+  const colorCheckbox = document.createElement('input');
+  colorCheckbox.type = 'checkbox';
+  colorCheckbox.checked = true;
+  colorCheckbox.title = 'Colour vertices by displacement (PLY and glTF)';
+  addRow('Displacement colours ', colorCheckbox);
+
+  const exportButton = document.createElement('button');
+  exportButton.textContent = 'Export';
+  exportButton.title = 'Download the current shape as a closed triangle mesh';
+  exportButton.addEventListener('click', () => {
+    const numPointsTheta = parseInt(resolutionSelect.value, 10);
+    // The deformed base tessellation is already indexed with welded seam and poles
+    const deformed = shapeDeformer.createDeformedMesh(numPointsTheta, numPointsTheta / 2);
+    const mesh = { positions: deformed.positions, indices: deformed.indices };
+    mesh.normals = computeVertexNormals(mesh);
+    if (colorCheckbox.checked) {
+      mesh.colors = colorByDisplacement(deformed.displacements);
+    }
+
+    const format = formatSelect.value;
+    const size = parseFloat(sizeInput.value);
+    const blob = exportMesh(mesh, format, {
+      unit: unitSelect.value,
+      size: size > 0 ? size : null
+    });
+    downloadBlob(blob, `${config.fileName}.${MESH_FORMATS[format].extension}`);
+  });
+  panel.appendChild(exportButton);
+
+  parentElement.appendChild(panel);
+
+  return {
+    panel,
+    formatSelect,
+    resolutionSelect,
+    unitSelect,
+    sizeInput,
+    exportButton
+  };
+}
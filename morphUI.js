@@ -0,0 +1,155 @@
+// morphUI.js
+// A module to handle the preset morphing controls for the nuChladni application
+
+import { EASING_TYPES } from './presetMorph.js';
+import { renderPresetOptions, resolvePresetValue } from './generalUI.js';
+
+/**
+ * Sets up the morph panel: transition duration and easing (used whenever the preset selector
+ * morphs to a preset), and a morph sequence that loops through several chosen presets
+ * @param {Object} morph - The PresetMorph instance
+ * @param {Object} presetConfigurations - The built-in preset configurations
+ * @param {HTMLElement} parentElement - The parent element to append the panel to
+ * @param {Object} options - Configuration options; options.library lists user presets too,
+ *   options.onSequenceStart() is called after a sequence was started
+ * @returns {Object} Object containing references to the created UI elements
+ */
+export function setupMorphPanel(morph, presetConfigurations, parentElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    position: { top: '10px', left: '330px' },
+    zIndex: 101,
+    maxDuration: 5000,
+    maxHold: 10000,
+    library: null,
+    onSequenceStart: null
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+
+  // Create the panel container
+  const panel = document.createElement('details');
+  panel.className = 'morph-panel';
+  panel.style.position = 'absolute';
+  panel.style.top = config.position.top;
+  panel.style.left = config.position.left;
+  panel.style.zIndex = config.zIndex;
+  panel.style.background = 'rgba(255, 255, 255, 0.8)';
+  panel.style.padding = '5px';
+  panel.style.borderRadius = '5px';
+  panel.style.fontSize = '12px';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Preset Morphing';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  // Slider showing its value in seconds
+  const createTimeSlider = (text, max, getValue, setValue) => {
+    const row = document.createElement('div');
+    const label = document.createElement('label');
+    label.textContent = text;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = max.toString();
+    slider.step = '100';
+    slider.value = getValue().toString();
+
+    const valueDisplay = document.createElement('span');
+    const updateDisplay = () => {
+      valueDisplay.textContent = ` ${(getValue() / 1000).toFixed(1)} s`;
+    };
+    updateDisplay();
+
+    slider.addEventListener('input', () => {
+      setValue(parseFloat(slider.value));
+      updateDisplay();
+    });
+
+    row.appendChild(label);
+    row.appendChild(slider);
+    row.appendChild(valueDisplay);
+    panel.appendChild(row);
+    return slider;
+  };
+
+  const durationSlider = createTimeSlider('Duration:', config.maxDuration,
+    () => morph.duration, (value) => { morph.duration = value; });
+
+  // Easing selector
+  const easingRow = document.createElement('div');
+  const easingLabel = document.createElement('label');
+  easingLabel.textContent = 'Easing:';
+  const easingSelect = document.createElement('select');
+  for (const easing of EASING_TYPES) {
+    const option = document.createElement('option');
+    option.value = easing;
+    option.textContent = easing;
+    easingSelect.appendChild(option);
+  }
+  easingSelect.value = morph.easing;
+  easingSelect.addEventListener('change', () => {
+    morph.easing = easingSelect.value;
+  });
+  easingRow.appendChild(easingLabel);
+  easingRow.appendChild(easingSelect);
+  panel.appendChild(easingRow);
+
+  // Morph sequence: the chosen presets are visited in list order, then it starts over
+  const sequenceHeading = document.createElement('div');
+  sequenceHeading.className = 'param-heading';
+  sequenceHeading.textContent = 'Sequence (Ctrl+click to pick presets)';
+  panel.appendChild(sequenceHeading);
+
+  const sequenceSelect = document.createElement('select');
+  sequenceSelect.multiple = true;
+  sequenceSelect.size = 6;
+  sequenceSelect.style.width = '100%';
+  const renderSequenceOptions = () => renderPresetOptions(sequenceSelect, presetConfigurations, config.library);
+  renderSequenceOptions();
+  if (config.library) {
+    config.library.addListener(renderSequenceOptions);
+  }
+  panel.appendChild(sequenceSelect);
+
+  const holdSlider = createTimeSlider('Hold:', config.maxHold,
+    () => morph.hold, (value) => { morph.hold = value; });
+
+  const sequenceButton = document.createElement('button');
+  const updateSequenceButton = () => {
+    sequenceButton.textContent = morph.isPlayingSequence() ? 'Stop Sequence' : 'Play Sequence';
+  };
+  updateSequenceButton();
+
+  sequenceButton.addEventListener('click', () => {
+    if (morph.isPlayingSequence()) {
+      morph.stop();
+    } else {
+      const presets = [...sequenceSelect.selectedOptions]
+        .map(option => resolvePresetValue(option.value, presetConfigurations, config.library))
+        .filter(preset => preset);
+      if (presets.length === 0) return;
+
+      morph.playSequence(presets);
+      if (config.onSequenceStart) config.onSequenceStart();
+    }
+    updateSequenceButton();
+  });
+  panel.appendChild(sequenceButton);
+
+  parentElement.appendChild(panel);
+
+  return {
+    panel,
+    durationSlider,
+    easingSelect,
+    sequenceSelect,
+    holdSlider,
+    sequenceButton,
+    // Refresh the sequence button after the morph was stopped elsewhere
+    update: updateSequenceButton
+  };
+}
@@ -0,0 +1,273 @@
+// noise.js - Seeded 3D simplex noise and fractal variants shared by the noise-based deformation modes
+
+// The 12 gradient directions of 3D simplex noise (midpoints of the cube's edges)
+const GRAD3 = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+// Skewing factors for 3D simplex noise
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+// Supported fractal variants
+export const NOISE_VARIANTS = ['fbm', 'ridged', 'billow'];
+
+// Small, fast seeded PRNG (mulberry32) returning floats in [0, 1)
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 3D simplex noise (after Stefan Gustavson) with a permutation table shuffled from a seed,
+// so the same seed always produces the same field
+export class SimplexNoise {
+  constructor(seed = 0) {
+    this.seed = seed;
+
+    // Fisher-Yates shuffle of 0..255 driven by the seeded PRNG
+    const random = createRandom(seed);
+    this.perm = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) this.perm[i] = i;
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const tmp = this.perm[i];
+      this.perm[i] = this.perm[j];
+      this.perm[j] = tmp;
+    }
+  }
+
+  // Hash a lattice point to a gradient index
+  gradientIndex(i, j, k) {
+    const perm = this.perm;
+    return perm[(i + perm[(j + perm[k & 255]) & 255]) & 255] % 12;
+  }
+
+  // Contribution of one simplex corner
+  corner(gradient, x, y, z) {
+    let t = 0.6 - x * x - y * y - z * z;
+    if (t < 0) return 0;
+    t *= t;
+    const g = GRAD3[gradient];
+    return t * t * (g[0] * x + g[1] * y + g[2] * z);
+  }
+
+  // Noise value in roughly [-1, 1]
+  noise3D(x, y, z) {
+    // Skew the input space to find the containing simplex cell
+    const s = (x + y + z) * F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * G3;
+
+    // Distances from the cell origin
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+
+    // Determine which of the six simplices we are in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+      else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+    } else {
+      if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+      else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+      else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    }
+
+    // Offsets of the remaining corners
+    const x1 = x0 - i1 + G3, y1 = y0 - j1 + G3, z1 = z0 - k1 + G3;
+    const x2 = x0 - i2 + 2 * G3, y2 = y0 - j2 + 2 * G3, z2 = z0 - k2 + 2 * G3;
+    const x3 = x0 - 1 + 3 * G3, y3 = y0 - 1 + 3 * G3, z3 = z0 - 1 + 3 * G3;
+
+    const n0 = this.corner(this.gradientIndex(i, j, k), x0, y0, z0);
+    const n1 = this.corner(this.gradientIndex(i + i1, j + j1, k + k1), x1, y1, z1);
+    const n2 = this.corner(this.gradientIndex(i + i2, j + j2, k + k2), x2, y2, z2);
+    const n3 = this.corner(this.gradientIndex(i + 1, j + 1, k + 1), x3, y3, z3);
+
+    // Scale the result to cover roughly [-1, 1]
+    return 32 * (n0 + n1 + n2 + n3);
+  }
+
+  // GLSL source of `float <functionName>(vec3 p)` reproducing noise3D() with this seed's permutation
+  getShaderSource(functionName) {
+    const table = Array.from(this.perm).join(', ');
+    return `const int ${functionName}_perm[256] = int[256](${table});
+
+int ${functionName}_gradient(int i, int j, int k) {
+  return ${functionName}_perm[(i + ${functionName}_perm[(j + ${functionName}_perm[k & 255]) & 255]) & 255] % 12;
+}
+
+float ${functionName}_corner(int gradient, vec3 d) {
+  float t = 0.6 - dot(d, d);
+  if (t < 0.0) return 0.0;
+  t *= t;
+  return t * t * dot(simplexGradient(gradient), d);
+}
+
+float ${functionName}(vec3 p) {
+  float s = (p.x + p.y + p.z) * (1.0 / 3.0);
+  ivec3 cell = ivec3(floor(p + s));
+  float t = float(cell.x + cell.y + cell.z) * (1.0 / 6.0);
+  vec3 d0 = p - (vec3(cell) - t);
+
+  ivec3 o1;
+  ivec3 o2;
+  if (d0.x >= d0.y) {
+    if (d0.y >= d0.z) { o1 = ivec3(1, 0, 0); o2 = ivec3(1, 1, 0); }
+    else if (d0.x >= d0.z) { o1 = ivec3(1, 0, 0); o2 = ivec3(1, 0, 1); }
+    else { o1 = ivec3(0, 0, 1); o2 = ivec3(1, 0, 1); }
+  } else {
+    if (d0.y < d0.z) { o1 = ivec3(0, 0, 1); o2 = ivec3(0, 1, 1); }
+    else if (d0.x < d0.z) { o1 = ivec3(0, 1, 0); o2 = ivec3(0, 1, 1); }
+    else { o1 = ivec3(0, 1, 0); o2 = ivec3(1, 1, 0); }
+  }
+
+  vec3 d1 = d0 - vec3(o1) + (1.0 / 6.0);
+  vec3 d2 = d0 - vec3(o2) + (2.0 / 6.0);
+  vec3 d3 = d0 - 1.0 + (3.0 / 6.0);
+
+  float n = ${functionName}_corner(${functionName}_gradient(cell.x, cell.y, cell.z), d0)
+    + ${functionName}_corner(${functionName}_gradient(cell.x + o1.x, cell.y + o1.y, cell.z + o1.z), d1)
+    + ${functionName}_corner(${functionName}_gradient(cell.x + o2.x, cell.y + o2.y, cell.z + o2.z), d2)
+    + ${functionName}_corner(${functionName}_gradient(cell.x + 1, cell.y + 1, cell.z + 1), d3);
+  return 32.0 * n;
+}`;
+  }
+}
+
+// GLSL source of `vec3 simplexGradient(int index)`, shared by every seeded noise function
+export function simplexGradientShaderSource() {
+  const entries = GRAD3.map(g => `vec3(${g.map(v => v.toFixed(1)).join(', ')})`).join(',\n  ');
+  return `const vec3 SIMPLEX_GRADIENTS[12] = vec3[12](
+  ${entries}
+);
+
+vec3 simplexGradient(int index) {
+  return SIMPLEX_GRADIENTS[index];
+}`;
+}
+
+// Map one octave of raw noise to the chosen variant, staying within [-1, 1]
+export function shapeOctave(value, variant) {
+  switch (variant) {
+    case 'ridged': {
+      // Sharp crests where the noise crosses zero
+      const ridge = 1 - Math.abs(value);
+      return 2 * ridge * ridge - 1;
+    }
+    case 'billow':
+      // Rounded, puffy lobes
+      return 2 * Math.abs(value) - 1;
+    default:
+      return value;
+  }
+}
+
+// GLSL expression applying shapeOctave() to the float expression `value`
+export function shapeOctaveShaderExpression(value, variant) {
+  switch (variant) {
+    case 'ridged':
+      return `(2.0 * (1.0 - abs(${value})) * (1.0 - abs(${value})) - 1.0)`;
+    case 'billow':
+      return `(2.0 * abs(${value}) - 1.0)`;
+    default:
+      return value;
+  }
+}
+
+// Default fractal parameters
+export const DEFAULT_FRACTAL_OPTIONS = {
+  frequency: 1,
+  octaves: 1,
+  lacunarity: 2,
+  gain: 0.5,
+  variant: 'fbm'
+};
+
+/**
+ * Sums octaves of seeded simplex noise: octave i is sampled at frequency·lacunarityⁱ with
+ * weight gainⁱ, shaped by the variant ('fbm', 'ridged' or 'billow'), and the sum is
+ * normalized back to [-1, 1]
+ * @param {SimplexNoise} noise - The seeded noise source
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @param {Object} options - { frequency, octaves, lacunarity, gain, variant }
+ * @returns {number} Fractal noise value in [-1, 1]
+ */
+export function fractalNoise3D(noise, x, y, z, options = {}) {
+  const { frequency, octaves, lacunarity, gain, variant } = { ...DEFAULT_FRACTAL_OPTIONS, ...options };
+
+  let sum = 0;
+  let weight = 1;
+  let totalWeight = 0;
+  let f = frequency;
+
+  for (let octave = 0; octave < octaves; octave++) {
+    sum += weight * shapeOctave(noise.noise3D(x * f, y * f, z * f), variant);
+    totalWeight += weight;
+    weight *= gain;
+    f *= lacunarity;
+  }
+
+  return totalWeight > 0 ? sum / totalWeight : 0;
+}
+
+/**
+ * Builds GLSL statements evaluating fractalNoise3D() into a float variable. The frequency,
+ * octaves, lacunarity and gain may be numbers or GLSL float expressions (such as uniforms,
+ * so they can change without changing the source); the variant is baked in
+ * @param {string} noiseFunction - Name of the seeded noise GLSL function
+ * @param {string} point - GLSL vec3 expression to sample at
+ * @param {string} result - Name of the float variable to declare and assign
+ * @param {Object} options - { frequency, octaves, lacunarity, gain, variant }
+ * @returns {string} GLSL statements
+ */
+export function fractalNoiseShaderSource(noiseFunction, point, result, options = {}) {
+  const { frequency, octaves, lacunarity, gain, variant } = { ...DEFAULT_FRACTAL_OPTIONS, ...options };
+  const float = value => (typeof value === 'number' ? formatFloat(value) : value);
+
+  return `float ${result} = 0.0;
+{
+  float octaveWeight = 1.0;
+  float totalWeight = 0.0;
+  float octaveFrequency = ${float(frequency)};
+  int octaveCount = int(floor(${float(octaves)} + 0.5));
+  for (int octave = 0; octave < octaveCount; octave++) {
+    float octaveValue = ${noiseFunction}(${point} * octaveFrequency);
+    ${result} += octaveWeight * ${shapeOctaveShaderExpression('octaveValue', variant)};
+    totalWeight += octaveWeight;
+    octaveWeight *= ${float(gain)};
+    octaveFrequency *= ${float(lacunarity)};
+  }
+  if (totalWeight > 0.0) ${result} /= totalWeight;
+}`;
+}
+
+// Shared SimplexNoise instances per seed (building the permutation table is cheap but not free)
+const noiseCache = new Map();
+
+export function getSimplexNoise(seed) {
+  let noise = noiseCache.get(seed);
+  if (!noise) {
+    noise = new SimplexNoise(seed);
+    noiseCache.set(seed, noise);
+  }
+  return noise;
+}
+
+// GLSL float literal
+function formatFloat(value) {
+  const text = String(value);
+  return /[.eE]/.test(text) ? text : `${text}.0`;
+}
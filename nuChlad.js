@@ -4,13 +4,49 @@ import { Camera, CameraController, Vector3, PathGenerator } from './camera.js';
 // Import the ShapeDeformer and presets
 import { ShapeDeformer, presetConfigurations } from './shapeDeformer.js';
 
+// Import the user preset library
+import { PresetLibrary } from './presetLibrary.js';
+
+// Import preset morphing
+import { PresetMorph } from './presetMorph.js';
+
+// Import the cinematic sequencer
+import { Sequencer } from './sequencer.js';
+
+// Import the undo/redo history
+import { CommandHistory, createShapeCommand } from './history.js';
+
+// Import the shareable URL state
+import { setupURLStateSync } from './urlState.js';
+
+// Import the global animation clock
+import { AnimationClock } from './animationClock.js';
+
 // Import our new Renderer module
-import { Renderer } from './renderer.js';
+import { createRenderer } from './renderer.js';
+import { WebGLRenderer } from './webglRenderer.js';
 
 // Import UI modules
-import { setupDeformationUI, updateDeformationUI, resetDeformationUI } from './deformationUI.js';
-import { setupCameraUI, setupOrbitSpeedControl } from './cameraUI.js';
-import { setupPresetSelector, setupResetButton } from './generalUI.js';
+import { setupDeformationUI, updateDeformationUI, resetDeformationUI, syncDeformationControls } from './deformationUI.js';
+import { setupCameraUI, setupOrbitSpeedControl, setupCameraBookmarks } from './cameraUI.js';
+import {
+  setupPresetSelector,
+  setupPresetLibraryControls,
+  setupResetButton,
+  setupPlaybackControls,
+  setupHistoryPanel,
+  setupTessellationSelector,
+  setupBaseSurfaceControls
+} from './generalUI.js';
+import { setupCompositionPanel } from './compositionUI.js';
+import { setupSpectrumPanel } from './spectrumUI.js';
+import { setupMorphPanel } from './morphUI.js';
+import { setupTimelinePanel } from './timelineUI.js';
+import { setupSequencerPanel } from './sequencerUI.js';
+import { setupRenderPanel } from './renderUI.js';
+import { setupRecordingPanel } from './recordingUI.js';
+import { setupMeshExportPanel } from './meshExportUI.js';
+import { setupRegionPanel } from './regionUI.js';
 
 // Set up canvas and context
 const canvas = document.getElementById('canvas');
@@ -26,69 +62,225 @@ const depthValue = document.getElementById('depthValue');
 
 // Parameters for our deformable 3D sphere
 const baseRadius = 200;
-const numPointsTheta = 40;  // Resolution along the equator
-const numPointsPhi = 20;    // Resolution from pole to pole
 
 // Initialize the ShapeDeformer
 const shapeDeformer = new ShapeDeformer(baseRadius);
 
-// Initialize our Renderer
-const renderer = new Renderer(canvas, shapeDeformer, {
-  lightDir: { x: 0.5, y: -0.5, z: 0.7 }
-});
+// Optionally add the spherical harmonic basis up to a degree given as ?harmonics=L
+const harmonicDegree = parseInt(new URLSearchParams(window.location.search).get('harmonics'), 10);
+if (harmonicDegree >= 0) {
+  shapeDeformer.addSphericalHarmonics(Math.min(harmonicDegree, 12));
+}
 
 // Reference to the controls container
 const controlsContainer = document.querySelector('.controls');
 
+// Undo/redo history shared by the deformation, preset and camera bookmark controls
+const commandHistory = new CommandHistory();
+
 // Set up the deformation UI
-const { modeSliders, modeValues } = setupDeformationUI(shapeDeformer, controlsContainer);
+const { modeSliders, modeValues } = setupDeformationUI(shapeDeformer, controlsContainer, { history: commandHistory });
+
+// Set up the composition stack (order, blend modes, masks, enable/mute/solo) in the same panel
+const compositionControls = setupCompositionPanel(shapeDeformer, controlsContainer, { history: commandHistory });
+
+// Create and configure the camera
+const camera = new Camera(75, window.innerWidth / window.innerHeight, 1, 5000);
+camera.setPosition(0, 0, 500);
+camera.lookAt(0, 0, 0);
+
+// Make the canvas focusable so it receives the controller's keyboard events
+canvas.tabIndex = 0;
+const cameraController = new CameraController(camera, canvas);
+cameraController.movementSpeed = 200; // World units per second, scaled to the sphere size
+
+// Initialize our Renderer, viewing the shape through the camera.
+// The backend can be picked with ?renderer=webgl|canvas2d (default: WebGL with Canvas2D fallback).
+const rendererBackend = new URLSearchParams(window.location.search).get('renderer') || 'auto';
+const renderer = createRenderer(canvas, shapeDeformer, {
+  backend: rendererBackend,
+  camera,
+  lightDir: { x: 0.5, y: 0.5, z: 0.7 },
+  modelRotationX: (parseFloat(rotXSlider.value) / 100) * Math.PI,
+  depth: parseFloat(depthSlider.value)
+});
+
+// Grid resolution; the WebGL backend evaluates the modes on the GPU and can afford a much finer mesh
+const useFineMesh = renderer instanceof WebGLRenderer;
+const numPointsTheta = useFineMesh ? 256 : 40;  // Resolution along the equator
+const numPointsPhi = useFineMesh ? 128 : 20;    // Resolution from pole to pole
 
 // Update the static slider event listeners
 rotXSlider.addEventListener('input', () => { 
   rotXValue.textContent = rotXSlider.value; 
+  renderer.modelRotationX = (parseFloat(rotXSlider.value) / 100) * Math.PI;
 });
 
 depthSlider.addEventListener('input', () => { 
   depthValue.textContent = depthSlider.value; 
+  renderer.depth = parseFloat(depthSlider.value);
 });
 
-// Create and configure the camera
-const camera = new Camera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-camera.setPosition(0, 0, 500);
-camera.lookAt(0, 0, 0);
-const cameraController = new CameraController(camera, canvas);
-
 // Create PathGenerator
 const pathGen = new PathGenerator();
 
 // Set up the camera UI
-setupCameraUI(camera, pathGen, document.body);
+const cameraUI = setupCameraUI(camera, pathGen, document.body);
 
 // Set up the orbit speed control
 setupOrbitSpeedControl(camera, rotYSlider, rotYValue);
 
+// Refresh the deformation controls after the modes changed as a whole (e.g. a preset was
+// applied); presets may add spherical harmonic modes, so create missing controls first
+function refreshDeformationControls() {
+  syncDeformationControls(shapeDeformer, controlsContainer, modeSliders, modeValues, { history: commandHistory });
+  updateDeformationUI(shapeDeformer, modeSliders, modeValues);
+  compositionControls.update();
+  regionControls.update();
+}
+
+// User presets, persisted in localStorage and listed after the built-in ones
+const presetLibrary = new PresetLibrary();
+
+// Animated transitions between presets (advanced in the animation loop)
+const presetMorph = new PresetMorph(shapeDeformer);
+
 // Set up the preset selector
-setupPresetSelector(
+const presetSelector = setupPresetSelector(
   shapeDeformer, 
   presetConfigurations, 
   document.body, 
   { modeSliders, modeValues }, 
-  updateDeformationUI
+  refreshDeformationControls,
+  { library: presetLibrary, history: commandHistory, morph: presetMorph }
+);
+
+// Set up save/rename/delete/export/import for user presets
+setupPresetLibraryControls(
+  shapeDeformer,
+  presetLibrary,
+  presetSelector,
+  presetConfigurations,
+  document.body,
+  refreshDeformationControls,
+  { history: commandHistory }
 );
 
 // Set up the reset button
 setupResetButton(
   document.body, 
-  resetDeformationUI, 
+  (...args) => commandHistory.execute(
+    createShapeCommand(shapeDeformer, 'Reset deformations', () => resetDeformationUI(...args))
+  ), 
   [shapeDeformer, modeSliders, modeValues]
 );
 
-// Calculate an effective Y-rotation angle from the camera position.
-function calculateAngleFromCamera(camera) {
-  const camX = camera.position.x;
-  const camZ = camera.position.z;
-  return Math.atan2(camX, camZ) * (100 / Math.PI);
-}
+// Choose the base tessellation (UV, icosphere or cube sphere) both renderers draw
+const tessellationSelector = setupTessellationSelector(shapeDeformer, document.body);
+
+// Choose the base surface the modes displace along its normals (sphere, torus, superellipsoid, ...)
+const baseSurfaceControls = setupBaseSurfaceControls(shapeDeformer, document.body);
+
+// Add localized bumps, dents and attractors and place them by clicking the shape
+const regionControls = setupRegionPanel(shapeDeformer, { camera, renderer, canvas }, document.body, {
+  history: commandHistory,
+  onChange: refreshDeformationControls
+});
+
+// Set up the spherical harmonic spectrum panel
+setupSpectrumPanel(shapeDeformer, document.body, {
+  onPresetApplied: refreshDeformationControls,
+  history: commandHistory
+});
+
+// Set up the morph duration/easing and the looping morph sequence
+const morphControls = setupMorphPanel(presetMorph, presetConfigurations, document.body, {
+  library: presetLibrary,
+  onSequenceStart: refreshDeformationControls
+});
+
+// Moving a deformation control takes over from a running morph
+controlsContainer.addEventListener('input', () => {
+  presetMorph.stop();
+  morphControls.update();
+});
+
+// Set up the keyframe timeline panel (the timeline itself is part of the shape and its presets)
+const timelineControls = setupTimelinePanel(shapeDeformer, document.body, {
+  onChange: () => {
+    updateDeformationUI(shapeDeformer, modeSliders, modeValues);
+    urlState.scheduleUpdate();
+  }
+});
+
+// Master timeline for camera shots, zoom, light and deformation keyframes
+const sequencer = new Sequencer({ camera, shapeDeformer, renderer });
+const sequencerControls = setupSequencerPanel(sequencer, document.body, {
+  onChange: () => {
+    presetMorph.stop();
+    refreshDeformationControls();
+    cameraUI.update();
+  }
+});
+
+// Set up the camera bookmarks
+setupCameraBookmarks(camera, document.body, {
+  history: commandHistory,
+  onChange: () => cameraUI.update()
+});
+
+// Set up the history list with undo/redo buttons and shortcuts; after stepping through the
+// history the deformation controls show the restored values
+setupHistoryPanel(commandHistory, document.body);
+commandHistory.addListener((history, action) => {
+  compositionControls.update();
+  if (action === 'execute') return;
+  presetMorph.stop();
+  morphControls.update();
+  refreshDeformationControls();
+});
+
+// Global animation time for the time-animated deformation modes, with play/pause and speed controls
+const clock = new AnimationClock();
+const playbackControls = setupPlaybackControls(clock, document.body);
+
+// Offline rendering of fixed-size, fixed-timestep PNG frame sequences
+const renderControls = setupRenderPanel(
+  { renderer, camera, shapeDeformer, sequencer, clock },
+  document.body,
+  { numPointsTheta, numPointsPhi }
+);
+
+// Record the canvas (without the panels) to a WebM video
+setupRecordingPanel(canvas, camera, document.body);
+
+// Download the current shape as an OBJ, STL, PLY or glTF mesh
+setupMeshExportPanel(shapeDeformer, document.body);
+
+// Keep the whole scene in the URL hash so links reproduce it, restoring any state in the link now
+const urlState = setupURLStateSync(
+  { shapeDeformer, camera, renderer, clock, startOrbit: cameraUI.startOrbit },
+  {
+    onRestore: () => {
+      refreshDeformationControls();
+      tessellationSelector.update();
+      baseSurfaceControls.update();
+      cameraUI.update();
+      playbackControls.update();
+      
+      // Reflect the restored render and orbit settings in the static sliders
+      rotXSlider.value = Math.round(renderer.modelRotationX / Math.PI * 100);
+      rotXValue.textContent = rotXSlider.value;
+      depthSlider.value = renderer.depth;
+      depthValue.textContent = depthSlider.value;
+      if (camera.mode === 'path') {
+        rotYSlider.value = Math.round(50 * 20000 / camera.pathDuration);
+        rotYValue.textContent = rotYSlider.value;
+      }
+    }
+  }
+);
+urlState.restore();
 
 // Animation loop
 let lastTime = performance.now();
@@ -97,17 +289,40 @@ function animate() {
   const deltaTime = currentTime - lastTime;
   lastTime = currentTime;
   
+  // An offline render owns the canvas and the scene until it finishes
+  if (renderControls.isRendering()) {
+    requestAnimationFrame(animate);
+    return;
+  }
+  
   // Update the camera and controller
   cameraController.update(deltaTime / 1000);
   camera.update(deltaTime);
   
-  // Compute the effective rotation
-  const rotX = parseFloat(rotXSlider.value);
-  const camAngle = calculateAngleFromCamera(camera);
-  const depth = parseFloat(depthSlider.value);
+  // A playing sequence owns the deformation time; otherwise the global clock advances it
+  const sequencing = sequencer.update(deltaTime / 1000);
+  if (sequencing) {
+    updateDeformationUI(shapeDeformer, modeSliders, modeValues);
+  } else {
+    shapeDeformer.setTime(clock.update(deltaTime / 1000));
+  }
+  sequencerControls.update();
+  
+  // Advance a preset morph, letting the sliders follow it
+  if (presetMorph.update(deltaTime)) {
+    refreshDeformationControls();
+    urlState.scheduleUpdate();
+  }
+  
+  // Play the keyframe timeline
+  if (shapeDeformer.timeline.update(deltaTime / 1000)) {
+    shapeDeformer.timeline.apply(shapeDeformer);
+    updateDeformationUI(shapeDeformer, modeSliders, modeValues);
+  }
+  timelineControls.update();
   
-  // Use our renderer instead of directly calling drawShape
-  renderer.draw(rotX, camAngle, depth, numPointsTheta, numPointsPhi);
+  // Render the shape through the camera
+  renderer.draw(numPointsTheta, numPointsPhi);
   
   requestAnimationFrame(animate);
 }
@@ -0,0 +1,53 @@
+// png.js - Minimal PNG encoder for RGBA pixel data
+//
+// Used when frames are rendered outside the browser and the canvas implementation has no
+// PNG export of its own. The caller supplies zlib compression (e.g. Node's deflateSync).
+
+import { crc32, concatBytes } from './zip.js';
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/**
+ * Encodes RGBA pixels (as returned by getImageData) as a PNG file
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Pixel data, 4 bytes per pixel, top row first
+ * @param {Function} deflate - zlib compression, bytes => compressed bytes
+ * @returns {Uint8Array} The PNG file bytes
+ */
+export function encodePNG(width, height, rgba, deflate) {
+  // Scanlines, each preceded by filter type 0 (none)
+  const rowLength = width * 4;
+  const raw = new Uint8Array((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(rgba.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+  }
+
+  const header = new DataView(new ArrayBuffer(13));
+  header.setUint32(0, width);
+  header.setUint32(4, height);
+  header.setUint8(8, 8);   // Bit depth
+  header.setUint8(9, 6);   // Colour type: RGBA
+  header.setUint8(10, 0);  // Compression
+  header.setUint8(11, 0);  // Filter
+  header.setUint8(12, 0);  // Interlace
+
+  return concatBytes([
+    PNG_SIGNATURE,
+    createChunk('IHDR', new Uint8Array(header.buffer)),
+    createChunk('IDAT', new Uint8Array(deflate(raw))),
+    createChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+// Length, type, data and CRC of one PNG chunk
+function createChunk(type, data) {
+  const typeBytes = new TextEncoder().encode(type);
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(typeBytes, 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(concatBytes([typeBytes, data])));
+  return chunk;
+}
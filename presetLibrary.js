@@ -0,0 +1,178 @@
+// presetLibrary.js - Persistent library of user presets (saved in localStorage)
+
+import { migratePreset } from './presets.js';
+
+// Default localStorage key of the library
+export const PRESET_LIBRARY_STORAGE_KEY = 'dialecticSphere.presetLibrary';
+
+// Version of the stored library document (independent of the preset format version)
+const LIBRARY_VERSION = 1;
+
+// User presets with stable IDs, persisted as one JSON document. If storage is unavailable
+// (private browsing, Node) the library still works in memory for the current session.
+export class PresetLibrary {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || PRESET_LIBRARY_STORAGE_KEY;
+    this.storage = options.storage !== undefined ? options.storage : defaultStorage();
+    this.entries = [];
+    this.listeners = [];
+    this.load();
+  }
+
+  // Read the library from storage (a missing or corrupt document gives an empty library)
+  load() {
+    this.entries = [];
+    if (!this.storage) return;
+
+    try {
+      const text = this.storage.getItem(this.storageKey);
+      if (!text) return;
+
+      const document = JSON.parse(text);
+      if (Array.isArray(document.presets)) {
+        this.entries = document.presets.filter(entry => entry && entry.id && entry.preset);
+      }
+    } catch (error) {
+      console.warn(`Could not read the preset library: ${error.message}`);
+    }
+  }
+
+  // Write the library to storage and notify listeners
+  persist() {
+    if (this.storage) {
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify({ version: LIBRARY_VERSION, presets: this.entries }));
+      } catch (error) {
+        console.warn(`Could not save the preset library: ${error.message}`);
+      }
+    }
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  // Call listener(library) whenever the library changes; returns a function removing it
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // All entries { id, preset }, in the order they were saved
+  list() {
+    return this.entries.slice();
+  }
+
+  // Preset with the given ID, or null
+  get(id) {
+    const entry = this.entries.find(e => e.id === id);
+    return entry ? entry.preset : null;
+  }
+
+  // Save a preset as a new entry (migrated to the current format); returns its ID
+  save(preset) {
+    const { preset: migrated } = migratePreset(preset);
+    const id = this.createId();
+    this.entries.push({ id, preset: migrated });
+    this.persist();
+    return id;
+  }
+
+  // Replace the preset stored under an ID, keeping its name unless the new one has one
+  update(id, preset) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry) return false;
+
+    const { preset: migrated } = migratePreset(preset);
+    entry.preset = { ...migrated, name: migrated.name || entry.preset.name };
+    this.persist();
+    return true;
+  }
+
+  rename(id, name) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry) return false;
+
+    entry.preset = { ...entry.preset, name };
+    this.persist();
+    return true;
+  }
+
+  delete(id) {
+    const count = this.entries.length;
+    this.entries = this.entries.filter(e => e.id !== id);
+    if (this.entries.length === count) return false;
+
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Adds presets from exported JSON: a single preset, an array of presets or a library
+   * export ({ presets: [...] }). Legacy presets are migrated. Every preset is migrated
+   * before any is added, so a file with an invalid preset adds none of them.
+   * @param {string} text - JSON text
+   * @returns {Object} { ids: IDs of the added presets, warnings: migration warnings }
+   */
+  importJSON(text) {
+    const data = JSON.parse(text);
+    let presets;
+    if (Array.isArray(data)) {
+      presets = data;
+    } else if (data && Array.isArray(data.presets)) {
+      presets = data.presets.map(entry => (entry && entry.preset ? entry.preset : entry));
+    } else {
+      presets = [data];
+    }
+
+    const warnings = [];
+    const migrated = presets.map((preset, i) => {
+      try {
+        const result = migratePreset(preset);
+        warnings.push(...result.warnings);
+        return { ...result.preset, name: result.preset.name || 'Imported Preset' };
+      } catch (error) {
+        throw new Error(presets.length > 1 ? `Preset ${i + 1}: ${error.message}` : error.message);
+      }
+    });
+
+    const ids = [];
+    for (const preset of migrated) {
+      const id = this.createId();
+      this.entries.push({ id, preset });
+      ids.push(id);
+    }
+
+    this.persist();
+    return { ids, warnings };
+  }
+
+  // JSON text of one preset, for exporting to a file
+  exportJSON(id) {
+    const preset = this.get(id);
+    if (!preset) throw new Error(`No preset with ID "${id}"`);
+    return JSON.stringify(preset, null, 2);
+  }
+
+  // JSON text of the whole library
+  exportAllJSON() {
+    return JSON.stringify({ version: LIBRARY_VERSION, presets: this.entries }, null, 2);
+  }
+
+  // Unique entry ID
+  createId() {
+    let id;
+    do {
+      id = `user-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+    } while (this.entries.some(e => e.id === id));
+    return id;
+  }
+}
+
+// localStorage when available and accessible, otherwise null
+function defaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    return null; // Access can throw when storage is disabled
+  }
+}
@@ -0,0 +1,235 @@
+// presetMorph.js - Animated transitions between presets, and looping sequences of presets
+
+import { ANIMATION_PARAM_SCHEMA } from './shapeDeformer.js';
+
+// Easing curves mapping linear progress (0 to 1) to eased progress (0 to 1)
+export const EASING_FUNCTIONS = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  sine: t => 0.5 - 0.5 * Math.cos(Math.PI * t)
+};
+
+export const EASING_TYPES = Object.keys(EASING_FUNCTIONS);
+
+// Default transition settings
+export const DEFAULT_MORPH_OPTIONS = {
+  duration: 1500,      // Milliseconds per transition
+  easing: 'easeInOut',
+  hold: 2000           // Milliseconds a sequence rests on each preset
+};
+
+// Complete state of every mode: amplitude, all parameters and the animation settings
+export function readModeStates(shapeDeformer) {
+  return shapeDeformer.modes.map(mode => ({
+    amplitude: mode.amplitude,
+    params: mode.getParams(),
+    animation: { ...mode.animation }
+  }));
+}
+
+// Write states from readModeStates() back to the modes
+export function writeModeStates(shapeDeformer, states) {
+  states.forEach((state, i) => {
+    const mode = shapeDeformer.modes[i];
+    mode.amplitude = state.amplitude;
+    Object.assign(mode, state.params);
+    mode.animation = { ...state.animation };
+  });
+}
+
+// Blend one value of a schema entry: numbers are interpolated, integer and select values
+// (seeds, octaves, envelope types, ...) switch over halfway through
+function blendValue(param, from, to, t) {
+  if (param.type === 'number') return from + (to - from) * t;
+  return t < 0.5 ? from : to;
+}
+
+/**
+ * Blends two mode states from readModeStates()
+ * @param {Object} mode - The DeformationMode, for its parameter schema
+ * @param {Object} from - State at t = 0
+ * @param {Object} to - State at t = 1
+ * @param {number} t - Blend factor (0 to 1)
+ * @returns {Object} The blended state
+ */
+export function blendModeState(mode, from, to, t) {
+  const params = {};
+  for (const param of mode.getParamSchema()) {
+    params[param.name] = blendValue(param, from.params[param.name], to.params[param.name], t);
+  }
+
+  const animation = {};
+  for (const param of ANIMATION_PARAM_SCHEMA) {
+    animation[param.name] = blendValue(param, from.animation[param.name], to.animation[param.name], t);
+  }
+
+  return {
+    amplitude: from.amplitude + (to.amplitude - from.amplitude) * t,
+    params,
+    animation
+  };
+}
+
+// Morphs a ShapeDeformer from its current state to a preset over time, or through a looping
+// sequence of presets. Drive it with update(deltaTime) from the animation loop.
+export class PresetMorph {
+  constructor(shapeDeformer, options = {}) {
+    const config = { ...DEFAULT_MORPH_OPTIONS, ...options };
+    this.shapeDeformer = shapeDeformer;
+    this.duration = config.duration;
+    this.easing = config.easing;
+    this.hold = config.hold;
+
+    this.from = null;        // Mode states at the start of the transition
+    this.to = null;          // Mode states at its end
+    this.target = null;      // Preset being morphed to
+    this.targetTimeline = null; // Timeline and composition stack of the target, switched to
+    this.targetStack = null;    // when the transition ends
+    this.fadingModes = [];   // Localized modes the target drops, removed when the transition ends
+    this.elapsed = 0;        // Milliseconds into the transition
+    this.active = false;
+
+    this.sequence = null;    // Presets of a running sequence
+    this.sequenceIndex = 0;
+    this.holdRemaining = 0;
+  }
+
+  /**
+   * Starts a transition from the current state to a preset. The preset is resolved (migrated,
+   * spherical harmonics added, values validated) up front; the modes then move towards it.
+   * The current keyframe timeline and composition stack stay in place until the transition
+   * ends, when the preset's replace them; localized modes the preset does not list fade out
+   * and are removed then.
+   * @param {Object} preset - Target preset
+   * @returns {Object} { warnings, target } with the problems found and the exact target state as a preset
+   */
+  morphTo(preset) {
+    this.sequence = null;
+    return this.startTransition(preset);
+  }
+
+  // Start a transition without touching the sequence state
+  startTransition(preset) {
+    const { shapeDeformer } = this;
+
+    // Apply the preset once to resolve it, then return to the current state
+    const modes = [...shapeDeformer.modes];
+    const from = new Map(readModeStates(shapeDeformer).map((state, i) => [modes[i], state]));
+    const timeline = shapeDeformer.timeline.toJSON();
+    const stack = shapeDeformer.stack.toJSON();
+    const warnings = shapeDeformer.applyPreset(preset);
+    const target = shapeDeformer.getCurrentPreset(preset.name, preset.description);
+    this.to = readModeStates(shapeDeformer);
+    this.targetTimeline = shapeDeformer.timeline.toJSON();
+    this.targetStack = shapeDeformer.stack.toJSON();
+
+    // Bring back the modes applyPreset() removed, to fade them out
+    this.fadingModes = modes.filter(mode => !shapeDeformer.modes.includes(mode));
+    for (const mode of this.fadingModes) {
+      shapeDeformer.modes.push(mode);
+      this.to.push({ ...from.get(mode), amplitude: 0 });
+    }
+    shapeDeformer.timeline.load(timeline);
+    shapeDeformer.stack.load(stack);
+
+    // Modes added by the preset start from their off state
+    this.from = this.to.map((state, i) => from.get(shapeDeformer.modes[i]) || {
+      amplitude: 0,
+      params: state.params,
+      animation: state.animation
+    });
+    writeModeStates(shapeDeformer, this.from);
+
+    this.target = target;
+    this.elapsed = 0;
+    this.active = true;
+
+    // A zero duration jumps straight to the target
+    if (this.duration <= 0) this.update(0);
+
+    return { warnings, target };
+  }
+
+  /**
+   * Morphs through presets one after another, resting on each for `hold` ms and starting
+   * over after the last one
+   * @param {Array<Object>} presets - Presets to visit (at least one)
+   */
+  playSequence(presets) {
+    if (presets.length === 0) return;
+
+    this.sequence = presets.slice();
+    this.sequenceIndex = 0;
+    this.holdRemaining = 0;
+    this.startTransition(this.sequence[0]);
+  }
+
+  isPlayingSequence() {
+    return this.sequence !== null;
+  }
+
+  // Stop where the transition currently is
+  stop() {
+    this.active = false;
+    this.sequence = null;
+  }
+
+  // Jump to the end of the current transition (and stop a sequence)
+  finish() {
+    if (this.active) {
+      writeModeStates(this.shapeDeformer, this.to);
+      this.completeTransition();
+    }
+    this.stop();
+  }
+
+  // Switch to the target's timeline and composition stack once its modes are reached
+  completeTransition() {
+    const { shapeDeformer } = this;
+    for (const mode of this.fadingModes) {
+      shapeDeformer.removeMode(shapeDeformer.modes.indexOf(mode));
+    }
+    this.fadingModes = [];
+    shapeDeformer.timeline.load(this.targetTimeline);
+    shapeDeformer.stack.load(this.targetStack);
+  }
+
+  // Progress of the current transition after easing (0 to 1)
+  getProgress() {
+    if (!this.active) return 1;
+    const linear = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+    const ease = EASING_FUNCTIONS[this.easing] || EASING_FUNCTIONS.linear;
+    return ease(linear);
+  }
+
+  // Advance by a time interval (ms); returns whether the modes changed
+  update(deltaTime) {
+    if (!this.active) {
+      return this.sequence !== null && this.updateHold(deltaTime);
+    }
+
+    this.elapsed += deltaTime;
+    const t = this.getProgress();
+    const states = this.to.map((to, i) => blendModeState(this.shapeDeformer.modes[i], this.from[i], to, t));
+    writeModeStates(this.shapeDeformer, states);
+
+    if (this.elapsed >= this.duration) {
+      this.completeTransition();
+      this.active = false;
+      this.holdRemaining = this.hold;
+    }
+    return true;
+  }
+
+  // Count down the rest between two presets of a sequence; returns whether a new transition started
+  updateHold(deltaTime) {
+    this.holdRemaining -= deltaTime;
+    if (this.holdRemaining > 0) return false;
+
+    this.sequenceIndex = (this.sequenceIndex + 1) % this.sequence.length;
+    this.startTransition(this.sequence[this.sequenceIndex]);
+    return true;
+  }
+}
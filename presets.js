@@ -0,0 +1,134 @@
+// presets.js - Versioned preset format, keyed by stable mode IDs
+//
+// A preset (version 2) looks like:
+//   {
+//     version: 2,
+//     name: 'Terrain',
+//     description: '...',
+//     modes: {
+//       noise: { amplitude: 5, params: { octaves: 3 }, animation: { phaseVelocity: 0.2 } },
+//       rugosity: { amplitude: 15 }
+//     },
+//     stack: { order: [...], layers: { noise: { blend: 'multiply' } } },
+//     timeline: { duration: 8, playback: 'loop', tracks: [...] }
+//   }
+// Modes are looked up by their `id`, so presets keep working when modes are added,
+// removed or reordered. Modes not listed in a preset are switched off with default
+// parameters. `params` and `animation` are optional, as are the composition `stack`
+// (see composition.js) and the keyframe `timeline` (see timeline.js).
+//
+// Version 1 presets (the original format) are positional `amplitudes` arrays, optionally
+// with a parallel `animations` array; they are migrated using LEGACY_MODE_ORDER.
+
+export const PRESET_VERSION = 2;
+
+// Mode IDs in the order the original registry created them: the first 12 entries are the
+// modes of the first releases, the next 4 the Chladni plate modes
+export const LEGACY_MODE_ORDER = [
+  'mode1', 'mode2', 'mode3', 'pinch', 'ripple', 'twisted',
+  'noise', 'rugosity', 'gaussianCurvature', 'axialSymmetry', 'radialWaves', 'anisotropic',
+  'chladniSquare', 'chladniGrid', 'chladniCircle', 'chladniRosette'
+];
+
+// Array lengths legacy presets were written with (before and after the Chladni modes)
+const LEGACY_PRESET_LENGTHS = [12, LEGACY_MODE_ORDER.length];
+
+// Stable ID derived from a mode name: "Gaussian Curvature" -> "gaussianCurvature", "Mode 1" -> "mode1"
+export function modeIdFromName(name) {
+  const words = String(name).split(/[^A-Za-z0-9]+/).filter(word => word !== '');
+  if (words.length === 0) return 'mode';
+
+  return words.map((word, i) => (
+    i === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1)
+  )).join('');
+}
+
+// Whether a preset uses the positional (version 1) format
+export function isLegacyPreset(preset) {
+  return !preset.modes && Array.isArray(preset.amplitudes);
+}
+
+/**
+ * Converts a preset to the current version. Legacy positional presets are mapped onto
+ * mode IDs through a mode order (LEGACY_MODE_ORDER by default).
+ * @param {Object} preset - Preset in any supported version
+ * @param {Object} options - { modeOrder: mode IDs for the positions of a legacy preset }
+ * @returns {Object} { preset, warnings } with the migrated preset and any problems found
+ */
+export function migratePreset(preset, options = {}) {
+  const warnings = [];
+  const label = presetLabel(preset);
+
+  if (!preset || typeof preset !== 'object') {
+    throw new Error('Preset must be an object');
+  }
+
+  if (!isLegacyPreset(preset)) {
+    if (!preset.modes || typeof preset.modes !== 'object') {
+      throw new Error(`${label} has neither a modes map nor an amplitudes array`);
+    }
+    if (preset.version > PRESET_VERSION) {
+      warnings.push(`${label} was written by a newer version (${preset.version}); unsupported settings are ignored`);
+    }
+    return { preset: { ...preset, version: PRESET_VERSION }, warnings };
+  }
+
+  const modeOrder = options.modeOrder || LEGACY_MODE_ORDER;
+  const { amplitudes } = preset;
+  const animations = preset.animations || [];
+
+  if (amplitudes.length > modeOrder.length) {
+    warnings.push(`${label} has ${amplitudes.length} amplitudes but only ${modeOrder.length} legacy modes are known; the extra values were ignored`);
+  } else if (!options.modeOrder && !LEGACY_PRESET_LENGTHS.includes(amplitudes.length)) {
+    warnings.push(`${label} has ${amplitudes.length} amplitudes (expected ${LEGACY_PRESET_LENGTHS.join(' or ')}); modes from "${modeOrder[amplitudes.length]}" on are missing and were switched off`);
+  }
+
+  const modes = {};
+  const count = Math.min(amplitudes.length, modeOrder.length);
+  for (let i = 0; i < count; i++) {
+    if (amplitudes[i] === 0 && !animations[i]) continue;
+
+    const entry = { amplitude: amplitudes[i] };
+    if (animations[i]) entry.animation = { ...animations[i] };
+    modes[modeOrder[i]] = entry;
+  }
+
+  const migrated = { version: PRESET_VERSION, name: preset.name, modes };
+  if (preset.description !== undefined) migrated.description = preset.description;
+
+  return { preset: migrated, warnings };
+}
+
+/**
+ * Checks a (migrated) preset against the modes available: unknown mode IDs and
+ * non-numeric amplitudes are reported. Parameter values are checked when applied.
+ * @param {Object} preset - Preset in the current version
+ * @param {Array<string>} modeIds - IDs of the available modes
+ * @returns {Array<string>} Warnings
+ */
+export function validatePreset(preset, modeIds) {
+  const warnings = [];
+  const label = presetLabel(preset);
+  const known = new Set(modeIds);
+
+  for (const [id, entry] of Object.entries(preset.modes)) {
+    if (!known.has(id)) {
+      warnings.push(`${label} refers to unknown mode "${id}", which was ignored`);
+      continue;
+    }
+    if (!entry || typeof entry !== 'object') {
+      warnings.push(`${label} has an invalid entry for mode "${id}"`);
+      continue;
+    }
+    if (entry.amplitude !== undefined && !Number.isFinite(entry.amplitude)) {
+      warnings.push(`${label} has a non-numeric amplitude for mode "${id}"; using 0`);
+    }
+  }
+
+  return warnings;
+}
+
+// Name used in warnings
+function presetLabel(preset) {
+  return preset && preset.name ? `Preset "${preset.name}"` : 'Preset';
+}
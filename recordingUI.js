@@ -0,0 +1,197 @@
+// recordingUI.js
+// A module to handle the video recording panel for the nuChladni application
+
+import { CanvasRecorder, DEFAULT_RECORDING_OPTIONS, getSupportedVideoType } from './videoRecorder.js';
+import { downloadBlob } from './generalUI.js';
+
+/**
+ * Sets up the recording panel: frame rate, bitrate, a countdown before recording starts,
+ * an optional auto-stop after one full camera orbit, and a Record/Stop button that
+ * downloads the canvas recording as WebM
+ * @param {HTMLCanvasElement} canvas - The canvas to record
+ * @param {Object} camera - The camera (its path duration sets the orbit length)
+ * @param {HTMLElement} parentElement - The parent element to append the panel to
+ * @param {Object} options - Configuration options
+ * @returns {Object} Object containing references to the created UI elements
+ */
+export function setupRecordingPanel(canvas, camera, parentElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    position: { top: '10px', left: '880px' },
+    zIndex: 101,
+    countdown: 3,          // Seconds
+    fileName: 'nuchladni.webm'
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+
+  // Create the panel container
+  const panel = document.createElement('details');
+  panel.className = 'recording-panel';
+  panel.style.position = 'absolute';
+  panel.style.top = config.position.top;
+  panel.style.left = config.position.left;
+  panel.style.zIndex = config.zIndex;
+  panel.style.background = 'rgba(255, 255, 255, 0.8)';
+  panel.style.padding = '5px';
+  panel.style.borderRadius = '5px';
+  panel.style.fontSize = '12px';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Record Video';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  // Labelled number input
+  const createNumberInput = (text, value, min, step) => {
+    const row = document.createElement('div');
+    const label = document.createElement('label');
+    label.textContent = text;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(min);
+    input.step = String(step);
+    input.value = String(value);
+    input.style.width = '60px';
+
+    row.appendChild(label);
+    row.appendChild(input);
+    panel.appendChild(row);
+    return input;
+  };
+
+  const fpsInput = createNumberInput('Frame rate: ', DEFAULT_RECORDING_OPTIONS.fps, 1, 1);
+  const bitrateInput = createNumberInput('Bitrate (Mbit/s): ', DEFAULT_RECORDING_OPTIONS.bitrate / 1e6, 0.5, 0.5);
+  const countdownInput = createNumberInput('Countdown (s): ', config.countdown, 0, 1);
+
+  const orbitRow = document.createElement('div');
+  const orbitLabel = document.createElement('label');
+  orbitLabel.textContent = 'Stop after one orbit ';
+  const orbitCheckbox = document.createElement('input');
+  orbitCheckbox.type = 'checkbox';
+  orbitCheckbox.title = 'Record exactly one loop of the camera path (orbit mode only)';
+  orbitLabel.appendChild(orbitCheckbox);
+  orbitRow.appendChild(orbitLabel);
+  panel.appendChild(orbitRow);
+
+  const buttonRow = document.createElement('div');
+  const recordButton = document.createElement('button');
+  recordButton.textContent = 'Record';
+  const statusDisplay = document.createElement('span');
+  statusDisplay.style.marginLeft = '8px';
+  buttonRow.appendChild(recordButton);
+  buttonRow.appendChild(statusDisplay);
+  panel.appendChild(buttonRow);
+
+  if (!getSupportedVideoType()) {
+    recordButton.disabled = true;
+    statusDisplay.textContent = 'Not supported by this browser';
+  }
+
+  // Large countdown number over the canvas; it is a separate element, so it is not recorded
+  const countdownOverlay = document.createElement('div');
+  countdownOverlay.style.position = 'absolute';
+  countdownOverlay.style.top = '50%';
+  countdownOverlay.style.left = '50%';
+  countdownOverlay.style.transform = 'translate(-50%, -50%)';
+  countdownOverlay.style.zIndex = config.zIndex;
+  countdownOverlay.style.fontSize = '96px';
+  countdownOverlay.style.color = 'rgba(200, 30, 30, 0.8)';
+  countdownOverlay.style.pointerEvents = 'none';
+  countdownOverlay.style.display = 'none';
+  parentElement.appendChild(countdownOverlay);
+
+  let recorder = null;
+  let countdownTimer = null;
+  let statusTimer = null;
+
+  const reset = () => {
+    clearInterval(countdownTimer);
+    clearInterval(statusTimer);
+    countdownTimer = null;
+    statusTimer = null;
+    recorder = null;
+    countdownOverlay.style.display = 'none';
+    recordButton.textContent = 'Record';
+  };
+
+  const startRecording = async () => {
+    countdownOverlay.style.display = 'none';
+    recorder = new CanvasRecorder(canvas, {
+      fps: parseFloat(fpsInput.value) || DEFAULT_RECORDING_OPTIONS.fps,
+      bitrate: (parseFloat(bitrateInput.value) || DEFAULT_RECORDING_OPTIONS.bitrate / 1e6) * 1e6
+    });
+    const duration = orbitCheckbox.checked && camera.mode === 'path' ? camera.pathDuration : null;
+
+    try {
+      const finished = recorder.start(duration);
+      const showElapsed = () => {
+        const elapsed = (recorder.getElapsed() / 1000).toFixed(1);
+        statusDisplay.textContent = duration ? `● ${elapsed} / ${(duration / 1000).toFixed(1)} s` : `● ${elapsed} s`;
+      };
+      showElapsed();
+      statusTimer = setInterval(showElapsed, 100);
+
+      const blob = await finished;
+      statusDisplay.textContent = `Saved (${(blob.size / 1e6).toFixed(1)} MB)`;
+      downloadBlob(blob, config.fileName);
+    } catch (error) {
+      statusDisplay.textContent = error.message;
+    } finally {
+      reset();
+    }
+  };
+
+  recordButton.addEventListener('click', () => {
+    // Stop during the countdown or the recording
+    if (countdownTimer || recorder) {
+      if (recorder) {
+        recorder.stop();
+      } else {
+        reset();
+        statusDisplay.textContent = 'Cancelled';
+      }
+      return;
+    }
+
+    if (orbitCheckbox.checked && camera.mode !== 'path') {
+      statusDisplay.textContent = 'Start the orbit first';
+      return;
+    }
+
+    recordButton.textContent = 'Stop';
+    let remaining = Math.max(0, Math.round(parseFloat(countdownInput.value) || 0));
+    if (remaining === 0) {
+      startRecording();
+      return;
+    }
+
+    const showCountdown = () => {
+      countdownOverlay.textContent = String(remaining);
+      statusDisplay.textContent = `Starting in ${remaining}…`;
+    };
+    countdownOverlay.style.display = 'block';
+    showCountdown();
+    countdownTimer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) {
+        showCountdown();
+      } else {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+        startRecording();
+      }
+    }, 1000);
+  });
+
+  parentElement.appendChild(panel);
+
+  return {
+    panel,
+    recordButton,
+    orbitCheckbox,
+    countdownOverlay
+  };
+}
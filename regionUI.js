@@ -0,0 +1,239 @@
+// regionUI.js
+// A module to handle the localized regions panel for the nuChladni application
+
+import { REGION_KINDS, latLonFromDirection, parseRegionModeId } from './shapeDeformer.js';
+import { createShapeCommand } from './history.js';
+
+/**
+ * Finds the direction (as used for region centres) of the point of the shape under a canvas
+ * position: the front-most vertex of a coarse deformed mesh within a few pixels of it
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @param {Object} camera - The camera the shape is viewed through
+ * @param {HTMLCanvasElement} canvas - The canvas the shape is drawn into
+ * @param {number} modelRotationX - The renderer's object tilt around X (radians)
+ * @param {number} clientX - Horizontal position in client pixels
+ * @param {number} clientY - Vertical position in client pixels
+ * @param {Object} options - { resolution: segments around the equator, tolerance: pixels }
+ * @returns {Object|null} { latitude, longitude } in degrees, or null when the shape was missed
+ */
+export function pickSurfaceDirection(shapeDeformer, camera, canvas, modelRotationX, clientX, clientY, options = {}) {
+  const { resolution = 64, tolerance = 12 } = options;
+  const rect = canvas.getBoundingClientRect();
+  const mesh = shapeDeformer.createDeformedMesh(resolution, resolution / 2);
+  const { positions, base } = mesh;
+  const cos = Math.cos(modelRotationX);
+  const sin = Math.sin(modelRotationX);
+
+  camera.updateMatrices();
+  let best = -1;
+  let bestDepth = Infinity;
+  for (let v = 0; v < base.vertexCount; v++) {
+    const x = positions[v * 3];
+    const y = positions[v * 3 + 1];
+    const z = positions[v * 3 + 2];
+
+    // Same object tilt as the renderers
+    const projected = camera.project({ x, y: y * cos - z * sin, z: y * sin + z * cos });
+    if (!projected) continue;
+
+    const screenX = rect.left + (projected.x + 1) / 2 * rect.width;
+    const screenY = rect.top + (1 - projected.y) / 2 * rect.height;
+    if (Math.hypot(screenX - clientX, screenY - clientY) > tolerance) continue;
+
+    if (projected.depth < bestDepth) {
+      bestDepth = projected.depth;
+      best = v;
+    }
+  }
+  if (best === -1) return null;
+
+  return latLonFromDirection({
+    x: base.basePoints[best * 3],
+    y: base.basePoints[best * 3 + 1],
+    z: base.basePoints[best * 3 + 2]
+  });
+}
+
+/**
+ * Sets up the regions panel: add localized modes (bumps/dents and attractors), place their
+ * centres by clicking the shape and remove them again. Their amplitude, radius and falloff
+ * are set in the deformation panel like any other mode.
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @param {Object} scene - { camera, renderer, canvas } used for picking
+ * @param {HTMLElement} parentElement - The parent element to append the panel to
+ * @param {Object} options - Configuration options; with options.history (a CommandHistory)
+ *   changes are undoable, and options.onChange() is called after modes were added or moved
+ * @returns {Object} Object containing references to the created UI elements and an update function
+ */
+export function setupRegionPanel(shapeDeformer, scene, parentElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    position: { top: '10px', right: '320px' },
+    zIndex: 101,
+    defaultAmplitude: 20,
+    pickResolution: 64,
+    dragTolerance: 4,  // Pixels the pointer may move between press and click for a placement
+    history: null,
+    onChange: null
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+  const { camera, renderer, canvas } = scene;
+
+  const panel = document.createElement('details');
+  panel.className = 'region-panel';
+  panel.style.position = 'absolute';
+  panel.style.top = config.position.top;
+  panel.style.right = config.position.right;
+  panel.style.zIndex = config.zIndex;
+  panel.style.background = 'rgba(255, 255, 255, 0.8)';
+  panel.style.padding = '5px';
+  panel.style.borderRadius = '5px';
+  panel.style.fontSize = '12px';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Regions';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  // ---- Add row ----
+  const addRow = document.createElement('div');
+  const kindSelect = document.createElement('select');
+  for (const kind of REGION_KINDS) {
+    const option = document.createElement('option');
+    option.value = kind;
+    option.textContent = kind === 'region' ? 'Bump / dent' : 'Attractor';
+    kindSelect.appendChild(option);
+  }
+  const addButton = document.createElement('button');
+  addButton.textContent = 'Add';
+  addButton.title = 'Add a region, then click the shape to place it';
+  addRow.appendChild(kindSelect);
+  addRow.appendChild(addButton);
+  panel.appendChild(addRow);
+
+  const hint = document.createElement('div');
+  hint.style.color = '#555';
+  panel.appendChild(hint);
+
+  const list = document.createElement('div');
+  panel.appendChild(list);
+
+  parentElement.appendChild(panel);
+
+  // Apply a change to the shape, through the history when there is one
+  const change = (label, apply) => {
+    if (config.history) {
+      config.history.execute(createShapeCommand(shapeDeformer, label, apply));
+    } else {
+      apply();
+    }
+    if (config.onChange) config.onChange();
+    update();
+  };
+
+  // ---- Placing by clicking the shape ----
+  let placing = null; // Mode waiting for a click
+  let pressedAt = null; // Pointer position of the last press on the canvas
+
+  const onCanvasPointerDown = (event) => {
+    pressedAt = { x: event.clientX, y: event.clientY };
+  };
+
+  const onCanvasClick = (event) => {
+    // A click that ends a camera drag does not place the region
+    if (pressedAt && Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y) > config.dragTolerance) return;
+
+    const mode = placing;
+    stopPlacing();
+    const direction = pickSurfaceDirection(
+      shapeDeformer, camera, canvas, renderer.modelRotationX, event.clientX, event.clientY,
+      { resolution: config.pickResolution }
+    );
+    if (!direction) {
+      update();
+      hint.textContent = 'Missed the shape; press Place to try again.';
+      return;
+    }
+    change(`Place ${mode.name}`, () => {
+      mode.setParam('latitude', Math.round(direction.latitude));
+      mode.setParam('longitude', Math.round(direction.longitude));
+    });
+  };
+
+  function startPlacing(mode) {
+    stopPlacing();
+    placing = mode;
+    hint.textContent = `Click the shape to place ${mode.name}.`;
+    canvas.style.cursor = 'crosshair';
+    pressedAt = null;
+    canvas.addEventListener('pointerdown', onCanvasPointerDown);
+    canvas.addEventListener('click', onCanvasClick);
+  }
+
+  function stopPlacing() {
+    placing = null;
+    hint.textContent = '';
+    canvas.style.cursor = '';
+    canvas.removeEventListener('pointerdown', onCanvasPointerDown);
+    canvas.removeEventListener('click', onCanvasClick);
+  }
+
+  addButton.addEventListener('click', () => {
+    let index = -1;
+    change(`Add ${kindSelect.value}`, () => {
+      index = shapeDeformer.addRegion(kindSelect.value);
+      shapeDeformer.setAmplitude(index, config.defaultAmplitude);
+    });
+    startPlacing(shapeDeformer.modes[index]);
+    update();
+  });
+
+  // One row per localized mode: name, centre, and Place and Remove buttons
+  const update = () => {
+    // The mode being placed may have gone (e.g. its addition was undone)
+    if (placing && !shapeDeformer.modes.includes(placing)) stopPlacing();
+
+    list.innerHTML = '';
+    for (const mode of shapeDeformer.modes) {
+      if (!parseRegionModeId(mode.id)) continue;
+
+      const row = document.createElement('div');
+      const name = document.createElement('span');
+      name.textContent = `${mode.name} (${mode.amplitude}) at ${Math.round(mode.latitude)}°, ${Math.round(mode.longitude)}° `;
+      if (mode.amplitude === 0) name.style.opacity = '0.5';
+
+      const placeButton = document.createElement('button');
+      placeButton.textContent = placing === mode ? 'Cancel' : 'Place';
+      placeButton.addEventListener('click', () => {
+        if (placing === mode) {
+          stopPlacing();
+        } else {
+          startPlacing(mode);
+        }
+        update();
+      });
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => {
+        if (placing === mode) stopPlacing();
+        change(`Remove ${mode.name}`, () => shapeDeformer.removeMode(shapeDeformer.modes.indexOf(mode)));
+      });
+
+      row.appendChild(name);
+      row.appendChild(placeButton);
+      row.appendChild(removeButton);
+      list.appendChild(row);
+    }
+  };
+  update();
+
+  return {
+    panel,
+    kindSelect,
+    addButton,
+    update
+  };
+}
@@ -0,0 +1,153 @@
+// renderUI.js
+// A module to handle the offline frame rendering panel for the nuChladni application
+
+import { DEFAULT_RENDER_OPTIONS, renderFramesToZip } from './frameRenderer.js';
+import { downloadBlob } from './generalUI.js';
+
+/**
+ * Sets up the render panel: frame size, frame rate, duration and start time of a PNG
+ * sequence rendered at a fixed timestep and downloaded as a zip
+ * @param {Object} scene - { renderer, camera, shapeDeformer, sequencer? }
+ * @param {HTMLElement} parentElement - The parent element to append the panel to
+ * @param {Object} options - Configuration options; numPointsTheta/numPointsPhi set the mesh
+ *   resolution of the rendered frames
+ * @returns {Object} Object containing references to the created UI elements and isRendering()
+ */
+export function setupRenderPanel(scene, parentElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    position: { top: '10px', left: '760px' },
+    zIndex: 101,
+    numPointsTheta: DEFAULT_RENDER_OPTIONS.numPointsTheta,
+    numPointsPhi: DEFAULT_RENDER_OPTIONS.numPointsPhi,
+    fileName: 'frames.zip'
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+
+  // Create the panel container
+  const panel = document.createElement('details');
+  panel.className = 'render-panel';
+  panel.style.position = 'absolute';
+  panel.style.top = config.position.top;
+  panel.style.left = config.position.left;
+  panel.style.zIndex = config.zIndex;
+  panel.style.background = 'rgba(255, 255, 255, 0.8)';
+  panel.style.padding = '5px';
+  panel.style.borderRadius = '5px';
+  panel.style.fontSize = '12px';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Render Frames';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  // Labelled number input
+  const createNumberInput = (text, value, min, step) => {
+    const row = document.createElement('div');
+    const label = document.createElement('label');
+    label.textContent = text;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(min);
+    input.step = String(step);
+    input.value = String(value);
+    input.style.width = '60px';
+
+    row.appendChild(label);
+    row.appendChild(input);
+    panel.appendChild(row);
+    return input;
+  };
+
+  const widthInput = createNumberInput('Width (px): ', DEFAULT_RENDER_OPTIONS.width, 16, 1);
+  const heightInput = createNumberInput('Height (px): ', DEFAULT_RENDER_OPTIONS.height, 16, 1);
+  const fpsInput = createNumberInput('Frame rate: ', DEFAULT_RENDER_OPTIONS.fps, 1, 1);
+  const durationInput = createNumberInput('Duration (s): ', DEFAULT_RENDER_OPTIONS.duration, 0.1, 0.5);
+  const startInput = createNumberInput('Start (s): ', DEFAULT_RENDER_OPTIONS.startTime, 0, 0.5);
+
+  // Render the sequencer's timeline instead of the free-running animation
+  let sequencerCheckbox = null;
+  if (scene.sequencer) {
+    const row = document.createElement('div');
+    const label = document.createElement('label');
+    label.textContent = 'Use sequencer ';
+    sequencerCheckbox = document.createElement('input');
+    sequencerCheckbox.type = 'checkbox';
+    sequencerCheckbox.title = 'Render the sequence from its master timeline (duration defaults to the sequence length)';
+    sequencerCheckbox.addEventListener('change', () => {
+      if (sequencerCheckbox.checked) durationInput.value = String(scene.sequencer.duration);
+    });
+    label.appendChild(sequencerCheckbox);
+    row.appendChild(label);
+    panel.appendChild(row);
+  }
+
+  const buttonRow = document.createElement('div');
+  const renderButton = document.createElement('button');
+  renderButton.textContent = 'Render';
+  renderButton.title = 'Render the frames and download them as a zip of PNGs';
+
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.disabled = true;
+
+  const progressDisplay = document.createElement('span');
+  progressDisplay.style.marginLeft = '8px';
+
+  buttonRow.appendChild(renderButton);
+  buttonRow.appendChild(cancelButton);
+  buttonRow.appendChild(progressDisplay);
+  panel.appendChild(buttonRow);
+
+  let abortController = null;
+
+  renderButton.addEventListener('click', async () => {
+    if (abortController) return;
+    abortController = new AbortController();
+    renderButton.disabled = true;
+    cancelButton.disabled = false;
+
+    try {
+      const blob = await renderFramesToZip(scene, {
+        width: parseInt(widthInput.value, 10),
+        height: parseInt(heightInput.value, 10),
+        fps: parseFloat(fpsInput.value),
+        duration: parseFloat(durationInput.value),
+        startTime: parseFloat(startInput.value) || 0,
+        timeScale: scene.clock ? scene.clock.timeScale : 1,
+        numPointsTheta: config.numPointsTheta,
+        numPointsPhi: config.numPointsPhi,
+        useSequencer: Boolean(sequencerCheckbox && sequencerCheckbox.checked),
+        signal: abortController.signal,
+        onProgress: (done, total) => {
+          progressDisplay.textContent = `${done} / ${total}`;
+        }
+      });
+      progressDisplay.textContent = 'Done';
+      downloadBlob(blob, config.fileName);
+    } catch (error) {
+      progressDisplay.textContent = error.message;
+    } finally {
+      abortController = null;
+      renderButton.disabled = false;
+      cancelButton.disabled = true;
+    }
+  });
+
+  cancelButton.addEventListener('click', () => {
+    if (abortController) abortController.abort();
+  });
+
+  parentElement.appendChild(panel);
+
+  return {
+    panel,
+    renderButton,
+    cancelButton,
+    // Whether a render is running (the live animation should not draw meanwhile)
+    isRendering: () => abortController !== null
+  };
+}
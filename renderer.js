@@ -1,19 +1,30 @@
 // Renderer module for handling all 3D rendering operations
+import { WebGLRenderer } from './webglRenderer.js';
+
+// Canvas2D renderer: projects and sorts triangles on the CPU (painter's algorithm)
 export class Renderer {
     constructor(canvas, shapeDeformer, config = {}) {
       this.canvas = canvas;
       this.ctx = canvas.getContext('2d');
       this.shapeDeformer = shapeDeformer;
       
-      // Configure light direction with defaults
-      this.lightDir = config.lightDir || { x: 0.5, y: -0.5, z: 0.7 };
+      // Configure light direction with defaults (camera space, +Y up, +Z towards the viewer)
+      this.lightDir = config.lightDir || { x: 0.5, y: 0.5, z: 0.7 };
       this.normalizeLightDirection();
       
+      // Object tilt around X (radians) and depth cueing strength (0-200)
+      this.modelRotationX = config.modelRotationX || 0;
+      this.depth = config.depth !== undefined ? config.depth : 100;
+      
+      // Camera through which the shape is viewed
+      this.camera = config.camera || null;
+      
       // Bind context for methods that might be called externally
       this.resizeCanvas = this.resizeCanvas.bind(this);
       
       // Set up the resize listener if auto-resize is enabled (default true)
-      if (config.autoResize !== false) {
+      this.autoResize = config.autoResize !== false;
+      if (this.autoResize) {
         window.addEventListener('resize', this.resizeCanvas);
         this.resizeCanvas();
       }
@@ -23,6 +34,10 @@ export class Renderer {
     resizeCanvas() {
       this.canvas.width = window.innerWidth;
       this.canvas.height = window.innerHeight;
+      
+      if (this.camera) {
+        this.camera.setAspect(this.canvas.width / this.canvas.height);
+      }
     }
     
     // Normalize the light direction vector
@@ -44,37 +59,37 @@ export class Renderer {
       this.normalizeLightDirection();
     }
     
-    // Rotate a 3D point around X and Y axes
-    rotatePoint(point, angleX, angleY) {
-      const radX = (angleX / 100) * Math.PI;
-      const radY = (angleY / 100) * Math.PI;
-      
-      let { x, y, z } = point;
-      
-      // Rotate around the X axis
-      const y1 = y * Math.cos(radX) - z * Math.sin(radX);
-      const z1 = y * Math.sin(radX) + z * Math.cos(radX);
-      y = y1;
-      z = z1;
-      
-      // Rotate around the Y axis (camera-derived)
-      const x2 = x * Math.cos(radY) + z * Math.sin(radY);
-      const z2 = -x * Math.sin(radY) + z * Math.cos(radY);
-      x = x2;
-      z = z2;
-      
-      return { x, y, z };
+    // Set the camera used to view the shape
+    setCamera(camera) {
+      this.camera = camera;
+      if (this.camera) {
+        this.camera.setAspect(this.canvas.width / this.canvas.height);
+      }
+    }
+    
+    // Rotate a 3D model point around the X axis (object tilt, applied before the camera)
+    rotateModelPoint(point) {
+      const angle = this.modelRotationX;
+      const { x, y, z } = point;
+      
+      return {
+        x,
+        y: y * Math.cos(angle) - z * Math.sin(angle),
+        z: y * Math.sin(angle) + z * Math.cos(angle)
+      };
     }
     
-    // Project a 3D point onto the 2D canvas with perspective
-    projectPoint(point, depth) {
-      const centerX = this.canvas.width / 2;
-      const centerY = this.canvas.height / 2;
-      const depthFactor = depth / 1000;
-      const scale = 1 + point.z * depthFactor;
-      const x2d = centerX + point.x / scale;
-      const y2d = centerY + point.y / scale;
-      return { x: x2d, y: y2d, z: point.z };
+    // Project a world-space point onto the 2D canvas through the camera's view/projection matrices
+    projectPoint(point) {
+      const projected = this.camera.project(point);
+      if (!projected) return null;
+      
+      // Map normalized device coordinates to canvas pixels (canvas Y grows downwards)
+      return {
+        x: (projected.x + 1) / 2 * this.canvas.width,
+        y: (1 - projected.y) / 2 * this.canvas.height,
+        depth: projected.depth
+      };
     }
     
     // Calculate the normal vector for a triangle
@@ -87,6 +102,7 @@ export class Renderer {
         z: v1.x * v2.y - v1.y * v2.x
       };
       const length = Math.sqrt(normal.x ** 2 + normal.y ** 2 + normal.z ** 2);
+      if (length === 0) return null; // Degenerate triangle (e.g. squashed by a deformation)
       normal.x /= length;
       normal.y /= length;
       normal.z /= length;
@@ -94,72 +110,130 @@ export class Renderer {
     }
     
     // Calculate lighting color based on normal and light direction
-    calculateLighting(normal) {
+    // shade: additional multiplier in [0, 1] used for depth cueing
+    calculateLighting(normal, shade = 1) {
       const dot = normal.x * this.lightDir.x + normal.y * this.lightDir.y + normal.z * this.lightDir.z;
-      const intensity = Math.max(0.1, dot);
+      const intensity = Math.max(0.1, dot) * shade;
       const blue = Math.floor(120 + 135 * intensity);
       const green = Math.floor(120 * intensity);
       const red = Math.floor(40 * intensity);
       return `rgb(${red}, ${green}, ${blue})`;
     }
     
-    // Main drawing function to render the shape
-    draw(rotX, camAngle, depth, numPointsTheta, numPointsPhi) {
+    // Main drawing function to render the shape through the camera
+    draw(numPointsTheta, numPointsPhi) {
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      if (!this.camera) return;
+      this.camera.updateMatrices();
+      
+      // Deform the vertices of the base tessellation (indexed, shared between triangles)
+      const mesh = this.shapeDeformer.createDeformedMesh(numPointsTheta, numPointsPhi);
+      const { positions, indices } = mesh;
+      
+      // Transform every vertex once: camera space for lighting/culling, canvas space for drawing
+      const viewPoints = [];
+      const screenPoints = [];
+      for (let v = 0; v < positions.length; v += 3) {
+        const worldPoint = this.rotateModelPoint({ x: positions[v], y: positions[v + 1], z: positions[v + 2] });
+        viewPoints.push(this.camera.worldToCamera(worldPoint));
+        screenPoints.push(this.projectPoint(worldPoint));
+      }
       
-      // Use the ShapeDeformer to create sphere points
-      const spherePoints = this.shapeDeformer.createDeformedSphere(numPointsTheta, numPointsPhi);
       const triangles = [];
+      let minDepth = Infinity;
+      let maxDepth = -Infinity;
       
-      // Build triangles from the grid of sphere points
-      for (let j = 0; j < spherePoints.length - 1; j++) {
-        for (let i = 0; i < spherePoints[j].length - 1; i++) {
-          const p1 = this.rotatePoint(spherePoints[j][i], rotX, camAngle);
-          const p2 = this.rotatePoint(spherePoints[j][i + 1], rotX, camAngle);
-          const p3 = this.rotatePoint(spherePoints[j + 1][i], rotX, camAngle);
-          const p4 = this.rotatePoint(spherePoints[j + 1][i + 1], rotX, camAngle);
-          
-          const p1_2d = this.projectPoint(p1, depth);
-          const p2_2d = this.projectPoint(p2, depth);
-          const p3_2d = this.projectPoint(p3, depth);
-          const p4_2d = this.projectPoint(p4, depth);
-          
-          const normal1 = this.calculateNormal(p1, p2, p3);
-          const normal2 = this.calculateNormal(p2, p4, p3);
-          
-          // Backface culling: only draw triangles facing the camera
-          if (normal1.z < 0) {
-            const color1 = this.calculateLighting(normal1);
-            const avgZ1 = (p1.z + p2.z + p3.z) / 3;
-            triangles.push({ points: [p1_2d, p2_2d, p3_2d], color: color1, avgZ: avgZ1 });
-          }
-          if (normal2.z < 0) {
-            const color2 = this.calculateLighting(normal2);
-            const avgZ2 = (p2.z + p3.z + p4.z) / 3;
-            triangles.push({ points: [p2_2d, p4_2d, p3_2d], color: color2, avgZ: avgZ2 });
-          }
+      // Triangles are counter-clockwise seen from outside, so their normals point outwards
+      for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]];
+        const p1_2d = screenPoints[a];
+        const p2_2d = screenPoints[b];
+        const p3_2d = screenPoints[c];
+        
+        // Outward-facing normal in camera space
+        const normal = this.calculateNormal(viewPoints[a], viewPoints[b], viewPoints[c]);
+        
+        // Backface culling: only draw triangles facing the camera (which sits at the origin)
+        if (normal && p1_2d && p2_2d && p3_2d && this.isFrontFacing(normal, viewPoints[a])) {
+          const depth = (p1_2d.depth + p2_2d.depth + p3_2d.depth) / 3;
+          triangles.push({ points: [p1_2d, p2_2d, p3_2d], normal, depth });
+          minDepth = Math.min(minDepth, depth);
+          maxDepth = Math.max(maxDepth, depth);
         }
       }
       
       // Painter's algorithm: sort triangles back to front
-      triangles.sort((a, b) => a.avgZ - b.avgZ);
+      triangles.sort((a, b) => b.depth - a.depth);
+      
+      // Depth cueing: darken triangles further away, scaled by the depth setting (0-200)
+      const depthRange = maxDepth - minDepth;
+      const depthCue = this.depth / 200;
       
       // Draw the triangles
       for (const tri of triangles) {
+        const relativeDepth = depthRange > 0 ? (tri.depth - minDepth) / depthRange : 0;
+        const color = this.calculateLighting(tri.normal, 1 - 0.6 * depthCue * relativeDepth);
+        
         this.ctx.beginPath();
         this.ctx.moveTo(tri.points[0].x, tri.points[0].y);
         this.ctx.lineTo(tri.points[1].x, tri.points[1].y);
         this.ctx.lineTo(tri.points[2].x, tri.points[2].y);
         this.ctx.closePath();
-        this.ctx.fillStyle = tri.color;
+        this.ctx.fillStyle = color;
         this.ctx.fill();
         this.ctx.strokeStyle = 'rgba(0,0,0,0.2)';
         this.ctx.stroke();
       }
     }
     
+    // A triangle faces the camera when its normal points back towards the camera
+    // (towards the origin for perspective, along +Z for orthographic views)
+    isFrontFacing(normal, viewPoint) {
+      if (this.camera.orthographic) return normal.z > 0;
+      return normal.x * viewPoint.x + normal.y * viewPoint.y + normal.z * viewPoint.z < 0;
+    }
+    
     // Clean up method to remove event listeners
     dispose() {
       window.removeEventListener('resize', this.resizeCanvas);
     }
-  }
\ No newline at end of file
+  }
+
+/**
+ * Creates a renderer for the requested backend, falling back to Canvas2D when WebGL is unavailable
+ * @param {HTMLCanvasElement} canvas - The canvas to draw into
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @param {Object} config - Renderer configuration; config.backend is 'auto' (default), 'webgl' or 'canvas2d'
+ * @returns {Renderer|WebGLRenderer} The created renderer
+ */
+export function createRenderer(canvas, shapeDeformer, config = {}) {
+  const backend = config.backend || 'auto';
+
+  if (backend !== 'canvas2d') {
+    if (!WebGLRenderer.isSupported()) {
+      if (backend === 'webgl') console.warn('WebGL2 is not supported by this browser, falling back to Canvas2D');
+    } else if (canCreateWebGLRenderer(shapeDeformer, config)) {
+      return new WebGLRenderer(canvas, shapeDeformer, config);
+    }
+  }
+
+  return new Renderer(canvas, shapeDeformer, config);
+}
+
+// Set up a WebGL renderer on a throwaway canvas first: once the real canvas holds a WebGL
+// context it can no longer provide a 2D one, so shader or setup errors must surface here
+function canCreateWebGLRenderer(shapeDeformer, config) {
+  const probeCanvas = document.createElement('canvas');
+  try {
+    new WebGLRenderer(probeCanvas, shapeDeformer, { ...config, autoResize: false }).dispose();
+    return true;
+  } catch (error) {
+    console.warn('WebGL renderer unavailable, falling back to Canvas2D:', error);
+    return false;
+  } finally {
+    // Release the probe's context rather than waiting for garbage collection
+    const gl = probeCanvas.getContext('webgl2');
+    const loseContext = gl && gl.getExtension('WEBGL_lose_context');
+    if (loseContext) loseContext.loseContext();
+  }
+}
@@ -0,0 +1,377 @@
+// sequencer.js - Master timeline driving the camera, zoom, deformations and light together
+//
+// A sequence is plain JSON:
+//   {
+//     name: 'Fly-around',
+//     preset: { ... },                 // Optional starting shape (any preset), applied when playback starts
+//     deformation: { tracks: [...] },  // Keyframes on the master clock, in the timeline.js format
+//     shots: [                         // Played back to back
+//       {
+//         name: 'Wide orbit',
+//         duration: 8,                 // Seconds
+//         easing: 'easeInOut',         // Progress curve of the shot (see presetMorph.js)
+//         camera: { type: 'orbit', radius: 600, height: 100, fromAngle: 0, toAngle: 180, target: [0, 0, 0] },
+//         zoom: { from: 1, to: 1.4 },
+//         light: { from: [0.5, 0.5, 0.7], to: [-0.5, 0.5, 0.7] }
+//       }
+//     ],
+//     cues: [{ time: 4, name: 'Ripples peak' }]
+//   }
+// Camera types:
+//   orbit  - arc around `target` at `radius` and `height`, angles in degrees
+//   path   - `points` ([x, y, z] lists) interpolated like Camera.startPath() paths
+//            (Bezier spline for 3n+1 points, Catmull-Rom otherwise), looking at `target`;
+//            a Catmull-Rom path runs from the second to the second-to-last point
+//   static - fixed `position` looking at `target`
+// `zoom` and `light` are optional; without them the shot leaves zoom or light unchanged.
+//
+// Everything is evaluated from the master time alone, so seeking to a time always gives the
+// same frame regardless of frame rate or playback history.
+
+import { Vector3 } from './camera.js';
+import { KeyframeTimeline, validateTimeline } from './timeline.js';
+import { EASING_FUNCTIONS } from './presetMorph.js';
+
+// Arc covered by one Catmull-Rom segment of an orbit (radians)
+const ORBIT_SEGMENT_ANGLE = Math.PI / 8;
+
+// Example sequence: a fly-around while the shape evolves
+export const DEFAULT_SEQUENCE = {
+  name: 'Fly-around',
+  preset: {
+    version: 2,
+    name: 'Fly-around start',
+    modes: {
+      mode1: { amplitude: 8 },
+      chladniSquare: { amplitude: 12 }
+    }
+  },
+  deformation: {
+    tracks: [
+      {
+        mode: 'ripple',
+        property: 'amplitude',
+        interpolation: 'catmullRom',
+        keyframes: [{ time: 0, value: 0 }, { time: 6, value: 20 }, { time: 12, value: 4 }, { time: 20, value: 0 }]
+      },
+      {
+        mode: 'chladniSquare',
+        property: 'm',
+        interpolation: 'linear',
+        keyframes: [{ time: 0, value: 1 }, { time: 20, value: 5 }]
+      }
+    ]
+  },
+  shots: [
+    {
+      name: 'Wide orbit',
+      duration: 8,
+      easing: 'easeInOut',
+      camera: { type: 'orbit', radius: 650, height: 80, fromAngle: 0, toAngle: 180, target: [0, 0, 0] },
+      zoom: { from: 1, to: 1.2 },
+      light: { from: [0.5, 0.5, 0.7], to: [-0.5, 0.6, 0.6] }
+    },
+    {
+      name: 'Crane over the pole',
+      duration: 6,
+      easing: 'sine',
+      camera: {
+        type: 'path',
+        points: [
+          [-700, 0, -100], [-650, 80, 0], [-450, 350, 150], [-150, 550, 150],
+          [-150, 500, -150], [-300, 350, -200], [-394.7, 150, -143.6], [-420, 100, -250]
+        ],
+        target: [0, 0, 0]
+      },
+      zoom: { from: 1.2, to: 1 },
+      light: { from: [-0.5, 0.6, 0.6], to: [0, 1, 0.2] }
+    },
+    {
+      name: 'Close sweep',
+      duration: 6,
+      easing: 'easeOut',
+      camera: { type: 'orbit', radius: 420, height: 150, fromAngle: 200, toAngle: 380, target: [0, 0, 0] },
+      zoom: { from: 1, to: 1.6 },
+      light: { from: [0, 1, 0.2], to: [0.5, 0.5, 0.7] }
+    }
+  ],
+  cues: [
+    { time: 6, name: 'Ripples peak' },
+    { time: 14, name: 'Close-up' }
+  ]
+};
+
+const toVector = (array) => new Vector3(array[0], array[1], array[2]);
+
+// Control points of an orbit arc, padded by one point at either end so that the
+// Catmull-Rom curve runs exactly from the first to the last angle
+function orbitControlPoints(camera) {
+  const from = (camera.fromAngle || 0) * Math.PI / 180;
+  const to = (camera.toAngle !== undefined ? camera.toAngle : 360) * Math.PI / 180;
+  const target = camera.target || [0, 0, 0];
+  const radius = camera.radius || 500;
+  const height = camera.height || 0;
+
+  let segments = Math.max(1, Math.ceil(Math.abs(to - from) / ORBIT_SEGMENT_ANGLE));
+  // Camera.updateAlongPath() reads 3n+1 points as a Bezier spline; keep the count off that
+  if ((segments + 3) % 3 === 1) segments++;
+
+  const points = [];
+  for (let i = -1; i <= segments + 1; i++) {
+    const angle = from + (to - from) * (i / segments);
+    points.push(new Vector3(
+      target[0] + radius * Math.cos(angle),
+      target[1] + height,
+      target[2] + radius * Math.sin(angle)
+    ));
+  }
+  return points;
+}
+
+// Validate a shot and precompute its camera control points
+function prepareShot(shot, index, warnings) {
+  const label = `Shot ${index + 1}${shot.name ? ` ("${shot.name}")` : ''}`;
+  const camera = shot.camera || { type: 'static', position: [0, 0, 500] };
+  const prepared = {
+    ...shot,
+    duration: shot.duration > 0 ? shot.duration : 1,
+    easing: EASING_FUNCTIONS[shot.easing] ? shot.easing : 'linear',
+    camera,
+    target: toVector(camera.target || [0, 0, 0]),
+    points: null
+  };
+
+  if (!(shot.duration > 0)) warnings.push(`${label} has no valid duration; using 1 s`);
+  if (shot.easing && !EASING_FUNCTIONS[shot.easing]) warnings.push(`${label} has unknown easing "${shot.easing}"; using linear`);
+
+  if (camera.type === 'orbit') {
+    prepared.points = orbitControlPoints(camera);
+  } else if (camera.type === 'path') {
+    if (!Array.isArray(camera.points) || camera.points.length < 4) {
+      warnings.push(`${label} needs at least 4 camera path points; the camera stays at the first one`);
+      prepared.points = null;
+      prepared.position = toVector((camera.points && camera.points[0]) || [0, 0, 500]);
+    } else {
+      prepared.points = camera.points.map(toVector);
+    }
+  } else {
+    if (camera.type !== 'static') warnings.push(`${label} has unknown camera type "${camera.type}"; using a static camera`);
+    prepared.position = toVector(camera.position || [0, 0, 500]);
+  }
+
+  return prepared;
+}
+
+// Plays a sequence (see the top of this file) on one master clock. Drive it with
+// update(deltaSeconds) from the animation loop, or call evaluate(time) directly.
+export class Sequencer {
+  constructor(scene, sequence = DEFAULT_SEQUENCE) {
+    this.camera = scene.camera;
+    this.shapeDeformer = scene.shapeDeformer;
+    this.renderer = scene.renderer || null;
+
+    this.time = 0;          // Master time in seconds
+    this.playing = false;
+    this.loop = false;
+    this.listeners = [];
+
+    this.load(sequence);
+  }
+
+  /**
+   * Replaces the sequence
+   * @param {Object} sequence - Sequence data
+   * @returns {Array<string>} Problems found (invalid shots, unknown modes, ...)
+   */
+  load(sequence) {
+    const warnings = [];
+    this.sequence = sequence;
+    this.shots = (sequence.shots || []).map((shot, i) => prepareShot(shot, i, warnings));
+
+    // Start times of the shots
+    let start = 0;
+    for (const shot of this.shots) {
+      shot.start = start;
+      start += shot.duration;
+    }
+    this.duration = start;
+
+    this.cues = (sequence.cues || [])
+      .filter(cue => Number.isFinite(cue.time))
+      .map(cue => ({ ...cue }))
+      .sort((a, b) => a.time - b.time);
+
+    const deformation = sequence.deformation || { tracks: [] };
+    warnings.push(...validateTimeline(deformation, this.shapeDeformer));
+    this.deformation = new KeyframeTimeline({ ...deformation, duration: Math.max(this.duration, 1) });
+
+    this.time = Math.min(this.time, this.duration);
+    return warnings;
+  }
+
+  // Call listener(cue) whenever playback passes a cue point; returns a function removing it
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // Shot playing at a time with its index and progress (0 to 1, before easing), or null without shots
+  getShotAt(time) {
+    if (this.shots.length === 0) return null;
+
+    let index = this.shots.findIndex(shot => time < shot.start + shot.duration);
+    if (index === -1) index = this.shots.length - 1;
+    const shot = this.shots[index];
+    const progress = Math.max(0, Math.min((time - shot.start) / shot.duration, 1));
+    return { shot, index, progress };
+  }
+
+  /**
+   * Sets the camera, zoom, light, deformation keyframes and deformation animation time
+   * for a master time. The result depends on the time only.
+   * @param {number} time - Master time in seconds
+   */
+  evaluate(time) {
+    const { camera, shapeDeformer, renderer } = this;
+    const current = this.getShotAt(time);
+
+    if (current) {
+      const { shot } = current;
+      const t = EASING_FUNCTIONS[shot.easing](current.progress);
+
+      // Zoom follows the shot's perspective curve, as for Camera.startPath()
+      const perspectiveCurve = shot.zoom
+        ? (u) => shot.zoom.from + (shot.zoom.to - shot.zoom.from) * u
+        : null;
+
+      camera.stopPath();
+      if (shot.points) {
+        camera.updateAlongPath(t, shot.points, null, perspectiveCurve);
+      } else {
+        camera.setPosition(shot.position.x, shot.position.y, shot.position.z);
+        if (perspectiveCurve) camera.setZoom(perspectiveCurve(t));
+      }
+      camera.lookAt(shot.target);
+
+      if (renderer && shot.light) {
+        const from = shot.light.from;
+        const to = shot.light.to || from;
+        renderer.setLightDirection(
+          from[0] + (to[0] - from[0]) * t,
+          from[1] + (to[1] - from[1]) * t,
+          from[2] + (to[2] - from[2]) * t
+        );
+      }
+    }
+
+    this.deformation.apply(shapeDeformer, time);
+    shapeDeformer.setTime(time);
+  }
+
+  // Apply the sequence's starting shape, if it has one; returns any warnings
+  applyStartPreset() {
+    return this.sequence.preset ? this.shapeDeformer.applyPreset(this.sequence.preset) : [];
+  }
+
+  play() {
+    if (this.time >= this.duration) this.time = 0;
+    if (this.time === 0) this.applyStartPreset();
+
+    // The sequence owns the deformation time now; the shape's own timeline stops
+    this.shapeDeformer.timeline.pause();
+    this.playing = true;
+    this.evaluate(this.time);
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+    return this.playing;
+  }
+
+  // Pause and rewind to the start
+  stop() {
+    this.playing = false;
+    this.time = 0;
+  }
+
+  // Jump to a time and show it
+  seek(time) {
+    this.time = Math.max(0, Math.min(time, this.duration));
+    this.evaluate(this.time);
+  }
+
+  seekToShot(index) {
+    const shot = this.shots[index];
+    if (shot) this.seek(shot.start);
+  }
+
+  seekToCue(index) {
+    const cue = this.cues[index];
+    if (cue) this.seek(cue.time);
+  }
+
+  // Add a named cue point; returns it
+  addCue(time, name) {
+    const cue = { time, name };
+    this.cues.push(cue);
+    this.cues.sort((a, b) => a.time - b.time);
+    return cue;
+  }
+
+  removeCue(index) {
+    this.cues.splice(index, 1);
+  }
+
+  // Advance the master clock by a time interval (seconds) and evaluate; returns whether it played
+  update(deltaSeconds) {
+    if (!this.playing) return false;
+
+    const previous = this.time;
+    let time = previous + deltaSeconds;
+
+    if (time >= this.duration) {
+      this.fireCues(previous, this.duration);
+      if (this.loop && this.duration > 0) {
+        time %= this.duration;
+        this.fireCues(-1, time);
+      } else {
+        time = this.duration;
+        this.playing = false;
+      }
+    } else {
+      this.fireCues(previous, time);
+    }
+
+    this.time = time;
+    this.evaluate(time);
+    return true;
+  }
+
+  // Notify listeners of the cues in (from, to]
+  fireCues(from, to) {
+    for (const cue of this.cues) {
+      if (cue.time > from && cue.time <= to) {
+        this.listeners.forEach(listener => listener(cue));
+      }
+    }
+  }
+
+  // Sequence data including cues added since loading
+  toJSON() {
+    return {
+      ...this.sequence,
+      deformation: { tracks: this.deformation.toJSON().tracks },
+      cues: this.cues.map(cue => ({ ...cue }))
+    };
+  }
+}
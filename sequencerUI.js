@@ -0,0 +1,239 @@
+// sequencerUI.js
+// A module to handle the cinematic sequencer panel for the nuChladni application
+
+import { downloadBlob } from './generalUI.js';
+
+/**
+ * Sets up the sequencer panel: transport for the master timeline, a scrub bar, the shot
+ * list and cue points (click either to jump there), and JSON export/import of sequences
+ * @param {Object} sequencer - The Sequencer instance
+ * @param {HTMLElement} parentElement - The parent element to append the panel to
+ * @param {Object} options - Configuration options; options.onChange() is called after the
+ *   panel moved the playhead or loaded a sequence
+ * @returns {Object} Object containing references to the created UI elements and an update function
+ */
+export function setupSequencerPanel(sequencer, parentElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    position: { top: '10px', left: '480px' },
+    zIndex: 101,
+    width: 260,
+    onChange: null
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+
+  // Create the panel container
+  const panel = document.createElement('details');
+  panel.className = 'sequencer-panel';
+  panel.style.position = 'absolute';
+  panel.style.top = config.position.top;
+  panel.style.left = config.position.left;
+  panel.style.zIndex = config.zIndex;
+  panel.style.background = 'rgba(255, 255, 255, 0.8)';
+  panel.style.padding = '5px';
+  panel.style.borderRadius = '5px';
+  panel.style.fontSize = '12px';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Sequencer';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  const notifyChange = () => {
+    if (config.onChange) config.onChange();
+  };
+
+  const seek = (time) => {
+    sequencer.seek(time);
+    notifyChange();
+    update();
+  };
+
+  // ---- Transport ----
+  const transportRow = document.createElement('div');
+
+  const playButton = document.createElement('button');
+  playButton.addEventListener('click', () => {
+    sequencer.toggle();
+    notifyChange();
+    update();
+  });
+
+  const stopButton = document.createElement('button');
+  stopButton.textContent = 'Stop';
+  stopButton.title = 'Pause and rewind to the start';
+  stopButton.addEventListener('click', () => {
+    sequencer.stop();
+    seek(0);
+  });
+
+  const loopLabel = document.createElement('span');
+  loopLabel.textContent = ' Loop ';
+  const loopCheckbox = document.createElement('input');
+  loopCheckbox.type = 'checkbox';
+  loopCheckbox.checked = sequencer.loop;
+  loopCheckbox.addEventListener('change', () => {
+    sequencer.loop = loopCheckbox.checked;
+  });
+
+  const timeDisplay = document.createElement('span');
+  timeDisplay.style.marginLeft = '8px';
+
+  transportRow.appendChild(playButton);
+  transportRow.appendChild(stopButton);
+  transportRow.appendChild(loopLabel);
+  transportRow.appendChild(loopCheckbox);
+  transportRow.appendChild(timeDisplay);
+  panel.appendChild(transportRow);
+
+  // ---- Scrub bar ----
+  const scrubSlider = document.createElement('input');
+  scrubSlider.type = 'range';
+  scrubSlider.min = '0';
+  scrubSlider.step = '0.01';
+  scrubSlider.style.width = `${config.width}px`;
+  scrubSlider.addEventListener('input', () => seek(parseFloat(scrubSlider.value)));
+  panel.appendChild(document.createElement('div')).appendChild(scrubSlider);
+
+  // ---- Shot list and cue points ----
+  const createHeading = (text) => {
+    const heading = document.createElement('div');
+    heading.className = 'param-heading';
+    heading.textContent = text;
+    panel.appendChild(heading);
+  };
+
+  const createList = () => {
+    const list = document.createElement('ol');
+    list.style.margin = '2px 0';
+    list.style.paddingLeft = '20px';
+    list.style.maxHeight = '100px';
+    list.style.overflowY = 'auto';
+    panel.appendChild(list);
+    return list;
+  };
+
+  createHeading('Shots');
+  const shotList = createList();
+
+  createHeading('Cues');
+  const cueList = createList();
+
+  const renderLists = () => {
+    shotList.innerHTML = '';
+    sequencer.shots.forEach((shot, i) => {
+      const item = document.createElement('li');
+      item.textContent = `${shot.name || `Shot ${i + 1}`} (${shot.start.toFixed(1)} s, ${shot.duration.toFixed(1)} s)`;
+      item.style.cursor = 'pointer';
+      item.addEventListener('click', () => seek(shot.start));
+      shotList.appendChild(item);
+    });
+
+    cueList.innerHTML = '';
+    sequencer.cues.forEach((cue, i) => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = `${cue.name} (${cue.time.toFixed(2)} s) `;
+      name.style.cursor = 'pointer';
+      name.addEventListener('click', () => seek(cue.time));
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '×';
+      removeButton.title = 'Remove this cue';
+      removeButton.addEventListener('click', () => {
+        sequencer.removeCue(i);
+        renderLists();
+      });
+
+      item.appendChild(name);
+      item.appendChild(removeButton);
+      cueList.appendChild(item);
+    });
+  };
+
+  // ---- Editing and files ----
+  const fileRow = document.createElement('div');
+
+  const addCueButton = document.createElement('button');
+  addCueButton.textContent = 'Add Cue';
+  addCueButton.title = 'Mark the playhead position';
+  addCueButton.addEventListener('click', () => {
+    const name = window.prompt('Cue name:', `Cue ${sequencer.cues.length + 1}`);
+    if (!name) return;
+    sequencer.addCue(sequencer.time, name);
+    renderLists();
+  });
+
+  const exportButton = document.createElement('button');
+  exportButton.textContent = 'Export';
+  exportButton.title = 'Download the sequence as a JSON file';
+  exportButton.addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(sequencer.toJSON(), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'sequence.json');
+  });
+
+  // Hidden file input used by the import button
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.json,application/json';
+  importInput.style.display = 'none';
+
+  const importButton = document.createElement('button');
+  importButton.textContent = 'Import';
+  importButton.title = 'Load a sequence from a JSON file';
+  importButton.addEventListener('click', () => importInput.click());
+
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      sequencer.stop();
+      const warnings = sequencer.load(JSON.parse(await file.text()));
+      renderLists();
+      seek(0);
+      if (warnings.length > 0) {
+        window.alert(`Loaded the sequence with warnings:\n${warnings.join('\n')}`);
+      }
+    } catch (error) {
+      window.alert(`Could not load ${file.name}: ${error.message}`);
+    }
+  });
+
+  fileRow.appendChild(addCueButton);
+  fileRow.appendChild(exportButton);
+  fileRow.appendChild(importButton);
+  fileRow.appendChild(importInput);
+  panel.appendChild(fileRow);
+
+  // Refresh the panel from the sequencer (call after it changed elsewhere, e.g. every frame)
+  const update = () => {
+    playButton.textContent = sequencer.playing ? 'Pause' : 'Play';
+    scrubSlider.max = String(sequencer.duration);
+    scrubSlider.value = String(sequencer.time);
+    timeDisplay.textContent = `${sequencer.time.toFixed(2)} / ${sequencer.duration.toFixed(2)} s`;
+
+    // Highlight the current shot
+    const current = sequencer.getShotAt(sequencer.time);
+    [...shotList.children].forEach((item, i) => {
+      item.style.fontWeight = current && current.index === i ? 'bold' : '';
+    });
+  };
+  renderLists();
+  update();
+
+  parentElement.appendChild(panel);
+
+  return {
+    panel,
+    playButton,
+    stopButton,
+    scrubSlider,
+    shotList,
+    cueList,
+    update
+  };
+}
@@ -1,12 +1,149 @@
 // shapeDeformer.js - A comprehensive system for 3D shape deformations
 
+import {
+  besselJ,
+  besselJZero,
+  besselJShaderSource,
+  sphericalHarmonic,
+  sphericalHarmonicShaderSource
+} from './specialFunctions.js';
+import {
+  DEFAULT_FRACTAL_OPTIONS,
+  NOISE_VARIANTS,
+  createRandom,
+  fractalNoise3D,
+  fractalNoiseShaderSource,
+  getSimplexNoise,
+  simplexGradientShaderSource
+} from './noise.js';
+import { PRESET_VERSION, migratePreset, modeIdFromName, validatePreset } from './presets.js';
+import { KeyframeTimeline, validateTimeline } from './timeline.js';
+import { TESSELLATION_TYPES } from './tessellation.js';
+import { createBaseSurface } from './baseSurfaces.js';
+import { CompositionStack, blendDepth, blendShaderExpression, blendValues, maskWeight, validateStack } from './composition.js';
+
+// Format a number as a GLSL float literal (GLSL rejects integer literals where floats are expected)
+export function toGLSLFloat(value) {
+  const text = String(value);
+  return /[.eE]/.test(text) ? text : `${text}.0`;
+}
+
+// Parameter accessor for getShaderSource() that inlines a mode's shader parameters as literals
+function inlineShaderParams(mode) {
+  const params = mode.getShaderParams();
+  return index => toGLSLFloat(params[index]);
+}
+
+// Envelope shapes for time-animated modes
+export const ENVELOPE_TYPES = ['sine', 'pulse', 'decay'];
+
+// Default (static) animation settings of a mode:
+//   phaseVelocity        - rotation of the pattern about the polar axis in radians per second
+//                          (turns standing patterns into travelling waves)
+//   oscillationFrequency - cycles per second of the amplitude envelope (0 = no oscillation)
+//   envelope             - 'sine' (standing wave / breathing), 'pulse' (a short swell each
+//                          cycle) or 'decay' (struck and dying away each cycle)
+//   decayRate            - exponential decay rate of the 'decay' envelope, per second
+export const DEFAULT_ANIMATION = {
+  phaseVelocity: 0,
+  oscillationFrequency: 0,
+  envelope: 'sine',
+  decayRate: 3
+};
+
+// Parameter schema of the animation settings (see DeformationMode.defineParams for the format)
+export const ANIMATION_PARAM_SCHEMA = [
+  { name: 'phaseVelocity', label: 'Phase velocity', type: 'number', min: -3, max: 3, step: 0.05, default: DEFAULT_ANIMATION.phaseVelocity },
+  { name: 'oscillationFrequency', label: 'Oscillation', type: 'number', min: 0, max: 4, step: 0.05, default: DEFAULT_ANIMATION.oscillationFrequency },
+  { name: 'envelope', label: 'Envelope', type: 'select', options: ENVELOPE_TYPES, default: DEFAULT_ANIMATION.envelope },
+  { name: 'decayRate', label: 'Decay rate', type: 'number', min: 0.1, max: 10, step: 0.1, default: DEFAULT_ANIMATION.decayRate }
+];
+
+// Convert a value to a parameter's type and clamp it to the parameter's range
+export function coerceParam(param, value) {
+  if (param.type === 'select') {
+    const match = param.options.find(option => String(option) === String(value));
+    if (match === undefined) {
+      throw new Error(`Invalid value "${value}" for parameter "${param.name}"`);
+    }
+    return match;
+  }
+  
+  let number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`Invalid value "${value}" for parameter "${param.name}"`);
+  }
+  if (param.type === 'integer') number = Math.round(number);
+  if (param.min !== undefined) number = Math.max(param.min, number);
+  if (param.max !== undefined) number = Math.min(param.max, number);
+  return number;
+}
+
 // Base deformation mode class
 export class DeformationMode {
   constructor(name, description, defaultAmplitude = 0) {
+    this.id = modeIdFromName(name); // Stable identifier used by presets (made unique by ShapeDeformer.addMode)
     this.name = name;
     this.description = description;
     this.defaultAmplitude = defaultAmplitude;
     this.amplitude = defaultAmplitude;
+    this.animation = { ...DEFAULT_ANIMATION };
+    this.paramSchema = [];
+  }
+
+  // Declare the mode's adjustable parameters (properties of the mode besides the amplitude).
+  // Each entry is { name, label, type: 'number' | 'integer' | 'select', min, max, step,
+  // options (for 'select'), default }; the default falls back to the property's current
+  // value, i.e. the one given to the constructor.
+  defineParams(schema) {
+    this.paramSchema = schema.map(param => ({
+      label: param.name,
+      step: param.type === 'integer' ? 1 : 0.01,
+      ...param,
+      default: param.default !== undefined ? param.default : this[param.name]
+    }));
+  }
+
+  getParamSchema() {
+    return this.paramSchema;
+  }
+
+  // Schema entry of a parameter (throws for unknown names)
+  getParamSpec(name) {
+    const param = this.paramSchema.find(p => p.name === name);
+    if (!param) {
+      throw new Error(`Mode "${this.name}" has no parameter "${name}"`);
+    }
+    return param;
+  }
+
+  getParam(name) {
+    this.getParamSpec(name);
+    return this[name];
+  }
+
+  // Set a parameter, converting it to the declared type and clamping it to the declared range
+  setParam(name, value) {
+    this[name] = coerceParam(this.getParamSpec(name), value);
+  }
+
+  // All parameter values keyed by name
+  getParams() {
+    return Object.fromEntries(this.paramSchema.map(param => [param.name, this[param.name]]));
+  }
+
+  // Set several parameters at once from an object keyed by name
+  setParams(params) {
+    for (const name of Object.keys(params)) {
+      this.setParam(name, params[name]);
+    }
+  }
+
+  // Restore every parameter to its default
+  resetParams() {
+    for (const param of this.paramSchema) {
+      this[param.name] = param.default;
+    }
   }
 
   // Apply this specific deformation to the given point
@@ -19,6 +156,100 @@ export class DeformationMode {
     return 0;
   }
 
+  // GLSL version of this mode for GPU evaluation.
+  // Returns the source of `float <functionName>(float theta, float phi, vec3 basePoint)`
+  // computing the deformation at unit amplitude (the amplitude is supplied as a uniform),
+  // or null if the mode can only be evaluated in JS. The source reads the values of
+  // getShaderParams() through param(index), which returns a GLSL float expression: a uniform
+  // when called from ShapeDeformer.buildDeformationShader(), a literal by default.
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    return null;
+  }
+
+  // Float parameters the shader source reads through param(), in index order. Passing them
+  // as uniforms means changing them does not change the source (and recompile the program);
+  // anything that does change the source, such as a select parameter, stays inlined.
+  getShaderParams() {
+    return [];
+  }
+
+  // Shared GLSL helper functions the shader source relies on (deduplicated across modes)
+  getShaderHelpers() {
+    return [];
+  }
+
+  // Update the animation settings (missing keys keep their current values)
+  setAnimation(options = {}) {
+    const animation = { ...this.animation };
+    for (const param of ANIMATION_PARAM_SCHEMA) {
+      if (options[param.name] !== undefined) {
+        animation[param.name] = coerceParam(param, options[param.name]);
+      }
+    }
+    this.animation = animation;
+  }
+
+  // Whether the mode changes over time
+  isAnimated() {
+    const { phaseVelocity, oscillationFrequency, envelope } = this.animation;
+    return phaseVelocity !== 0 || oscillationFrequency !== 0 || envelope === 'decay';
+  }
+
+  // Rotation of the pattern about the polar axis at the given time (radians)
+  getPhase(time) {
+    return this.animation.phaseVelocity * time;
+  }
+
+  // Amplitude multiplier at the given time (seconds). Without an oscillation frequency
+  // the mode is static, except for 'decay' which then dies away once from time 0.
+  getEnvelope(time) {
+    const { oscillationFrequency, envelope, decayRate } = this.animation;
+    
+    if (oscillationFrequency === 0) {
+      return envelope === 'decay' ? Math.exp(-decayRate * Math.max(0, time)) : 1;
+    }
+    
+    const cycles = time * oscillationFrequency;
+    const cyclePhase = cycles - Math.floor(cycles); // Position within the current cycle, 0 to 1
+    
+    switch (envelope) {
+      case 'pulse':
+        return Math.pow(Math.sin(Math.PI * cyclePhase), 8);
+      case 'decay':
+        return Math.exp(-decayRate * cyclePhase / Math.abs(oscillationFrequency));
+      default:
+        return Math.cos(2 * Math.PI * cycles);
+    }
+  }
+
+  // Evaluate the deformation at a point in time: the pattern is rotated about the polar
+  // axis by the current phase and scaled by the envelope
+  evaluate(theta, phi, basePoint, time = 0) {
+    if (this.amplitude === 0) return 0;
+    if (!this.isAnimated()) return this.applyDeformation(theta, phi, basePoint);
+    
+    const envelope = this.getEnvelope(time);
+    if (envelope === 0) return 0;
+    
+    const phase = this.getPhase(time);
+    if (phase !== 0) {
+      const twoPi = 2 * Math.PI;
+      theta = ((theta - phase) % twoPi + twoPi) % twoPi;
+      
+      if (basePoint) {
+        const cos = Math.cos(phase);
+        const sin = Math.sin(phase);
+        basePoint = {
+          x: basePoint.x * cos + basePoint.y * sin,
+          y: basePoint.y * cos - basePoint.x * sin,
+          z: basePoint.z
+        };
+      }
+    }
+    
+    return envelope * this.applyDeformation(theta, phi, basePoint);
+  }
+
   // Reset amplitude to default value
   reset() {
     this.amplitude = this.defaultAmplitude;
@@ -33,11 +264,27 @@ export class HarmonicMode extends DeformationMode {
     super(name, description, defaultAmplitude);
     this.thetaFreq = thetaFreq;  // Frequency around equator
     this.phiFreq = phiFreq;      // Frequency from pole to pole
+    
+    // Whole numbers of waves keep the pattern continuous across the θ = 0 seam
+    this.defineParams([
+      { name: 'thetaFreq', label: 'Equator waves', type: 'integer', min: 0, max: 12 },
+      { name: 'phiFreq', label: 'Pole waves', type: 'integer', min: 0, max: 12 }
+    ]);
   }
 
   applyDeformation(theta, phi) {
     return this.amplitude * Math.sin(this.thetaFreq * theta) * Math.sin(this.phiFreq * phi);
   }
+
+  getShaderParams() {
+    return [this.thetaFreq, this.phiFreq];
+  }
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  return sin(${param(0)} * theta) * sin(${param(1)} * phi);
+}`;
+  }
 }
 
 // Cosine-based harmonic mode
@@ -45,6 +292,12 @@ export class CosineHarmonicMode extends HarmonicMode {
   applyDeformation(theta, phi) {
     return this.amplitude * Math.cos(this.thetaFreq * theta) * Math.sin(this.phiFreq * phi);
   }
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  return cos(${param(0)} * theta) * sin(${param(1)} * phi);
+}`;
+  }
 }
 
 // Mixed harmonic mode (combination of sine and cosine)
@@ -56,63 +309,122 @@ export class MixedHarmonicMode extends DeformationMode {
   applyDeformation(theta, phi) {
     return this.amplitude * Math.sin(theta + 3 * phi) * Math.cos(2 * theta);
   }
+
+  getShaderSource(functionName) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  return sin(theta + 3.0 * phi) * cos(2.0 * theta);
+}`;
+  }
 }
 
 // ================ NOISE-BASED DEFORMATION MODES ================
 
-// Basic noise deformation
-export class NoiseDeformation extends DeformationMode {
-  constructor(name, description, defaultAmplitude = 0, scale = 1) {
+// Base class for modes driven by seeded fractal simplex noise (see noise.js).
+// The noise is sampled at the unit-sphere base point, so the same seed and options always
+// give the same surface. options: seed, frequency, octaves, lacunarity, gain and
+// variant ('fbm', 'ridged' or 'billow').
+export class FractalNoiseMode extends DeformationMode {
+  constructor(name, description, defaultAmplitude = 0, options = {}) {
     super(name, description, defaultAmplitude);
-    this.scale = scale;
+    const config = { ...DEFAULT_FRACTAL_OPTIONS, seed: 0, ...options };
+    this.seed = config.seed;
+    this.frequency = config.frequency;
+    this.octaves = config.octaves;
+    this.lacunarity = config.lacunarity;
+    this.gain = config.gain;
+    this.variant = config.variant;
+    
+    this.defineParams([
+      { name: 'seed', label: 'Seed', type: 'integer', min: 0, max: 9999 },
+      { name: 'frequency', label: 'Frequency', type: 'number', min: 0.1, max: 10, step: 0.1 },
+      { name: 'octaves', label: 'Octaves', type: 'integer', min: 1, max: 8 },
+      { name: 'lacunarity', label: 'Lacunarity', type: 'number', min: 1, max: 4, step: 0.05 },
+      { name: 'gain', label: 'Gain', type: 'number', min: 0, max: 1, step: 0.05 },
+      { name: 'variant', label: 'Variant', type: 'select', options: NOISE_VARIANTS }
+    ]);
+  }
+
+  // Seeded noise source (shared between modes with the same seed)
+  get noise() {
+    return getSimplexNoise(this.seed >>> 0);
   }
 
-  // Simple noise function (for better results, use a proper noise library)
+  // Current fractal settings as accepted by fractalNoise3D()
+  getFractalOptions() {
+    return {
+      frequency: this.frequency,
+      octaves: Math.max(1, Math.round(this.octaves)),
+      lacunarity: this.lacunarity,
+      gain: this.gain,
+      variant: this.variant
+    };
+  }
+
+  // Single octave of raw simplex noise
   noise3D(x, y, z) {
-    return Math.sin(x * 0.1 * this.scale) * 
-           Math.cos(y * 0.1 * this.scale) * 
-           Math.sin(z * 0.1 * this.scale);
+    return this.noise.noise3D(x, y, z);
   }
 
   applyDeformation(theta, phi, basePoint) {
     if (!basePoint) return 0;
     
     const {x, y, z} = basePoint;
-    const noiseValue = this.noise3D(x * 10, y * 10, z * 10);
-    
-    return this.amplitude * noiseValue;
+    return this.amplitude * fractalNoise3D(this.noise, x, y, z, this.getFractalOptions());
   }
-}
 
-// Rugosity Mode - creates realistic surface roughness with fractal noise
-export class RugosityMode extends DeformationMode {
-  constructor(name = "Rugosity", description = "Creates fractal-like surface roughness", defaultAmplitude = 0) {
-    super(name, description, defaultAmplitude);
-    // Initialize different scales for fractal noise
-    this.scales = [1, 2, 4, 8];
-    this.weights = [0.5, 0.25, 0.125, 0.0625];
+  // Name of the GLSL noise function for this mode's seed
+  getNoiseFunctionName() {
+    return `simplexNoise3D_${this.seed >>> 0}`;
   }
-  
-  // Improved 3D noise function with multiple octaves for fractal effect
-  noise3D(x, y, z, scale) {
-    // Simple noise function, could be replaced with a better one like Perlin or Simplex
-    return Math.sin(x * 0.1 * scale) * 
-           Math.cos(y * 0.1 * scale) * 
-           Math.sin(z * 0.1 * scale);
+
+  // The seed (the noise function's permutation table) and the variant are part of the source
+  getShaderParams() {
+    const { frequency, octaves, lacunarity, gain } = this.getFractalOptions();
+    return [frequency, octaves, lacunarity, gain];
   }
-  
-  applyDeformation(theta, phi, basePoint) {
-    if (!basePoint) return 0;
-    
-    const {x, y, z} = basePoint;
-    
-    // Apply multiple layers of noise at different scales (fractal approach)
-    let noiseValue = 0;
-    for (let i = 0; i < this.scales.length; i++) {
-      noiseValue += this.weights[i] * this.noise3D(x * 10, y * 10, z * 10, this.scales[i]);
-    }
-    
-    return this.amplitude * noiseValue;
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    const body = fractalNoiseShaderSource(this.getNoiseFunctionName(), 'basePoint', 'value', {
+      frequency: param(0),
+      octaves: param(1),
+      lacunarity: param(2),
+      gain: param(3),
+      variant: this.variant
+    });
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  ${body.split('\n').join('\n  ')}
+  return value;
+}`;
+  }
+
+  getShaderHelpers() {
+    return [simplexGradientShaderSource(), this.noise.getShaderSource(this.getNoiseFunctionName())];
+  }
+}
+
+// Basic noise deformation: a couple of octaves of smooth noise.
+// scale multiplies the base frequency (kept for backwards compatibility).
+export class NoiseDeformation extends FractalNoiseMode {
+  constructor(name, description, defaultAmplitude = 0, scale = 1, options = {}) {
+    super(name, description, defaultAmplitude, {
+      seed: 1,
+      frequency: 1.5 * scale,
+      octaves: 2,
+      ...options
+    });
+  }
+}
+
+// Rugosity Mode - creates realistic surface roughness with fractal noise
+// (four octaves by default, each twice the frequency and half the weight of the previous)
+export class RugosityMode extends FractalNoiseMode {
+  constructor(name = "Rugosity", description = "Creates fractal-like surface roughness", defaultAmplitude = 0, options = {}) {
+    super(name, description, defaultAmplitude, {
+      seed: 2,
+      frequency: 3,
+      octaves: 4,
+      ...options
+    });
   }
 }
 
@@ -123,6 +435,10 @@ export class GaussianCurvatureMode extends DeformationMode {
   constructor(name = "Gaussian Curvature", description = "Creates areas of positive and negative curvature", defaultAmplitude = 0, spread = 4) {
     super(name, description, defaultAmplitude);
     this.spread = spread; // Controls the spread of the gaussian function
+    
+    this.defineParams([
+      { name: 'spread', label: 'Spread', type: 'number', min: 0.5, max: 20, step: 0.1 }
+    ]);
   }
   
   applyDeformation(theta, phi, basePoint) {
@@ -150,6 +466,24 @@ export class GaussianCurvatureMode extends DeformationMode {
     
     return this.amplitude * deformation;
   }
+
+  getShaderParams() {
+    return [this.spread];
+  }
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    const spread = param(0);
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  vec2 uv = vec2(theta / PI - 1.0, phi / PI * 2.0 - 1.0);
+  vec2 d;
+  float deformation = 0.0;
+  d = uv - vec2(0.5, 0.5);   deformation += exp(-dot(d, d) * ${spread});
+  d = uv - vec2(-0.5, -0.5); deformation += exp(-dot(d, d) * ${spread});
+  d = uv - vec2(0.5, -0.5);  deformation -= exp(-dot(d, d) * ${spread});
+  d = uv - vec2(-0.5, 0.5);  deformation -= exp(-dot(d, d) * ${spread});
+  return deformation;
+}`;
+  }
 }
 
 // ================ SYMMETRY DEFORMATION MODES ================
@@ -170,6 +504,13 @@ export class AxialSymmetryMode extends DeformationMode {
     // Higher amplitude makes the deformation more pronounced
     return this.amplitude * Math.sin(6 * azimuth) * Math.sin(phi);
   }
+
+  getShaderSource(functionName) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  float azimuth = atan(basePoint.x, basePoint.z);
+  return sin(6.0 * azimuth) * sin(phi);
+}`;
+  }
 }
 
 // Radial Wave Mode - creates concentric waves from poles
@@ -177,6 +518,10 @@ export class RadialWaveMode extends DeformationMode {
   constructor(name = "Radial Waves", description = "Creates concentric waves emanating from poles", defaultAmplitude = 0, frequency = 5) {
     super(name, description, defaultAmplitude);
     this.frequency = frequency;
+    
+    this.defineParams([
+      { name: 'frequency', label: 'Frequency', type: 'number', min: 0, max: 20, step: 0.5 }
+    ]);
   }
   
   applyDeformation(theta, phi) {
@@ -186,6 +531,16 @@ export class RadialWaveMode extends DeformationMode {
     // Create waves based on distance from poles
     return this.amplitude * Math.sin(this.frequency * Math.PI * polarDistance);
   }
+
+  getShaderParams() {
+    return [this.frequency];
+  }
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  return sin(${param(0)} * PI * sin(phi));
+}`;
+  }
 }
 
 // ================ SCALING DEFORMATION MODES ================
@@ -197,6 +552,13 @@ export class AnisotropicMode extends DeformationMode {
     this.xScale = 1.0;
     this.yScale = 0.5;
     this.zScale = 0.75;
+    
+    // Scales are kept above zero so their sum never vanishes
+    this.defineParams([
+      { name: 'xScale', label: 'X scale', type: 'number', min: 0.05, max: 2, step: 0.05 },
+      { name: 'yScale', label: 'Y scale', type: 'number', min: 0.05, max: 2, step: 0.05 },
+      { name: 'zScale', label: 'Z scale', type: 'number', min: 0.05, max: 2, step: 0.05 }
+    ]);
   }
   
   applyDeformation(theta, phi, basePoint) {
@@ -213,6 +575,739 @@ export class AnisotropicMode extends DeformationMode {
     
     return this.amplitude * (deformation - 0.33); // Center around 0
   }
+
+  getShaderParams() {
+    return [this.xScale, this.yScale, this.zScale];
+  }
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  vec3 scales = vec3(${param(0)}, ${param(1)}, ${param(2)});
+  return dot(basePoint * basePoint, scales) / (scales.x + scales.y + scales.z) - 0.33;
+}`;
+  }
+}
+
+// ================ CHLADNI PLATE DEFORMATION MODES ================
+
+// Map a point on the sphere onto a unit plate. Each hemisphere is an azimuthal-equidistant
+// view of the same plate: the pole is the plate centre and the equator its rim, so the
+// figure is seen whole from either pole.
+// Returns plate polar coordinates (r in [0, 1], angle) and cartesian x, y in [-1, 1].
+export function sphereToPlate(theta, phi) {
+  const r = phi <= Math.PI / 2 ? 2 * phi / Math.PI : 2 * (Math.PI - phi) / Math.PI;
+  return {
+    r,
+    angle: theta,
+    x: r * Math.cos(theta),
+    y: r * Math.sin(theta)
+  };
+}
+
+// GLSL version of sphereToPlate(), returning vec3(r, x, y)
+const SPHERE_TO_PLATE_GLSL = `vec3 sphereToPlate(float theta, float phi) {
+  float r = phi <= PI * 0.5 ? 2.0 * phi / PI : 2.0 * (PI - phi) / PI;
+  return vec3(r, r * cos(theta), r * sin(theta));
+}`;
+
+// Base class for Chladni plate eigenmodes. Sand collects on the nodal lines (where the
+// plate does not move), so the deformation raises ridges along them:
+// ridge = exp(-(u / ridgeWidth)²) where u is the normalized plate displacement in [-1, 1].
+export class ChladniMode extends DeformationMode {
+  constructor(name, description, m, n, defaultAmplitude = 0, ridgeWidth = 0.2) {
+    super(name, description, defaultAmplitude);
+    this.m = m;
+    this.n = n;
+    this.ridgeWidth = ridgeWidth;
+    
+    this.defineParams([
+      { name: 'm', label: 'm', type: 'integer', min: 0, max: 10 },
+      { name: 'n', label: 'n', type: 'integer', min: 0, max: 10 },
+      { name: 'ridgeWidth', label: 'Ridge width', type: 'number', min: 0.02, max: 1, step: 0.01 }
+    ]);
+  }
+
+  // Normalized plate displacement in [-1, 1] - override in subclasses
+  plateDisplacement(theta, phi) {
+    return 1;
+  }
+
+  applyDeformation(theta, phi) {
+    const u = this.plateDisplacement(theta, phi) / this.ridgeWidth;
+    return this.amplitude * Math.exp(-u * u);
+  }
+}
+
+// Square plate: u = cos(nπX)·cos(mπY) ± cos(mπX)·cos(nπY) with X, Y in [0, 1] across the plate.
+// symmetry = +1 or -1 selects the symmetric or antisymmetric combination of degenerate modes.
+export class SquareChladniMode extends ChladniMode {
+  constructor(name, description, m, n, symmetry = 1, defaultAmplitude = 0, ridgeWidth = 0.2) {
+    super(name, description, m, n, defaultAmplitude, ridgeWidth);
+    this.symmetry = symmetry;
+    
+    this.defineParams([
+      ...this.paramSchema,
+      { name: 'symmetry', label: 'Symmetry', type: 'select', options: [1, -1] }
+    ]);
+  }
+
+  plateDisplacement(theta, phi) {
+    const { x, y } = sphereToPlate(theta, phi);
+    const px = (x + 1) / 2;
+    const py = (y + 1) / 2;
+    const a = Math.cos(this.n * Math.PI * px) * Math.cos(this.m * Math.PI * py);
+    const b = Math.cos(this.m * Math.PI * px) * Math.cos(this.n * Math.PI * py);
+    return (a + this.symmetry * b) / 2;
+  }
+
+  getShaderHelpers() {
+    return [SPHERE_TO_PLATE_GLSL];
+  }
+
+  getShaderParams() {
+    return [this.m, this.n, this.symmetry, this.ridgeWidth];
+  }
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  float m = ${param(0)};
+  float n = ${param(1)};
+  vec3 plate = sphereToPlate(theta, phi);
+  vec2 p = (plate.yz + 1.0) * 0.5;
+  float a = cos(n * PI * p.x) * cos(m * PI * p.y);
+  float b = cos(m * PI * p.x) * cos(n * PI * p.y);
+  float u = (a + ${param(2)} * b) * 0.5 / ${param(3)};
+  return exp(-u * u);
+}`;
+  }
+}
+
+// Circular membrane with a fixed edge: u = J_m(k_mn · r) · cos(m · angle), where k_mn is the
+// n-th zero of the Bessel function J_m, so the rim is a nodal circle and there are n nodal
+// circles and m nodal diameters in total. (A clamped plate's modes would also need the
+// modified Bessel function I_m; the membrane modes give very similar figures.)
+export class CircularChladniMode extends ChladniMode {
+  constructor(name, description, m, n, defaultAmplitude = 0, ridgeWidth = 0.2) {
+    super(name, description, m, n, defaultAmplitude, ridgeWidth);
+    this.cachedOrder = null;
+    
+    // n counts nodal circles including the rim, so it starts at 1
+    this.defineParams(this.paramSchema.map(param => (param.name === 'n' ? { ...param, min: 1 } : param)));
+  }
+
+  // Recompute the Bessel zero and normalization when (m, n) change
+  updateConstants() {
+    const order = `${this.m},${this.n}`;
+    if (this.cachedOrder === order) return;
+
+    this.k = besselJZero(this.m, this.n);
+
+    // Peak |J_m| on [0, k] so the displacement spans [-1, 1]
+    let peak = 0;
+    for (let i = 0; i <= 200; i++) {
+      peak = Math.max(peak, Math.abs(besselJ(this.m, this.k * i / 200)));
+    }
+    this.normalization = 1 / peak;
+    this.cachedOrder = order;
+  }
+
+  plateDisplacement(theta, phi) {
+    this.updateConstants();
+    const { r, angle } = sphereToPlate(theta, phi);
+    return this.normalization * besselJ(this.m, this.k * r) * Math.cos(this.m * angle);
+  }
+
+  getShaderHelpers() {
+    return [SPHERE_TO_PLATE_GLSL, besselJShaderSource()];
+  }
+
+  // The Bessel zero and normalization are passed along with m and the ridge width
+  getShaderParams() {
+    this.updateConstants();
+    return [this.m, this.normalization, this.k, this.ridgeWidth];
+  }
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  float m = ${param(0)};
+  vec3 plate = sphereToPlate(theta, phi);
+  float u = ${param(1)} * besselJ(m, ${param(2)} * plate.x) * cos(m * theta);
+  u /= ${param(3)};
+  return exp(-u * u);
+}`;
+  }
+}
+
+// ================ SPHERICAL HARMONIC DEFORMATION MODES ================
+
+// Stable mode ID of a spherical harmonic, e.g. "Y3_2_re"
+export function sphericalHarmonicModeId(l, m, part) {
+  return `Y${l}_${m}_${part === 'imag' ? 'im' : 're'}`;
+}
+
+// Inverse of sphericalHarmonicModeId(); null if the ID does not name a spherical harmonic
+export function parseSphericalHarmonicModeId(id) {
+  const match = /^Y(\d+)_(\d+)_(re|im)$/.exec(id);
+  if (!match) return null;
+  return { l: parseInt(match[1], 10), m: parseInt(match[2], 10), part: match[3] === 'im' ? 'imag' : 'real' };
+}
+
+// Real orthonormal spherical harmonic Y_lm (real or imaginary part) as a radial deformation.
+// Unlike the sin·sin products of HarmonicMode these form an orthogonal basis on the sphere,
+// with no seam at θ = 0/2π and well-behaved poles. The amplitude is the coefficient of the
+// orthonormal basis function, so a set of these modes describes a shape spectrum.
+export class SphericalHarmonicMode extends DeformationMode {
+  constructor(l, m, part = 'real', defaultAmplitude = 0) {
+    if (!Number.isInteger(l) || !Number.isInteger(m) || l < 0 || m < 0 || m > l) {
+      throw new Error(`Invalid spherical harmonic degree/order: l=${l}, m=${m} (need 0 <= m <= l)`);
+    }
+    if (part !== 'real' && part !== 'imag') {
+      throw new Error(`Invalid spherical harmonic part "${part}" (expected 'real' or 'imag')`);
+    }
+    if (m === 0 && part === 'imag') {
+      throw new Error('Spherical harmonics with m = 0 have no imaginary part');
+    }
+
+    const partLabel = part === 'real' ? 'Re' : 'Im';
+    super(
+      `Y(${l},${m}) ${partLabel}`,
+      `${partLabel} part of the spherical harmonic of degree ${l}, order ${m}`,
+      defaultAmplitude
+    );
+    this.id = sphericalHarmonicModeId(l, m, part);
+    this.l = l;
+    this.m = m;
+    this.part = part;
+    
+    // Spectral coefficients are signed
+    this.amplitudeRange = { min: -100, max: 100 };
+  }
+
+  applyDeformation(theta, phi) {
+    return this.amplitude * sphericalHarmonic(this.l, this.m, this.part, theta, phi);
+  }
+
+  getShaderHelpers() {
+    return [sphericalHarmonicShaderSource()];
+  }
+
+  getShaderSource(functionName) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  return sphericalHarmonic(${this.l}, ${this.m}, ${this.part === 'imag'}, theta, phi);
+}`;
+  }
+}
+
+// ================ VECTOR DISPLACEMENT AND SPACE WARP MODES ================
+//
+// Besides the radial modes above, which displace the base surface along its normal, two
+// further kinds of mode move points in arbitrary directions. ShapeDeformer.createDeformedMesh()
+// composes them in a fixed order for every vertex:
+//   1. the base surface position,
+//   2. plus the sum of the radial modes along the surface normal,
+//   3. plus the sum of the vector displacement modes (evaluated at the same base point),
+//   4. then each active space warp in stack order, every warp acting on the result of the last.
+// The composition stack (see composition.js) decides which modes are heard, the blend modes
+// of the radial ones and how masks weight each mode.
+// Neither kind has a GLSL version, so the renderers fall back to the CPU while one is active,
+// and both contribute 0 to evaluate(), so radial-only consumers such as createDeformedSphere()
+// (and the spectral fit built on it) leave them out.
+
+// Axes a space warp can act along
+export const WARP_AXES = ['x', 'y', 'z'];
+
+// Whether a mode displaces along the surface normal (neither a vector mode nor a warp)
+export function isRadialMode(mode) {
+  return !(mode instanceof VectorDisplacementMode) && !(mode instanceof SpaceWarpMode);
+}
+
+// Rotate a point about the polar (z) axis by an angle in radians
+function rotateAboutPole(point, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: point.x * cos - point.y * sin,
+    y: point.x * sin + point.y * cos,
+    z: point.z
+  };
+}
+
+// Coordinates of a point in a frame whose z axis is the given axis (a cyclic permutation,
+// so the frame stays right-handed), and back
+function toAxisFrame(point, axis) {
+  if (axis === 'x') return { x: point.y, y: point.z, z: point.x };
+  if (axis === 'y') return { x: point.z, y: point.x, z: point.y };
+  return { ...point };
+}
+
+function fromAxisFrame(point, axis) {
+  if (axis === 'x') return { x: point.z, y: point.x, z: point.y };
+  if (axis === 'y') return { x: point.y, y: point.z, z: point.x };
+  return point;
+}
+
+// Base class for modes that displace points by a 3D vector rather than along the normal.
+// Subclasses implement applyVector(), returning the displacement { x, y, z } in world units
+// (amplitude included) for a base point.
+export class VectorDisplacementMode extends DeformationMode {
+  applyVector(theta, phi, basePoint) {
+    return { x: 0, y: 0, z: 0 };
+  }
+
+  // Displacement at a point in time, or null when the mode is off. As with evaluate(), the
+  // pattern is rotated about the polar axis by the phase (the vector turning with it) and
+  // scaled by the envelope.
+  evaluateVector(theta, phi, basePoint, time = 0) {
+    if (this.amplitude === 0) return null;
+    if (!this.isAnimated()) return this.applyVector(theta, phi, basePoint);
+    
+    const envelope = this.getEnvelope(time);
+    if (envelope === 0) return null;
+    
+    const phase = this.getPhase(time);
+    const twoPi = 2 * Math.PI;
+    const vector = this.applyVector(
+      ((theta - phase) % twoPi + twoPi) % twoPi,
+      phi,
+      rotateAboutPole(basePoint, -phase)
+    );
+    const rotated = rotateAboutPole(vector, phase);
+    return { x: envelope * rotated.x, y: envelope * rotated.y, z: envelope * rotated.z };
+  }
+}
+
+// Swirl - slides the surface around the polar axis in alternating latitude bands
+export class SwirlMode extends VectorDisplacementMode {
+  constructor(name = "Swirl", description = "Tangential swirl around the polar axis in latitude bands", defaultAmplitude = 0, bands = 2) {
+    super(name, description, defaultAmplitude);
+    this.bands = bands;
+    this.amplitudeRange = { min: -50, max: 50 };
+    
+    this.defineParams([
+      { name: 'bands', label: 'Bands', type: 'integer', min: 1, max: 8 }
+    ]);
+  }
+
+  applyVector(theta, phi, basePoint) {
+    // (-y, x, 0) points along the parallels and vanishes on the axis, so the poles stay put
+    const strength = this.amplitude * Math.sin(this.bands * phi);
+    return { x: -strength * basePoint.y, y: strength * basePoint.x, z: 0 };
+  }
+}
+
+// Vector Noise - displaces every point by a seeded fractal noise vector (one noise field
+// per component, sampled at offset positions)
+export class VectorNoiseMode extends VectorDisplacementMode {
+  constructor(name = "Vector Noise", description = "Organic displacement in every direction", defaultAmplitude = 0, options = {}) {
+    super(name, description, defaultAmplitude);
+    const config = { ...DEFAULT_FRACTAL_OPTIONS, seed: 3, frequency: 1.5, octaves: 3, ...options };
+    this.seed = config.seed;
+    this.frequency = config.frequency;
+    this.octaves = config.octaves;
+    
+    this.defineParams([
+      { name: 'seed', label: 'Seed', type: 'integer', min: 0, max: 9999 },
+      { name: 'frequency', label: 'Frequency', type: 'number', min: 0.1, max: 10, step: 0.1 },
+      { name: 'octaves', label: 'Octaves', type: 'integer', min: 1, max: 8 }
+    ]);
+  }
+
+  applyVector(theta, phi, basePoint) {
+    const noise = getSimplexNoise(this.seed >>> 0);
+    const options = { ...DEFAULT_FRACTAL_OPTIONS, frequency: this.frequency, octaves: this.octaves };
+    const { x, y, z } = basePoint;
+    return {
+      x: this.amplitude * fractalNoise3D(noise, x, y, z, options),
+      y: this.amplitude * fractalNoise3D(noise, x + 31.4, y - 17.2, z + 5.9, options),
+      z: this.amplitude * fractalNoise3D(noise, x - 8.3, y + 23.7, z - 41.1, options)
+    };
+  }
+}
+
+// Base class for global space warps: maps of the whole space applied after all displacement.
+// Subclasses implement warpLocal(point, strength, radius), where the point is given in a frame
+// whose z axis is the mode's axis, strength is the amplitude scaled by the envelope and
+// radius is the shape's base radius (the warps' length scale).
+export class SpaceWarpMode extends DeformationMode {
+  constructor(name, description, defaultAmplitude = 0, axis = 'z') {
+    super(name, description, defaultAmplitude);
+    this.axis = axis;
+  }
+
+  // Declare the parameters, led by the axis
+  defineParams(schema) {
+    super.defineParams([
+      { name: 'axis', label: 'Axis', type: 'select', options: WARP_AXES },
+      ...schema
+    ]);
+  }
+
+  warpLocal(point, strength, radius) {
+    return point;
+  }
+
+  // Warp a point (world units) at a point in time. The phase turns the warp about the polar
+  // axis and the envelope scales its strength.
+  applyWarp(point, radius, time = 0) {
+    if (this.amplitude === 0) return point;
+    
+    const strength = this.amplitude * (this.isAnimated() ? this.getEnvelope(time) : 1);
+    if (strength === 0) return point;
+    
+    const phase = this.isAnimated() ? this.getPhase(time) : 0;
+    const local = toAxisFrame(phase !== 0 ? rotateAboutPole(point, -phase) : point, this.axis);
+    const warped = fromAxisFrame(this.warpLocal(local, strength, radius), this.axis);
+    return phase !== 0 ? rotateAboutPole(warped, phase) : warped;
+  }
+}
+
+// Twist - rotates each slice about the axis by an angle growing along it
+// (amplitude: degrees at one base radius from the centre)
+export class TwistWarp extends SpaceWarpMode {
+  constructor(name = "Twist", description = "Twists the shape about an axis", defaultAmplitude = 0, axis = 'z') {
+    super(name, description, defaultAmplitude, axis);
+    this.amplitudeRange = { min: -180, max: 180 };
+    this.defineParams([]);
+  }
+
+  warpLocal(point, strength, radius) {
+    const angle = strength * Math.PI / 180 * point.z / radius;
+    return rotateAboutPole(point, angle);
+  }
+}
+
+// Bend - curls the axis into a circular arc, towards the given direction
+// (amplitude: degrees of arc over two base radii, i.e. across the sphere)
+export class BendWarp extends SpaceWarpMode {
+  constructor(name = "Bend", description = "Bends the shape around an arc", defaultAmplitude = 0, axis = 'z', direction = 0) {
+    super(name, description, defaultAmplitude, axis);
+    this.direction = direction; // Degrees about the axis
+    this.amplitudeRange = { min: -180, max: 180 };
+    this.defineParams([
+      { name: 'direction', label: 'Direction', type: 'number', min: 0, max: 360, step: 1 }
+    ]);
+  }
+
+  warpLocal(point, strength, radius) {
+    const curvature = strength * Math.PI / 180 / (2 * radius);
+    if (Math.abs(curvature) < 1e-9) return point;
+    
+    // Bend in the plane of the axis and the direction, about a centre 1/curvature away
+    const direction = this.direction * Math.PI / 180;
+    const p = rotateAboutPole(point, -direction);
+    const bendRadius = 1 / curvature;
+    const angle = curvature * p.z;
+    const bent = {
+      x: bendRadius - (bendRadius - p.x) * Math.cos(angle),
+      y: p.y,
+      z: (bendRadius - p.x) * Math.sin(angle)
+    };
+    return rotateAboutPole(bent, direction);
+  }
+}
+
+// Taper - scales the cross-sections linearly along the axis
+// (amplitude: percent growth at one base radius along the axis, shrinking on the other side)
+export class TaperWarp extends SpaceWarpMode {
+  constructor(name = "Taper", description = "Narrows the shape along an axis", defaultAmplitude = 0, axis = 'z') {
+    super(name, description, defaultAmplitude, axis);
+    this.amplitudeRange = { min: -100, max: 100 };
+    this.defineParams([]);
+  }
+
+  warpLocal(point, strength, radius) {
+    // Cross-sections shrink to a point rather than turning inside out
+    const scale = Math.max(0, 1 + strength / 100 * point.z / radius);
+    return { x: point.x * scale, y: point.y * scale, z: point.z };
+  }
+}
+
+// Shear - slides the cross-sections sideways in proportion to their position along the axis
+// (amplitude: percent of the distance along the axis)
+export class ShearWarp extends SpaceWarpMode {
+  constructor(name = "Shear", description = "Shears the shape along an axis", defaultAmplitude = 0, axis = 'z', direction = 0) {
+    super(name, description, defaultAmplitude, axis);
+    this.direction = direction; // Degrees about the axis
+    this.amplitudeRange = { min: -100, max: 100 };
+    this.defineParams([
+      { name: 'direction', label: 'Direction', type: 'number', min: 0, max: 360, step: 1 }
+    ]);
+  }
+
+  warpLocal(point, strength, radius) {
+    const offset = strength / 100 * point.z;
+    const direction = this.direction * Math.PI / 180;
+    return {
+      x: point.x + offset * Math.cos(direction),
+      y: point.y + offset * Math.sin(direction),
+      z: point.z
+    };
+  }
+}
+
+// Lattice patterns: 'random' moves every control point by a seeded random offset, 'corners'
+// pulls the corner control points out along the diagonals (in for negative amplitudes)
+export const LATTICE_PATTERNS = ['random', 'corners'];
+
+// Binomial coefficient for the Bernstein basis
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+  return result;
+}
+
+// Bernstein basis polynomials of degree n at t
+function bernsteinBasis(n, t) {
+  const basis = [];
+  for (let i = 0; i <= n; i++) {
+    basis.push(binomial(n, i) * t ** i * (1 - t) ** (n - i));
+  }
+  return basis;
+}
+
+// Lattice - free-form deformation (Sederberg and Parry) through a cube of Bernstein control
+// points around the shape. The undeformed lattice maps every point to itself, so the warp
+// adds the Bernstein-weighted control point offsets; points outside the cube move with its
+// nearest face. The lattice is divisions + 1 points per side and spans extent base radii
+// either side of the centre; amplitude: the largest offset in percent of the base radius.
+export class LatticeWarp extends SpaceWarpMode {
+  constructor(name = "Lattice", description = "Free-form deformation through a control lattice", defaultAmplitude = 0, options = {}) {
+    super(name, description, defaultAmplitude, options.axis || 'z');
+    this.divisions = options.divisions || 2;
+    this.pattern = options.pattern || 'random';
+    this.seed = options.seed || 0;
+    this.extent = options.extent || 1.5;
+    this.amplitudeRange = { min: -100, max: 100 };
+    this.offsetCache = null;
+    
+    this.defineParams([
+      { name: 'divisions', label: 'Divisions', type: 'integer', min: 1, max: 4 },
+      { name: 'pattern', label: 'Pattern', type: 'select', options: LATTICE_PATTERNS },
+      { name: 'seed', label: 'Seed', type: 'integer', min: 0, max: 9999 },
+      { name: 'extent', label: 'Extent', type: 'number', min: 1, max: 3, step: 0.1 }
+    ]);
+  }
+
+  // Control point offsets at unit strength (fractions of the base radius), indexed
+  // [i][j][k] along the lattice's x, y and z; cached until the pattern changes
+  getControlOffsets() {
+    const key = `${this.divisions}:${this.pattern}:${this.seed}`;
+    if (this.offsetCache && this.offsetCache.key === key) return this.offsetCache.offsets;
+    
+    const n = this.divisions;
+    const random = createRandom(this.seed >>> 0);
+    const offsets = [];
+    for (let i = 0; i <= n; i++) {
+      const plane = [];
+      for (let j = 0; j <= n; j++) {
+        const row = [];
+        for (let k = 0; k <= n; k++) {
+          if (this.pattern === 'corners') {
+            const corner = (i === 0 || i === n) && (j === 0 || j === n) && (k === 0 || k === n);
+            const s = corner ? 1 / Math.sqrt(3) : 0;
+            row.push({ x: s * (i === 0 ? -1 : 1), y: s * (j === 0 ? -1 : 1), z: s * (k === 0 ? -1 : 1) });
+          } else {
+            row.push({ x: 2 * random() - 1, y: 2 * random() - 1, z: 2 * random() - 1 });
+          }
+        }
+        plane.push(row);
+      }
+      offsets.push(plane);
+    }
+    
+    this.offsetCache = { key, offsets };
+    return offsets;
+  }
+
+  warpLocal(point, strength, radius) {
+    const n = this.divisions;
+    const size = this.extent * radius;
+    const toLattice = value => Math.min(1, Math.max(0, (value / size + 1) / 2));
+    const bu = bernsteinBasis(n, toLattice(point.x));
+    const bv = bernsteinBasis(n, toLattice(point.y));
+    const bw = bernsteinBasis(n, toLattice(point.z));
+    const offsets = this.getControlOffsets();
+    
+    let dx = 0;
+    let dy = 0;
+    let dz = 0;
+    for (let i = 0; i <= n; i++) {
+      for (let j = 0; j <= n; j++) {
+        const weight = bu[i] * bv[j];
+        for (let k = 0; k <= n; k++) {
+          const offset = offsets[i][j][k];
+          const w = weight * bw[k];
+          dx += w * offset.x;
+          dy += w * offset.y;
+          dz += w * offset.z;
+        }
+      }
+    }
+    
+    const scale = strength / 100 * radius;
+    return { x: point.x + scale * dx, y: point.y + scale * dy, z: point.z + scale * dz };
+  }
+}
+
+// ================ LOCALIZED DEFORMATION MODES ================
+//
+// Region modes act only around a centre direction on the sphere, given as latitude and
+// longitude in degrees (latitude 90 is the +z pole). The weight falls from 1 at the centre
+// with the geodesic (great-circle) distance to the base point's direction, following the
+// falloff curve: 'smoothstep' and 'linear' reach 0 at the radius, 'gaussian' has three
+// standard deviations within it. Any number of instances can be added, with IDs
+// "region1", "region2", ... and "attractor1", ...; presets re-create the ones they use.
+
+export const FALLOFF_TYPES = ['smoothstep', 'gaussian', 'linear'];
+
+// Kinds of localized mode and the ID prefix of their instances
+export const REGION_KINDS = ['region', 'attractor'];
+
+// Parameters shared by the localized modes (see DeformationMode.defineParams)
+const REGION_PARAMS = [
+  { name: 'latitude', label: 'Latitude', type: 'number', min: -90, max: 90, step: 1, default: 0 },
+  { name: 'longitude', label: 'Longitude', type: 'number', min: -180, max: 180, step: 1, default: 0 },
+  { name: 'radius', label: 'Radius (°)', type: 'number', min: 1, max: 180, step: 1, default: 30 },
+  { name: 'falloff', label: 'Falloff', type: 'select', options: FALLOFF_TYPES, default: 'smoothstep' }
+];
+
+// Gaussian falloff exponent: exp(-4.5 t²) puts the radius at three standard deviations
+const GAUSSIAN_FALLOFF = 4.5;
+
+// Falloff weight at t = geodesic distance / radius
+export function regionFalloff(falloff, t) {
+  switch (falloff) {
+    case 'gaussian':
+      return Math.exp(-GAUSSIAN_FALLOFF * t * t);
+    case 'linear':
+      return Math.max(0, 1 - t);
+    default:
+      return t >= 1 ? 0 : 1 - t * t * (3 - 2 * t);
+  }
+}
+
+// GLSL expression of regionFalloff() for a float expression t
+function regionFalloffShaderExpression(falloff, t) {
+  switch (falloff) {
+    case 'gaussian':
+      return `exp(-${toGLSLFloat(GAUSSIAN_FALLOFF)} * ${t} * ${t})`;
+    case 'linear':
+      return `max(0.0, 1.0 - ${t})`;
+    default:
+      return `1.0 - smoothstep(0.0, 1.0, ${t})`;
+  }
+}
+
+// Unit vector of a direction given as latitude and longitude (degrees)
+export function directionFromLatLon(latitude, longitude) {
+  const lat = latitude * Math.PI / 180;
+  const lon = longitude * Math.PI / 180;
+  return { x: Math.cos(lat) * Math.cos(lon), y: Math.cos(lat) * Math.sin(lon), z: Math.sin(lat) };
+}
+
+// Latitude and longitude (degrees) of a direction (need not be normalized)
+export function latLonFromDirection(direction) {
+  const { x, y, z } = direction;
+  return {
+    latitude: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+    longitude: Math.atan2(y, x) * 180 / Math.PI
+  };
+}
+
+// Stable mode ID of a localized mode instance, e.g. "region3"
+export function regionModeId(kind, number) {
+  return `${kind}${number}`;
+}
+
+// Inverse of regionModeId(); null if the ID does not name a localized mode
+export function parseRegionModeId(id) {
+  const match = /^(region|attractor)(\d+)$/.exec(id);
+  return match ? { kind: match[1], number: parseInt(match[2], 10) } : null;
+}
+
+// Weight (0 to 1) of a localized mode at a base point, and the unit direction of the point
+function regionWeight(mode, basePoint) {
+  const length = Math.hypot(basePoint.x, basePoint.y, basePoint.z);
+  if (length === 0) return { weight: 0, direction: null };
+  
+  const direction = { x: basePoint.x / length, y: basePoint.y / length, z: basePoint.z / length };
+  const centre = directionFromLatLon(mode.latitude, mode.longitude);
+  const cosine = direction.x * centre.x + direction.y * centre.y + direction.z * centre.z;
+  const distance = Math.acos(Math.min(1, Math.max(-1, cosine)));
+  const weight = regionFalloff(mode.falloff, distance / (mode.radius * Math.PI / 180));
+  return { weight, direction, centre };
+}
+
+// Region - a bump (positive amplitude) or dent (negative amplitude) around a centre direction
+export class RegionMode extends DeformationMode {
+  constructor(name = "Region", description = "Bump or dent around a point on the sphere", defaultAmplitude = 0, params = {}) {
+    super(name, description, defaultAmplitude);
+    this.amplitudeRange = { min: -50, max: 50 };
+    this.defineParams(REGION_PARAMS);
+    this.resetParams();
+    this.setParams(params);
+  }
+
+  applyDeformation(theta, phi, basePoint) {
+    if (!basePoint) return 0;
+    return this.amplitude * regionWeight(this, basePoint).weight;
+  }
+
+  // Centre direction and radius in radians; the falloff is part of the source
+  getShaderParams() {
+    const c = directionFromLatLon(this.latitude, this.longitude);
+    return [c.x, c.y, c.z, this.radius * Math.PI / 180];
+  }
+
+  getShaderSource(functionName, param = inlineShaderParams(this)) {
+    return `float ${functionName}(float theta, float phi, vec3 basePoint) {
+  if (dot(basePoint, basePoint) == 0.0) return 0.0;
+  float cosine = dot(normalize(basePoint), vec3(${param(0)}, ${param(1)}, ${param(2)}));
+  float t = acos(clamp(cosine, -1.0, 1.0)) / ${param(3)};
+  return ${regionFalloffShaderExpression(this.falloff, 't')};
+}`;
+  }
+}
+
+// Attractor - slides the surface along it towards a centre direction (away from it for a
+// negative amplitude), by up to the amplitude and weighted by the falloff
+export class AttractorMode extends VectorDisplacementMode {
+  constructor(name = "Attractor", description = "Draws the surface towards a point on the sphere", defaultAmplitude = 0, params = {}) {
+    super(name, description, defaultAmplitude);
+    this.amplitudeRange = { min: -50, max: 50 };
+    this.defineParams(REGION_PARAMS);
+    this.resetParams();
+    this.setParams(params);
+  }
+
+  applyVector(theta, phi, basePoint) {
+    const { weight, direction, centre } = regionWeight(this, basePoint);
+    if (weight === 0) return { x: 0, y: 0, z: 0 };
+    
+    // Tangent of the great circle from the point towards the centre
+    const cosine = direction.x * centre.x + direction.y * centre.y + direction.z * centre.z;
+    const tangent = {
+      x: centre.x - cosine * direction.x,
+      y: centre.y - cosine * direction.y,
+      z: centre.z - cosine * direction.z
+    };
+    const length = Math.hypot(tangent.x, tangent.y, tangent.z);
+    if (length < 1e-9) return { x: 0, y: 0, z: 0 };
+    
+    const scale = this.amplitude * weight / length;
+    return { x: scale * tangent.x, y: scale * tangent.y, z: scale * tangent.z };
+  }
+}
+
+// Create an instance of a localized mode kind with its number and parameter values
+export function createRegionMode(kind, number, params = {}) {
+  if (kind === 'attractor') {
+    return new AttractorMode(`Attractor ${number}`, "Draws the surface towards a point on the sphere", 0, params);
+  }
+  if (kind === 'region') {
+    return new RegionMode(`Region ${number}`, "Bump or dent around a point on the sphere", 0, params);
+  }
+  throw new Error(`Unknown region kind "${kind}" (expected ${REGION_KINDS.join(', ')})`);
 }
 
 // ================ MAIN SHAPE DEFORMER CLASS ================
@@ -222,6 +1317,12 @@ export class ShapeDeformer {
   constructor(baseRadius) {
     this.baseRadius = baseRadius;
     this.modes = [];
+    this.time = 0; // Animation time in seconds
+    this.timeline = new KeyframeTimeline(); // Keyframed amplitudes and parameters, stored with presets
+    this.stack = new CompositionStack(); // Order, blend modes and masks of the modes, stored with presets
+    this.tessellation = 'uv'; // Base mesh used by createDeformedMesh() (see tessellation.js)
+    this.baseSurface = createBaseSurface('sphere'); // Surface the modes displace along its normals
+    this.baseMeshCache = null;
     this.setupDefaultModes();
   }
 
@@ -248,23 +1349,93 @@ export class ShapeDeformer {
     
     // ------ Scaling Modes ------
     this.addMode(new AnisotropicMode("Anisotropic", "Creates directionally dependent deformations"));
+    
+    // ------ Chladni Plate Modes ------
+    this.addMode(new SquareChladniMode("Chladni Square", "Square plate nodal lines, (m, n) = (1, 4) antisymmetric", 1, 4, -1));
+    this.addMode(new SquareChladniMode("Chladni Grid", "Square plate nodal lines, (m, n) = (2, 5) symmetric", 2, 5, 1));
+    this.addMode(new CircularChladniMode("Chladni Circle", "Circular plate nodal lines, (m, n) = (2, 2)", 2, 2));
+    this.addMode(new CircularChladniMode("Chladni Rosette", "Circular plate nodal lines, (m, n) = (5, 1)", 5, 1));
+    
+    // ------ Vector Displacement Modes ------
+    this.addMode(new SwirlMode("Swirl", "Tangential swirl around the polar axis in latitude bands"));
+    this.addMode(new VectorNoiseMode("Vector Noise", "Organic displacement in every direction"));
+    
+    // ------ Space Warps (applied last, in this order) ------
+    this.addMode(new TwistWarp("Twist", "Twists the shape about an axis"));
+    this.addMode(new BendWarp("Bend", "Bends the shape around an arc"));
+    this.addMode(new TaperWarp("Taper", "Narrows the shape along an axis"));
+    this.addMode(new ShearWarp("Shear", "Shears the shape along an axis"));
+    this.addMode(new LatticeWarp("Lattice", "Free-form deformation through a control lattice"));
   }
 
-  // Add a new deformation mode
+  // Add a new deformation mode; its ID is made unique by appending a number if needed
   addMode(mode) {
+    if (this.findModeIndex(mode.id) !== -1) {
+      let suffix = 2;
+      while (this.findModeIndex(`${mode.id}${suffix}`) !== -1) suffix++;
+      mode.id = `${mode.id}${suffix}`;
+    }
     this.modes.push(mode);
     return this.modes.length - 1; // Return index of the newly added mode
   }
 
-  // Remove a mode by index
+  // Remove a mode by index, along with its composition layer and timeline tracks (so a mode
+  // added later under the same ID starts afresh)
   removeMode(index) {
     if (index >= 0 && index < this.modes.length) {
-      this.modes.splice(index, 1);
+      const [mode] = this.modes.splice(index, 1);
+      this.stack.removeLayer(mode.id);
+      this.timeline.tracks = this.timeline.tracks.filter(track => track.mode !== mode.id);
       return true;
     }
     return false;
   }
 
+  // Index of the mode with the given ID, or -1
+  findModeIndex(id) {
+    return this.modes.findIndex(mode => mode.id === id);
+  }
+
+  // IDs of all modes, in order
+  getModeIds() {
+    return this.modes.map(mode => mode.id);
+  }
+
+  // Add every real spherical harmonic mode up to degree maxDegree ((maxDegree + 1)² modes in total).
+  // Degrees below minDegree are skipped (e.g. 1 to leave out the uniform l = 0 "breathing" mode)
+  // and harmonics already present are reused. Returns the indices of all requested modes.
+  addSphericalHarmonics(maxDegree, minDegree = 0) {
+    const indices = [];
+    
+    for (let l = minDegree; l <= maxDegree; l++) {
+      for (let m = 0; m <= l; m++) {
+        const parts = m === 0 ? ['real'] : ['real', 'imag'];
+        for (const part of parts) {
+          const index = this.findSphericalHarmonic(l, m, part);
+          indices.push(index !== -1 ? index : this.addMode(new SphericalHarmonicMode(l, m, part)));
+        }
+      }
+    }
+    
+    return indices;
+  }
+
+  // Add an instance of a localized mode ('region' for a bump or dent, 'attractor') with
+  // optional parameter values (latitude, longitude, radius, falloff) under the next free
+  // number; returns its index
+  addRegion(kind = 'region', params = {}) {
+    let number = 1;
+    while (this.findModeIndex(regionModeId(kind, number)) !== -1) number++;
+    return this.addMode(createRegionMode(kind, number, params));
+  }
+
+  // Index of the spherical harmonic mode (l, m, part), or -1 if it has not been added
+  findSphericalHarmonic(l, m, part = 'real') {
+    return this.modes.findIndex(mode =>
+      mode instanceof SphericalHarmonicMode && mode.l === l && mode.m === m && mode.part === part
+    );
+  }
+
   // Set amplitude for a specific mode
   setAmplitude(index, value) {
     if (index >= 0 && index < this.modes.length) {
@@ -274,9 +1445,51 @@ export class ShapeDeformer {
     return false;
   }
 
-  // Apply all deformations to create a deformed sphere
-  createDeformedSphere(numPointsTheta, numPointsPhi) {
+  // Parameter schema of a mode (empty for modes without adjustable parameters)
+  getParamSchema(index) {
+    return index >= 0 && index < this.modes.length ? this.modes[index].getParamSchema() : [];
+  }
+
+  // Get a parameter of a mode; undefined for an invalid index
+  getParam(index, name) {
+    if (index >= 0 && index < this.modes.length) {
+      return this.modes[index].getParam(name);
+    }
+    return undefined;
+  }
+
+  // Set a parameter of a mode (converted and clamped according to its schema)
+  setParam(index, name, value) {
+    if (index >= 0 && index < this.modes.length) {
+      this.modes[index].setParam(name, value);
+      return true;
+    }
+    return false;
+  }
+
+  // Update the animation settings of a mode
+  setAnimation(index, options) {
+    if (index >= 0 && index < this.modes.length) {
+      this.modes[index].setAnimation(options);
+      return true;
+    }
+    return false;
+  }
+
+  // Set the animation time (seconds) used when no explicit time is given
+  setTime(time) {
+    this.time = time;
+  }
+
+  // Whether any active mode changes over time
+  isAnimated() {
+    return this.modes.some(mode => mode.amplitude !== 0 && mode.isAnimated());
+  }
+
+  // Apply all deformations to create a deformed sphere at the given animation time
+  createDeformedSphere(numPointsTheta, numPointsPhi, time = this.time) {
     const points = [];
+    const layers = this.getCompositionLayers();
     
     for (let j = 0; j <= numPointsPhi; j++) {
       const phi = j * Math.PI / numPointsPhi;
@@ -291,11 +1504,8 @@ export class ShapeDeformer {
         const baseZ = Math.cos(phi);
         const basePoint = { x: baseX, y: baseY, z: baseZ };
         
-        // Apply deformation from all active modes
-        let totalDeformation = 0;
-        for (const mode of this.modes) {
-          totalDeformation += mode.applyDeformation(theta, phi, basePoint);
-        }
+        // Combine the radial modes through the composition stack
+        const totalDeformation = this.composeRadial(layers, theta, phi, basePoint, time);
         
         // Calculate final radius and position
         const r = this.baseRadius + totalDeformation;
@@ -311,6 +1521,253 @@ export class ShapeDeformer {
     return points;
   }
 
+  // Select the base tessellation: 'uv', 'icosphere' or 'cubesphere'
+  setTessellation(type) {
+    if (!TESSELLATION_TYPES.includes(type)) {
+      throw new Error(`Unknown tessellation "${type}" (expected ${TESSELLATION_TYPES.join(', ')})`);
+    }
+    this.tessellation = type;
+  }
+
+  // Select the base surface ('sphere', 'torus', 'superellipsoid', 'cylinder' or 'plate', see
+  // baseSurfaces.js) with optional parameter values; returns the surface
+  setBaseSurface(type, params = {}) {
+    this.baseSurface = createBaseSurface(type, params);
+    return this.baseSurface;
+  }
+
+  // Base mesh of the current surface and tessellation for a resolution; cached until the
+  // surface, its parameters, the tessellation, the radius or the resolution change
+  getBaseMesh(numPointsTheta, numPointsPhi) {
+    const surface = this.baseSurface;
+    const key = `${surface.type}${JSON.stringify(surface.getParams())}:${this.tessellation}:${numPointsTheta}x${numPointsPhi}:${this.baseRadius}`;
+    if (!this.baseMeshCache || this.baseMeshCache.key !== key) {
+      const mesh = surface.createBaseMesh(this.tessellation, numPointsTheta, numPointsPhi, this.baseRadius);
+      this.baseMeshCache = { key, mesh };
+    }
+    return this.baseMeshCache.mesh;
+  }
+
+  // Audible layers of the composition stack in evaluation order, as { mode, settings, mask }
+  // with the mode masking the layer (null for none). Layers at zero amplitude or masked by a
+  // mode at zero amplitude are left out; masks by disabled, unknown or non-radial modes are ignored.
+  getCompositionLayers() {
+    const layers = [];
+    for (const id of this.stack.getOrder(this.getModeIds())) {
+      const mode = this.modes[this.findModeIndex(id)];
+      if (mode.amplitude === 0 || !this.stack.isAudible(id)) continue;
+      
+      const settings = this.stack.getLayer(id);
+      let mask = null;
+      if (settings.mask && this.stack.getLayer(settings.mask).enabled) {
+        const maskIndex = this.findModeIndex(settings.mask);
+        if (maskIndex !== -1 && isRadialMode(this.modes[maskIndex])) mask = this.modes[maskIndex];
+      }
+      if (mask && mask.amplitude === 0) continue;
+      
+      layers.push({ mode, settings, mask });
+    }
+    return layers;
+  }
+
+  // Weight (0 to 1) of a layer's mask at a point; 1 for a layer without a mask
+  getMaskWeight(layer, theta, phi, basePoint, time) {
+    if (!layer.mask) return 1;
+    const value = layer.mask.evaluate(theta, phi, basePoint, time);
+    return maskWeight(value, layer.mask.amplitude, layer.settings.invertMask);
+  }
+
+  // Radial displacement at a point: the radial layers folded together in stack order
+  composeRadial(layers, theta, phi, basePoint, time) {
+    let total = 0;
+    for (const layer of layers) {
+      if (!isRadialMode(layer.mode)) continue;
+      
+      const weight = this.getMaskWeight(layer, theta, phi, basePoint, time);
+      if (weight === 0) continue;
+      
+      const value = layer.mode.evaluate(theta, phi, basePoint, time);
+      const blended = blendValues(layer.settings.blend, total, value, layer.mode.amplitude);
+      total += weight * (blended - total);
+    }
+    return total;
+  }
+
+  // Apply all deformations to the vertices of the base mesh at the given animation time: the
+  // radial modes displace the surface along its normal, then the vector displacement modes
+  // and the space warps follow in the order described above VectorDisplacementMode. Returns
+  // { base, positions (x, y, z per vertex), displacements (radial, per vertex), indices,
+  // edges, boundingRadius }; the triangles are shared with the base mesh.
+  createDeformedMesh(numPointsTheta, numPointsPhi, time = this.time) {
+    const base = this.getBaseMesh(numPointsTheta, numPointsPhi);
+    const { surfacePositions, normals } = base;
+    const positions = new Float32Array(base.vertexCount * 3);
+    const displacements = new Float32Array(base.vertexCount);
+    const layers = this.getCompositionLayers();
+    const vectorLayers = layers.filter(layer => layer.mode instanceof VectorDisplacementMode);
+    const warpLayers = layers.filter(layer => layer.mode instanceof SpaceWarpMode);
+    let maxRadiusSquared = 0;
+    
+    for (let v = 0; v < base.vertexCount; v++) {
+      const theta = base.angles[v * 2];
+      const phi = base.angles[v * 2 + 1];
+      const basePoint = {
+        x: base.basePoints[v * 3],
+        y: base.basePoints[v * 3 + 1],
+        z: base.basePoints[v * 3 + 2]
+      };
+      
+      const totalDeformation = this.composeRadial(layers, theta, phi, basePoint, time);
+      displacements[v] = totalDeformation;
+      
+      let point = {
+        x: surfacePositions[v * 3] + totalDeformation * normals[v * 3],
+        y: surfacePositions[v * 3 + 1] + totalDeformation * normals[v * 3 + 1],
+        z: surfacePositions[v * 3 + 2] + totalDeformation * normals[v * 3 + 2]
+      };
+      
+      for (const layer of vectorLayers) {
+        const vector = layer.mode.evaluateVector(theta, phi, basePoint, time);
+        const weight = vector ? this.getMaskWeight(layer, theta, phi, basePoint, time) : 0;
+        if (weight === 0) continue;
+        point.x += weight * vector.x;
+        point.y += weight * vector.y;
+        point.z += weight * vector.z;
+      }
+      
+      for (const layer of warpLayers) {
+        const weight = this.getMaskWeight(layer, theta, phi, basePoint, time);
+        if (weight === 0) continue;
+        const warped = layer.mode.applyWarp(point, this.baseRadius, time);
+        point = {
+          x: point.x + weight * (warped.x - point.x),
+          y: point.y + weight * (warped.y - point.y),
+          z: point.z + weight * (warped.z - point.z)
+        };
+      }
+      
+      positions[v * 3] = point.x;
+      positions[v * 3 + 1] = point.y;
+      positions[v * 3 + 2] = point.z;
+      maxRadiusSquared = Math.max(maxRadiusSquared,
+        positions[v * 3] ** 2 + positions[v * 3 + 1] ** 2 + positions[v * 3 + 2] ** 2);
+    }
+    
+    return { base, positions, displacements, indices: base.indices, edges: base.edges, boundingRadius: Math.sqrt(maxRadiusSquared) };
+  }
+
+  // Whether every audible layer and its mask have a GLSL implementation; audible vector
+  // displacement modes and space warps therefore keep the renderers on the CPU
+  canEvaluateOnGPU() {
+    return this.getCompositionLayers().every(layer =>
+      layer.mode.getShaderSource('deformMode') !== null &&
+      (!layer.mask || layer.mask.getShaderSource('deformMode') !== null)
+    );
+  }
+
+  // Assemble a vertex shader that evaluates all active modes on the GPU.
+  // Shader interface (GLSL ES 3.00), with the attributes taken from the base mesh:
+  //   layout(location = 0) in vec2 a_angles            - (theta, phi) of each vertex
+  //   layout(location = 1) in vec3 a_basePoint         - basePoint the modes receive
+  //   layout(location = 2) in vec3 a_surfacePosition   - undeformed position on the base surface
+  //   layout(location = 3) in vec3 a_normal            - base surface normal (displacement direction)
+  //   uniform mat4 u_model, u_view, u_projection
+  //   uniform float u_amplitudes[], u_phases[], u_envelopes[], u_depths[]
+  //   uniform float u_params[]                 - every mode's getShaderParams(), one after another
+  //   out vec3 v_viewPosition                  - camera-space position for shading
+  // Only the audible radial layers and their masks are included, composed as in
+  // composeRadial(), so the source (and compiled program) changes only when a mode is
+  // switched on or off, the composition stack changes or a parameter that is not passed as a
+  // uniform (such as a noise seed or variant) changes. Amplitudes (already multiplied by each
+  // mode's envelope at the given time), phases, envelopes and blend depths are returned in
+  // matching order, along with the parameters and uniformCount, the number of float array
+  // elements the shader declares.
+  buildDeformationShader(time = this.time) {
+    const hasShader = mode => mode.getShaderSource('deformMode') !== null;
+    const layers = this.getCompositionLayers().filter(layer =>
+      isRadialMode(layer.mode) && hasShader(layer.mode) && (!layer.mask || hasShader(layer.mask))
+    );
+    
+    // Every mode a layer or a mask needs is evaluated once and has one slot in the uniforms
+    const activeModes = [...new Set(layers.flatMap(layer => layer.mask ? [layer.mode, layer.mask] : [layer.mode]))];
+    const slot = mode => activeModes.indexOf(mode);
+    
+    const helpers = [...new Set(activeModes.flatMap(mode => mode.getShaderHelpers()))];
+    const params = [];
+    const functions = activeModes.map((mode, i) => {
+      const offset = params.length;
+      params.push(...mode.getShaderParams());
+      return mode.getShaderSource(`deformMode${i}`, index => `u_params[${offset + index}]`);
+    });
+    const samples = activeModes.map((mode, i) =>
+      `  float f${i} = deformMode${i}(mod(theta - u_phases[${i}], 2.0 * PI), phi, rotateAboutPole(basePoint, -u_phases[${i}]));`
+    );
+    const terms = layers.map(layer => {
+      const i = slot(layer.mode);
+      const blended = blendShaderExpression(layer.settings.blend, 'total', `u_amplitudes[${i}] * f${i}`, `u_envelopes[${i}] * f${i}`, `u_depths[${i}]`);
+      if (!layer.mask) return `  total = ${blended};`;
+      
+      const m = slot(layer.mask);
+      const sign = layer.settings.invertMask ? '-' : '';
+      return `  total = mix(total, ${blended}, clamp(${sign}u_envelopes[${m}] * f${m}, 0.0, 1.0));`;
+    });
+    const envelopes = activeModes.map(mode => mode.isAnimated() ? mode.getEnvelope(time) : 1);
+    
+    const vertexSource = `#version 300 es
+layout(location = 0) in vec2 a_angles;
+layout(location = 1) in vec3 a_basePoint;
+layout(location = 2) in vec3 a_surfacePosition;
+layout(location = 3) in vec3 a_normal;
+
+uniform mat4 u_model;
+uniform mat4 u_view;
+uniform mat4 u_projection;
+uniform float u_amplitudes[${Math.max(1, activeModes.length)}];
+uniform float u_phases[${Math.max(1, activeModes.length)}];
+uniform float u_envelopes[${Math.max(1, activeModes.length)}];
+uniform float u_depths[${Math.max(1, activeModes.length)}];
+uniform float u_params[${Math.max(1, params.length)}];
+
+out vec3 v_viewPosition;
+
+const float PI = 3.141592653589793;
+
+vec3 rotateAboutPole(vec3 p, float angle) {
+  float c = cos(angle);
+  float s = sin(angle);
+  return vec3(c * p.x - s * p.y, s * p.x + c * p.y, p.z);
+}
+
+${[...helpers, ...functions].join('\n\n')}
+
+float totalDeformation(float theta, float phi, vec3 basePoint) {
+${samples.join('\n')}
+  float total = 0.0;
+${terms.join('\n')}
+  return total;
+}
+
+void main() {
+  vec3 position = a_surfacePosition + totalDeformation(a_angles.x, a_angles.y, a_basePoint) * a_normal;
+  vec4 viewPosition = u_view * u_model * vec4(position, 1.0);
+  v_viewPosition = viewPosition.xyz;
+  gl_Position = u_projection * viewPosition;
+}
+`;
+    
+    return {
+      vertexSource,
+      amplitudes: new Float32Array(activeModes.map((mode, i) => mode.amplitude * envelopes[i])),
+      phases: new Float32Array(activeModes.map(mode => mode.getPhase(time) % (2 * Math.PI))),
+      envelopes: new Float32Array(envelopes),
+      depths: new Float32Array(activeModes.map(mode => blendDepth(mode.amplitude))),
+      params: new Float32Array(params),
+      uniformCount: 4 * Math.max(1, activeModes.length) + Math.max(1, params.length),
+      // Generous bound on the deformed radius (patterns stay within about ±2 at unit amplitude)
+      boundingRadius: this.baseSurface.getBoundingRadius(this.baseRadius) + 2 * layers.reduce((sum, layer) => sum + Math.abs(layer.mode.amplitude), 0)
+    };
+  }
+
   // Get array of all mode names for UI
   getModeNames() {
     return this.modes.map(mode => mode.name);
@@ -319,26 +1776,118 @@ export class ShapeDeformer {
   // Get more detailed mode info for UI display
   getModeInfo() {
     return this.modes.map(mode => ({
+      id: mode.id,
       name: mode.name,
       description: mode.description,
       amplitude: mode.amplitude,
-      defaultAmplitude: mode.defaultAmplitude
+      defaultAmplitude: mode.defaultAmplitude,
+      params: mode.getParams(),
+      paramSchema: mode.getParamSchema()
     }));
   }
 
-  // Apply a preset configuration
-  applyPreset(presetConfig) {
-    for (let i = 0; i < this.modes.length && i < presetConfig.amplitudes.length; i++) {
-      this.modes[i].amplitude = presetConfig.amplitudes[i];
+  // Apply a preset (see presets.js for the format; legacy positional presets are migrated).
+  // Modes the preset does not list are switched off with default parameters and no animation.
+  // Spherical harmonic modes the preset refers to are added if missing. Localized modes are
+  // instances belonging to a shape: those the preset lists are created if missing and the
+  // others removed. Problems (unknown modes, invalid values, ...) are reported with
+  // console.warn and returned as a list.
+  applyPreset(presetConfig, options = {}) {
+    const { preset, warnings } = migratePreset(presetConfig, options);
+    
+    for (let i = this.modes.length - 1; i >= 0; i--) {
+      const id = this.modes[i].id;
+      if (parseRegionModeId(id) && !preset.modes[id]) this.removeMode(i);
+    }
+    
+    // Add any spherical harmonics and localized modes the preset uses
+    for (const id of Object.keys(preset.modes)) {
+      const harmonic = parseSphericalHarmonicModeId(id);
+      if (harmonic && this.findModeIndex(id) === -1 && harmonic.m <= harmonic.l) {
+        this.addMode(new SphericalHarmonicMode(harmonic.l, harmonic.m, harmonic.part));
+      }
+      const region = parseRegionModeId(id);
+      if (region && this.findModeIndex(id) === -1) {
+        this.addMode(createRegionMode(region.kind, region.number));
+      }
+    }
+    
+    warnings.push(...validatePreset(preset, this.getModeIds()));
+    
+    for (const mode of this.modes) {
+      const entry = preset.modes[mode.id] || {};
+      
+      mode.amplitude = Number.isFinite(entry.amplitude) ? entry.amplitude : 0;
+      
+      mode.resetParams();
+      for (const [name, value] of Object.entries(entry.params || {})) {
+        try {
+          mode.setParam(name, value);
+        } catch (error) {
+          warnings.push(`Preset "${preset.name}": ${error.message}`);
+        }
+      }
+      
+      try {
+        mode.setAnimation({ ...DEFAULT_ANIMATION, ...entry.animation });
+      } catch (error) {
+        mode.setAnimation(DEFAULT_ANIMATION);
+        warnings.push(`Preset "${preset.name}": ${error.message}`);
+      }
+    }
+    
+    // The preset's composition stack replaces the current one (a preset without one resets it)
+    if (preset.stack) {
+      warnings.push(...validateStack(preset.stack, this).map(warning => `Preset "${preset.name}": ${warning}`));
+      this.stack.load(preset.stack);
+    } else {
+      this.stack.clear();
+    }
+    
+    // The preset's timeline replaces the current one (a preset without one clears it)
+    if (preset.timeline) {
+      warnings.push(...validateTimeline(preset.timeline, this).map(warning => `Preset "${preset.name}": ${warning}`));
+      this.timeline.load(preset.timeline);
+    } else {
+      this.timeline.clear();
+    }
+    
+    for (const warning of warnings) {
+      console.warn(warning);
     }
+    return warnings;
   }
 
-  // Get current configuration as a preset
-  getCurrentPreset(name = "Custom") {
-    return {
+  // Get current configuration as a preset. Only modes that are switched on, animated or
+  // have non-default parameters are listed, and only parameters that differ from their defaults.
+  getCurrentPreset(name = "Custom", description = '') {
+    const modes = {};
+    
+    for (const mode of this.modes) {
+      const params = {};
+      for (const param of mode.getParamSchema()) {
+        if (mode[param.name] !== param.default) params[param.name] = mode[param.name];
+      }
+      const hasParams = Object.keys(params).length > 0;
+      
+      // Localized modes are always listed, as applyPreset() removes the ones that are not
+      if (mode.amplitude === 0 && !hasParams && !mode.isAnimated() && !parseRegionModeId(mode.id)) continue;
+      
+      const entry = { amplitude: mode.amplitude };
+      if (hasParams) entry.params = params;
+      if (mode.isAnimated()) entry.animation = { ...mode.animation };
+      modes[mode.id] = entry;
+    }
+    
+    const preset = {
+      version: PRESET_VERSION,
       name: name,
-      amplitudes: this.modes.map(mode => mode.amplitude)
+      description: description,
+      modes
     };
+    if (!this.stack.isDefault()) preset.stack = this.stack.toJSON();
+    if (this.timeline.hasTracks()) preset.timeline = this.timeline.toJSON();
+    return preset;
   }
   
   // Reset all modes to their default amplitudes
@@ -351,61 +1900,204 @@ export class ShapeDeformer {
 
 // ================ PRESET CONFIGURATIONS ================
 
-// Preset configurations for various shapes
+// Preset configurations for various shapes (see presets.js for the format)
 export const presetConfigurations = {
   'sphere': {
+    version: PRESET_VERSION,
     name: 'Sphere',
     description: 'Perfect sphere with no deformations',
-    amplitudes: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    modes: {}
   },
   'star': {
+    version: PRESET_VERSION,
     name: 'Star',
     description: 'Star-like shape with pointed protrusions',
-    amplitudes: [30, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    modes: {
+      mode1: { amplitude: 30 }
+    }
   },
   'rippled': {
+    version: PRESET_VERSION,
     name: 'Rippled',
     description: 'Sphere with rippled surface',
-    amplitudes: [0, 20, 10, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    modes: {
+      mode2: { amplitude: 20 },
+      mode3: { amplitude: 10 }
+    }
   },
   'twisted': {
+    version: PRESET_VERSION,
     name: 'Twisted',
     description: 'Twisted torus-like shape',
-    amplitudes: [0, 0, 0, 0, 0, 15, 0, 0, 0, 0, 0, 0]
+    modes: {
+      twisted: { amplitude: 15 }
+    }
   },
   'noisy': {
+    version: PRESET_VERSION,
     name: 'Noisy',
     description: 'Irregular surface with noise',
-    amplitudes: [0, 0, 0, 0, 0, 0, 12, 0, 0, 0, 0, 0]
+    modes: {
+      noise: { amplitude: 12 }
+    }
   },
   'terrain': {
+    version: PRESET_VERSION,
     name: 'Terrain',
     description: 'Mountain-like terrain with roughness',
-    amplitudes: [5, 10, 0, 0, 0, 0, 5, 15, 0, 0, 0, 0]
+    modes: {
+      mode1: { amplitude: 5 },
+      mode2: { amplitude: 10 },
+      noise: { amplitude: 5 },
+      rugosity: { amplitude: 15 }
+    }
   },
   'moon': {
+    version: PRESET_VERSION,
     name: 'Moon Surface',
     description: 'Cratered surface like the moon',
-    amplitudes: [0, 0, 0, 0, 0, 0, 5, 15, 10, 0, 0, 0]
+    modes: {
+      noise: { amplitude: 5 },
+      rugosity: { amplitude: 15 },
+      gaussianCurvature: { amplitude: 10 }
+    }
   },
   'symmetric': {
+    version: PRESET_VERSION,
     name: 'Symmetric Form',
     description: 'Form with axial symmetry',
-    amplitudes: [0, 0, 0, 0, 0, 0, 0, 0, 0, 25, 0, 0]
+    modes: {
+      axialSymmetry: { amplitude: 25 }
+    }
   },
   'stretched': {
+    version: PRESET_VERSION,
     name: 'Stretched Form',
     description: 'Anisotropically stretched form',
-    amplitudes: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 20]
+    modes: {
+      anisotropic: { amplitude: 20 }
+    }
   },
   'rippled_sphere': {
+    version: PRESET_VERSION,
     name: 'Rippled Sphere',
     description: 'Sphere with radial waves',
-    amplitudes: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 15, 0]
+    modes: {
+      radialWaves: { amplitude: 15 }
+    }
   },
   'complex_form': {
+    version: PRESET_VERSION,
     name: 'Complex Form',
     description: 'Complex shape using multiple deformation modes',
-    amplitudes: [10, 5, 0, 10, 0, 5, 5, 5, 0, 0, 0, 0]
+    modes: {
+      mode1: { amplitude: 10 },
+      mode2: { amplitude: 5 },
+      pinch: { amplitude: 10 },
+      twisted: { amplitude: 5 },
+      noise: { amplitude: 5 },
+      rugosity: { amplitude: 5 }
+    }
+  },
+  'chladni_square': {
+    version: PRESET_VERSION,
+    name: 'Chladni Square Plate',
+    description: 'Classic square plate figure, (m, n) = (1, 4) antisymmetric',
+    modes: {
+      chladniSquare: { amplitude: 20 }
+    }
+  },
+  'chladni_grid': {
+    version: PRESET_VERSION,
+    name: 'Chladni Grid',
+    description: 'Square plate figure, (m, n) = (2, 5) symmetric',
+    modes: {
+      chladniGrid: { amplitude: 20 }
+    }
+  },
+  'chladni_circle': {
+    version: PRESET_VERSION,
+    name: 'Chladni Circular Plate',
+    description: 'Circular plate figure with nodal diameters and circles, (m, n) = (2, 2)',
+    modes: {
+      chladniCircle: { amplitude: 20 }
+    }
+  },
+  'chladni_rosette': {
+    version: PRESET_VERSION,
+    name: 'Chladni Rosette',
+    description: 'Circular plate figure with five nodal diameters, (m, n) = (5, 1)',
+    modes: {
+      chladniRosette: { amplitude: 20 }
+    }
+  },
+  'chladni_interference': {
+    version: PRESET_VERSION,
+    name: 'Chladni Interference',
+    description: 'Superposed square and circular plate figures',
+    modes: {
+      chladniSquare: { amplitude: 12 },
+      chladniCircle: { amplitude: 12 }
+    }
+  },
+  'breathing': {
+    version: PRESET_VERSION,
+    name: 'Breathing',
+    description: 'Pole-to-pole ripple swelling and relaxing as a standing wave',
+    modes: {
+      ripple: { amplitude: 20, animation: { oscillationFrequency: 0.5, envelope: 'sine' } }
+    }
+  },
+  'travelling_waves': {
+    version: PRESET_VERSION,
+    name: 'Travelling Waves',
+    description: 'Two wave trains circling the equator in opposite directions',
+    modes: {
+      mode2: { amplitude: 12, animation: { phaseVelocity: 0.6 } },
+      mode3: { amplitude: 10, animation: { phaseVelocity: -0.4 } }
+    }
+  },
+  'struck_plate': {
+    version: PRESET_VERSION,
+    name: 'Struck Plate',
+    description: 'A square plate figure struck and ringing down while a turning rosette swells and fades',
+    modes: {
+      chladniSquare: { amplitude: 20, animation: { oscillationFrequency: 0.5, envelope: 'decay', decayRate: 2 } },
+      chladniRosette: { amplitude: 20, animation: { oscillationFrequency: 0.25, envelope: 'pulse', phaseVelocity: 0.3 } }
+    }
+  },
+  // Keyframed: press Play in the timeline panel
+  'choreography': {
+    version: PRESET_VERSION,
+    name: 'Choreography',
+    description: 'A keyframed piece: ripples swell and recede while the Chladni figure climbs through its modes',
+    modes: {
+      ripple: { amplitude: 0 },
+      chladniSquare: { amplitude: 15 }
+    },
+    timeline: {
+      duration: 12,
+      playback: 'pingpong',
+      tracks: [
+        {
+          mode: 'ripple',
+          property: 'amplitude',
+          interpolation: 'catmullRom',
+          keyframes: [{ time: 0, value: 0 }, { time: 3, value: 20 }, { time: 6, value: 5 }, { time: 9, value: 25 }, { time: 12, value: 0 }]
+        },
+        {
+          mode: 'chladniSquare',
+          property: 'm',
+          interpolation: 'linear',
+          keyframes: [{ time: 0, value: 1 }, { time: 12, value: 6 }]
+        },
+        {
+          mode: 'chladniSquare',
+          property: 'amplitude',
+          interpolation: 'bezier',
+          keyframes: [{ time: 0, value: 15 }, { time: 6, value: 30 }, { time: 12, value: 15 }]
+        }
+      ]
+    }
   }
 };
\ No newline at end of file
@@ -0,0 +1,158 @@
+// specialFunctions.js - Special functions used by the physically-based deformation modes
+
+// Number of samples for the trapezoidal evaluation of Bessel's integral.
+// The integrand is periodic, so the trapezoidal rule converges exponentially
+// and stays accurate for arguments well beyond the plate modes we use (x < ~40).
+export const BESSEL_INTEGRATION_STEPS = 64;
+
+// Bessel function of the first kind J_n(x) for integer order n, via Bessel's integral:
+// J_n(x) = (1/π) ∫_0^π cos(n·τ − x·sin τ) dτ
+// This is numerically stable for large x (unlike the power series), and the same
+// formula is used by the GLSL versions so GPU and JS evaluation agree.
+export function besselJ(n, x) {
+  const steps = BESSEL_INTEGRATION_STEPS;
+  const h = Math.PI / steps;
+
+  // Trapezoidal rule: endpoints count half
+  let sum = 0.5 * (Math.cos(0) + Math.cos(n * Math.PI));
+  for (let i = 1; i < steps; i++) {
+    const tau = i * h;
+    sum += Math.cos(n * tau - x * Math.sin(tau));
+  }
+
+  return sum * h / Math.PI;
+}
+
+// The k-th positive zero (k = 1, 2, ...) of J_n, found by scanning for a sign change and bisecting
+export function besselJZero(n, k) {
+  const step = 0.05;
+  let found = 0;
+  let a = step;
+  let fa = besselJ(n, a);
+
+  while (found < k) {
+    const b = a + step;
+    const fb = besselJ(n, b);
+
+    if (fa === 0 || fa * fb < 0) {
+      found++;
+      if (found === k) {
+        if (fa === 0) return a;
+        return bisect(x => besselJ(n, x), a, b);
+      }
+    }
+
+    a = b;
+    fa = fb;
+  }
+}
+
+// GLSL source of `float besselJ(float n, float x)`, matching besselJ() above
+export function besselJShaderSource() {
+  return `float besselJ(float n, float x) {
+  const int steps = ${BESSEL_INTEGRATION_STEPS};
+  float h = PI / float(steps);
+  float sum = 0.5 * (1.0 + cos(n * PI));
+  for (int i = 1; i < steps; i++) {
+    float tau = float(i) * h;
+    sum += cos(n * tau - x * sin(tau));
+  }
+  return sum * h / PI;
+}`;
+}
+
+// Find a root of f in [a, b] (f(a) and f(b) must have opposite signs)
+function bisect(f, a, b, tolerance = 1e-10) {
+  let fa = f(a);
+
+  for (let i = 0; i < 100 && b - a > tolerance; i++) {
+    const mid = (a + b) / 2;
+    const fm = f(mid);
+
+    if (fa * fm <= 0) {
+      b = mid;
+    } else {
+      a = mid;
+      fa = fm;
+    }
+  }
+
+  return (a + b) / 2;
+}
+
+// Fully normalized associated Legendre function
+//   P̄_l^m(x) = sqrt((2l + 1) / 4π · (l - m)! / (l + m)!) · P_l^m(x)
+// for 0 <= m <= l, including the Condon-Shortley phase (-1)^m.
+// Uses the standard normalized three-term recurrence in l, which avoids the factorial
+// overflow of the unnormalized polynomials and stays stable to high degree.
+export function normalizedAssociatedLegendre(l, m, x) {
+  if (m < 0 || m > l) {
+    throw new Error(`Invalid associated Legendre order: l=${l}, m=${m}`);
+  }
+
+  // P̄_m^m = (-1)^m · sqrt((2m + 1) / 4π · ∏_{k=1..m} (2k - 1) / 2k) · (1 - x²)^(m/2)
+  const sinTheta = Math.sqrt(Math.max(0, 1 - x * x));
+  let pmm = Math.sqrt(1 / (4 * Math.PI));
+  for (let k = 1; k <= m; k++) {
+    pmm *= -Math.sqrt((2 * k + 1) / (2 * k)) * sinTheta;
+  }
+  if (l === m) return pmm;
+
+  // P̄_{m+1}^m = x · sqrt(2m + 3) · P̄_m^m
+  let pPrev = pmm;
+  let pCurr = x * Math.sqrt(2 * m + 3) * pmm;
+
+  // P̄_l^m = a · (x · P̄_{l-1}^m - b · P̄_{l-2}^m)
+  for (let ll = m + 2; ll <= l; ll++) {
+    const a = Math.sqrt((4 * ll * ll - 1) / (ll * ll - m * m));
+    const b = Math.sqrt(((ll - 1) * (ll - 1) - m * m) / (4 * (ll - 1) * (ll - 1) - 1));
+    const pNext = a * (x * pCurr - b * pPrev);
+    pPrev = pCurr;
+    pCurr = pNext;
+  }
+
+  return pCurr;
+}
+
+// Real orthonormal spherical harmonic basis function on the unit sphere.
+// theta: azimuth (0 to 2π), phi: polar angle from +Z (0 to π).
+// part 'real' gives √2·P̄_l^m(cos φ)·cos(mθ), part 'imag' gives √2·P̄_l^m(cos φ)·sin(mθ)
+// (the real and imaginary parts of Y_lm, rescaled so every basis function has unit norm);
+// for m = 0 the real part is P̄_l^0(cos φ) and the imaginary part vanishes.
+export function sphericalHarmonic(l, m, part, theta, phi) {
+  const p = normalizedAssociatedLegendre(l, m, Math.cos(phi));
+  if (m === 0) return part === 'imag' ? 0 : p;
+
+  const angular = part === 'imag' ? Math.sin(m * theta) : Math.cos(m * theta);
+  return Math.SQRT2 * p * angular;
+}
+
+// GLSL source of `float sphericalHarmonic(int l, int m, bool imaginary, float theta, float phi)`,
+// matching sphericalHarmonic() above
+export function sphericalHarmonicShaderSource() {
+  return `float sphericalHarmonic(int l, int m, bool imaginary, float theta, float phi) {
+  float x = cos(phi);
+  float sinTheta = sqrt(max(0.0, 1.0 - x * x));
+  float pmm = sqrt(1.0 / (4.0 * PI));
+  for (int k = 1; k <= m; k++) {
+    pmm *= -sqrt(float(2 * k + 1) / float(2 * k)) * sinTheta;
+  }
+  float p = pmm;
+  if (l > m) {
+    float pPrev = pmm;
+    float pCurr = x * sqrt(float(2 * m + 3)) * pmm;
+    for (int ll = m + 2; ll <= l; ll++) {
+      float fl = float(ll);
+      float fm = float(m);
+      float a = sqrt((4.0 * fl * fl - 1.0) / (fl * fl - fm * fm));
+      float b = sqrt(((fl - 1.0) * (fl - 1.0) - fm * fm) / (4.0 * (fl - 1.0) * (fl - 1.0) - 1.0));
+      float pNext = a * (x * pCurr - b * pPrev);
+      pPrev = pCurr;
+      pCurr = pNext;
+    }
+    p = pCurr;
+  }
+  if (m == 0) return imaginary ? 0.0 : p;
+  return sqrt(2.0) * p * (imaginary ? sin(float(m) * theta) : cos(float(m) * theta));
+}`;
+}
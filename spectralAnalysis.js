@@ -0,0 +1,339 @@
+// spectralAnalysis.js - Least-squares spherical harmonic spectra of deformed shapes and point clouds
+
+import { sphericalHarmonic } from './specialFunctions.js';
+import { PRESET_VERSION } from './presets.js';
+import { sphericalHarmonicModeId } from './shapeDeformer.js';
+
+// Value of the constant basis function Y_00 = 1 / (2√π)
+const Y00 = 1 / (2 * Math.sqrt(Math.PI));
+
+/**
+ * Lists the real spherical harmonic basis up to a degree, in the same order as
+ * ShapeDeformer.addSphericalHarmonics(): l ascending, then m ascending, real before imaginary
+ * @param {number} maxDegree - Highest degree L
+ * @returns {Array<{l: number, m: number, part: string}>} (L + 1)² basis functions
+ */
+export function sphericalHarmonicBasis(maxDegree) {
+  const basis = [];
+  for (let l = 0; l <= maxDegree; l++) {
+    for (let m = 0; m <= l; m++) {
+      basis.push({ l, m, part: 'real' });
+      if (m > 0) basis.push({ l, m, part: 'imag' });
+    }
+  }
+  return basis;
+}
+
+/**
+ * Converts a 3D point to a radial sample around a centre
+ * @param {Object} point - Point with x, y, z
+ * @param {Object} center - Centre of the shape
+ * @param {number} weight - Quadrature weight of the sample
+ * @returns {Object|null} Sample { theta, phi, r, weight }, or null for a point at the centre
+ */
+function pointToSample(point, center, weight) {
+  const x = point.x - center.x;
+  const y = point.y - center.y;
+  const z = point.z - center.z;
+  const r = Math.sqrt(x * x + y * y + z * z);
+  if (r === 0) return null;
+
+  let theta = Math.atan2(y, x);
+  if (theta < 0) theta += 2 * Math.PI;
+  const phi = Math.acos(Math.max(-1, Math.min(1, z / r)));
+
+  return { theta, phi, r, weight };
+}
+
+/**
+ * Builds radial samples from the grid returned by ShapeDeformer.createDeformedSphere().
+ * Samples are weighted by sin(φ) (their share of the sphere's area) and the duplicated
+ * θ = 2π seam column is skipped, so the fit is not biased towards the crowded poles.
+ * @param {Array<Array<Object>>} grid - Rows of points from pole to pole
+ * @returns {Array<Object>} Samples { theta, phi, r, weight }
+ */
+export function samplesFromGrid(grid) {
+  const center = { x: 0, y: 0, z: 0 };
+  const samples = [];
+  const numPointsPhi = grid.length - 1;
+
+  for (let j = 0; j < grid.length; j++) {
+    const weight = Math.sin(j * Math.PI / numPointsPhi);
+    if (weight <= 1e-12) continue; // The poles cover no area
+
+    const row = grid[j];
+    for (let i = 0; i < row.length - 1; i++) {
+      const sample = pointToSample(row[i], center, weight);
+      if (sample) samples.push(sample);
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Builds radial samples from an arbitrary point cloud
+ * @param {Array<Object>} points - Points with x, y, z
+ * @param {Object} center - Centre of the shape; defaults to the centroid of the points
+ * @returns {Array<Object>} Samples { theta, phi, r, weight }
+ */
+export function samplesFromPointCloud(points, center = null) {
+  if (!center) {
+    center = { x: 0, y: 0, z: 0 };
+    for (const p of points) {
+      center.x += p.x / points.length;
+      center.y += p.y / points.length;
+      center.z += p.z / points.length;
+    }
+  }
+
+  return points
+    .map(point => pointToSample(point, center, 1))
+    .filter(sample => sample !== null);
+}
+
+/**
+ * Scales samples so their mean radius (weighted as in the fit) equals a target radius, e.g.
+ * to bring a point cloud in arbitrary units to a deformer's base radius before fitting it
+ * (spectrumToPreset() takes the l = 0 coefficient relative to that base radius)
+ * @param {Array<Object>} samples - Samples { theta, phi, r, weight }
+ * @param {number} radius - Target mean radius
+ * @returns {Object} { samples, scale } - The scaled samples and the factor applied to r
+ */
+export function normalizeSampleRadius(samples, radius) {
+  let weightedRadius = 0;
+  let totalWeight = 0;
+  for (const sample of samples) {
+    weightedRadius += sample.weight * sample.r;
+    totalWeight += sample.weight;
+  }
+  if (!(weightedRadius > 0)) {
+    throw new Error('Cannot normalize samples without a positive mean radius');
+  }
+
+  const scale = radius * totalWeight / weightedRadius;
+  return {
+    samples: samples.map(sample => ({ ...sample, r: sample.r * scale })),
+    scale
+  };
+}
+
+/**
+ * Parses a point cloud from text: one point per line as "x y z" (spaces, tabs or commas),
+ * or OBJ "v x y z" vertex lines. Other lines are ignored.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Points with x, y, z
+ */
+export function parsePointCloud(text) {
+  const points = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) continue;
+
+    if (/^v\s/.test(line)) {
+      line = line.slice(2);
+    } else if (/^[a-zA-Z]/.test(line)) {
+      continue; // Other OBJ records (faces, normals, ...)
+    }
+
+    const values = line.split(/[\s,;]+/).map(Number);
+    if (values.length >= 3 && values.slice(0, 3).every(Number.isFinite)) {
+      points.push({ x: values[0], y: values[1], z: values[2] });
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Least-squares fit of r(θ, φ) = Σ c_lm·Y_lm(θ, φ) up to a chosen degree
+ * @param {Array<Object>} samples - Samples { theta, phi, r, weight }
+ * @param {number} maxDegree - Highest degree L of the fit
+ * @param {Object} options - { regularization: ridge factor added to the normal equations (default 1e-9) }
+ * @returns {Object} Spectrum { maxDegree, coefficients: [{l, m, part, value}], power: per-degree Σc², meanRadius, rmsError }
+ */
+export function fitSphericalHarmonics(samples, maxDegree, options = {}) {
+  const basis = sphericalHarmonicBasis(maxDegree);
+  const size = basis.length;
+
+  if (samples.length < size) {
+    throw new Error(`Need at least ${size} samples to fit degree ${maxDegree}, got ${samples.length}`);
+  }
+
+  // Accumulate the weighted normal equations (AᵀWA) c = AᵀWr
+  const normal = Array.from({ length: size }, () => new Float64Array(size));
+  const rhs = new Float64Array(size);
+  const row = new Float64Array(size);
+  let totalWeight = 0;
+
+  for (const sample of samples) {
+    for (let k = 0; k < size; k++) {
+      const { l, m, part } = basis[k];
+      row[k] = sphericalHarmonic(l, m, part, sample.theta, sample.phi);
+    }
+
+    for (let a = 0; a < size; a++) {
+      const wa = sample.weight * row[a];
+      rhs[a] += wa * sample.r;
+      for (let b = 0; b <= a; b++) {
+        normal[a][b] += wa * row[b];
+      }
+    }
+    totalWeight += sample.weight;
+  }
+
+  // Mirror the lower triangle and regularize relative to the matrix scale
+  const regularization = options.regularization !== undefined ? options.regularization : 1e-9;
+  for (let a = 0; a < size; a++) {
+    for (let b = 0; b < a; b++) {
+      normal[b][a] = normal[a][b];
+    }
+    normal[a][a] += regularization * totalWeight;
+  }
+
+  const values = solveSymmetricPositiveDefinite(normal, rhs);
+
+  // Weighted RMS of the residual radius
+  let squaredError = 0;
+  for (const sample of samples) {
+    let fitted = 0;
+    for (let k = 0; k < size; k++) {
+      const { l, m, part } = basis[k];
+      fitted += values[k] * sphericalHarmonic(l, m, part, sample.theta, sample.phi);
+    }
+    squaredError += sample.weight * (sample.r - fitted) ** 2;
+  }
+
+  const coefficients = basis.map((b, k) => ({ ...b, value: values[k] }));
+  return {
+    maxDegree,
+    coefficients,
+    power: powerSpectrum(coefficients, maxDegree),
+    meanRadius: values[0] * Y00,
+    rmsError: Math.sqrt(squaredError / totalWeight)
+  };
+}
+
+/**
+ * Power per degree: P_l = Σ_m c_lm² (by Parseval, the share of the shape's squared radius
+ * carried by detail of that angular scale)
+ * @param {Array<Object>} coefficients - Coefficients {l, m, part, value}
+ * @param {number} maxDegree - Highest degree
+ * @returns {Array<number>} Power for l = 0..maxDegree
+ */
+export function powerSpectrum(coefficients, maxDegree) {
+  const power = new Array(maxDegree + 1).fill(0);
+  for (const c of coefficients) {
+    if (c.l <= maxDegree) power[c.l] += c.value * c.value;
+  }
+  return power;
+}
+
+/**
+ * L2 distance between two shapes given by their spectra (by orthonormality this equals
+ * the RMS difference of their radius functions times √(4π)). Missing coefficients count as 0.
+ * @param {Object} a - First spectrum
+ * @param {Object} b - Second spectrum
+ * @returns {number} Distance
+ */
+export function spectrumDistance(a, b) {
+  const key = c => `${c.l},${c.m},${c.part}`;
+  const values = new Map(a.coefficients.map(c => [key(c), c.value]));
+  let sum = 0;
+
+  for (const c of b.coefficients) {
+    const diff = (values.get(key(c)) || 0) - c.value;
+    sum += diff * diff;
+    values.delete(key(c));
+  }
+  for (const value of values.values()) {
+    sum += value * value;
+  }
+
+  return Math.sqrt(sum);
+}
+
+/**
+ * Fits the spectrum of the deformer's current shape from its deformed sphere grid
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @param {number} maxDegree - Highest degree of the fit
+ * @param {Object} options - { numPointsTheta, numPointsPhi } sampling resolution plus fit options
+ * @returns {Object} Spectrum (see fitSphericalHarmonics)
+ */
+export function fitShapeDeformer(shapeDeformer, maxDegree, options = {}) {
+  // Sample comfortably above the Nyquist rate of the highest degree
+  const numPointsPhi = options.numPointsPhi || Math.max(32, 4 * (maxDegree + 1));
+  const numPointsTheta = options.numPointsTheta || 2 * numPointsPhi;
+
+  const grid = shapeDeformer.createDeformedSphere(numPointsTheta, numPointsPhi);
+  return fitSphericalHarmonics(samplesFromGrid(grid), maxDegree, options);
+}
+
+/**
+ * Turns a spectrum into a preset for a ShapeDeformer. The preset sets the spherical
+ * harmonic modes up to the spectrum's degree (which applyPreset() adds if missing) and so
+ * switches every other mode off; the l = 0 coefficient is taken relative to the deformer's
+ * base radius.
+ * @param {Object} spectrum - Spectrum from fitSphericalHarmonics()
+ * @param {Object} shapeDeformer - The ShapeDeformer the preset is for
+ * @param {string} name - Preset name
+ * @returns {Object} Preset { version, name, description, modes, spectrum }
+ */
+export function spectrumToPreset(spectrum, shapeDeformer, name = 'Fitted Spectrum') {
+  const modes = {};
+  for (const c of spectrum.coefficients) {
+    const amplitude = c.l === 0 ? c.value - shapeDeformer.baseRadius / Y00 : c.value;
+    modes[sphericalHarmonicModeId(c.l, c.m, c.part)] = { amplitude };
+  }
+
+  return {
+    version: PRESET_VERSION,
+    name,
+    description: `Spherical harmonic fit up to degree ${spectrum.maxDegree} (RMS error ${spectrum.rmsError.toFixed(2)})`,
+    modes,
+    spectrum
+  };
+}
+
+// Solve A x = b for a symmetric positive definite A by Cholesky decomposition
+function solveSymmetricPositiveDefinite(A, b) {
+  const n = b.length;
+  const L = Array.from({ length: n }, () => new Float64Array(n));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= L[i][k] * L[j][k];
+      }
+
+      if (i === j) {
+        if (sum <= 0) {
+          throw new Error('Spectrum fit is ill-conditioned: too few or badly distributed samples for this degree');
+        }
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+
+  // Forward substitution: L y = b
+  const y = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) sum -= L[i][k] * y[k];
+    y[i] = sum / L[i][i];
+  }
+
+  // Back substitution: Lᵀ x = y
+  const x = new Float64Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = y[i];
+    for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+    x[i] = sum / L[i][i];
+  }
+
+  return Array.from(x);
+}
@@ -0,0 +1,234 @@
+// spectrumUI.js
+// A module to handle the spherical harmonic power-spectrum panel for the nuChladni application
+
+import {
+  fitShapeDeformer,
+  fitSphericalHarmonics,
+  samplesFromPointCloud,
+  normalizeSampleRadius,
+  parsePointCloud,
+  spectrumToPreset
+} from './spectralAnalysis.js';
+import { applyPresetWithHistory } from './generalUI.js';
+
+/**
+ * Sets up the spectrum panel: fits the current shape (or an imported point cloud) with
+ * spherical harmonics, plots the power per degree and applies the fit as a preset
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @param {HTMLElement} parentElement - The parent element to append the panel to
+ * @param {Object} options - Configuration options; options.onPresetApplied(preset) is called after applying a fit,
+ *   and with options.history (a CommandHistory) applying a fit is an undoable step
+ * @returns {Object} Object containing references to the created UI elements
+ */
+export function setupSpectrumPanel(shapeDeformer, parentElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    position: { bottom: '10px', right: '10px' },
+    zIndex: 101,
+    defaultDegree: 6,
+    maxDegree: 12,
+    chartSize: { width: 240, height: 110 },
+    onPresetApplied: null,
+    history: null
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+
+  // Create the panel container
+  const panel = document.createElement('div');
+  panel.className = 'spectrum-panel';
+  panel.style.position = 'absolute';
+  panel.style.bottom = config.position.bottom;
+  panel.style.right = config.position.right;
+  panel.style.zIndex = config.zIndex;
+  panel.style.background = 'rgba(255, 255, 255, 0.8)';
+  panel.style.padding = '10px';
+  panel.style.borderRadius = '5px';
+  panel.style.boxShadow = '0 0 10px rgba(0, 0, 0, 0.1)';
+  panel.style.fontSize = '12px';
+
+  const title = document.createElement('div');
+  title.textContent = 'Harmonic Spectrum';
+  title.style.fontWeight = 'bold';
+  title.style.marginBottom = '6px';
+
+  // Degree selector
+  const degreeLabel = document.createElement('label');
+  degreeLabel.textContent = 'Degree L:';
+  const degreeInput = document.createElement('input');
+  degreeInput.type = 'number';
+  degreeInput.min = '1';
+  degreeInput.max = config.maxDegree.toString();
+  degreeInput.value = config.defaultDegree.toString();
+  degreeInput.style.width = '45px';
+
+  // Actions
+  const analyseButton = document.createElement('button');
+  analyseButton.textContent = 'Analyse Shape';
+
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.xyz,.txt,.csv,.obj';
+  importInput.style.display = 'none';
+  const importButton = document.createElement('button');
+  importButton.textContent = 'Import Points';
+  importButton.addEventListener('click', () => importInput.click());
+
+  const applyButton = document.createElement('button');
+  applyButton.textContent = 'Apply as Preset';
+  applyButton.disabled = true;
+
+  // Power spectrum chart
+  const chart = createChartCanvas(config.chartSize);
+  const info = document.createElement('div');
+  info.style.marginTop = '4px';
+  info.style.maxWidth = `${config.chartSize.width}px`;
+
+  let currentSpectrum = null;
+  let currentSource = '';
+
+  const getDegree = () => {
+    const degree = parseInt(degreeInput.value, 10);
+    return Math.max(1, Math.min(config.maxDegree, Number.isFinite(degree) ? degree : config.defaultDegree));
+  };
+
+  const showSpectrum = (spectrum, source) => {
+    currentSpectrum = spectrum;
+    currentSource = source;
+    drawPowerSpectrum(chart, spectrum);
+    info.textContent = describeSpectrum(spectrum);
+    applyButton.disabled = false;
+  };
+
+  const showError = (error) => {
+    info.textContent = `Fit failed: ${error.message}`;
+  };
+
+  analyseButton.addEventListener('click', () => {
+    try {
+      showSpectrum(fitShapeDeformer(shapeDeformer, getDegree()), 'Current Shape');
+    } catch (error) {
+      showError(error);
+    }
+  });
+
+  importInput.addEventListener('change', () => {
+    const file = importInput.files[0];
+    if (!file) return;
+
+    file.text().then((text) => {
+      // Point clouds come in any units: fit them at the shape's base radius
+      const points = parsePointCloud(text);
+      const { samples, scale } = normalizeSampleRadius(samplesFromPointCloud(points), shapeDeformer.baseRadius);
+      const spectrum = { ...fitSphericalHarmonics(samples, getDegree()), scale };
+      showSpectrum(spectrum, file.name);
+    }).catch(showError).finally(() => {
+      // Allow re-importing the same file
+      importInput.value = '';
+    });
+  });
+
+  applyButton.addEventListener('click', () => {
+    if (!currentSpectrum) return;
+
+    const preset = spectrumToPreset(currentSpectrum, shapeDeformer, `Fit of ${currentSource}`);
+    applyPresetWithHistory(shapeDeformer, preset, config.history);
+
+    if (config.onPresetApplied) {
+      config.onPresetApplied(preset);
+    }
+  });
+
+  // Assemble the panel
+  const controlsRow = document.createElement('div');
+  controlsRow.appendChild(degreeLabel);
+  controlsRow.appendChild(degreeInput);
+
+  const buttonsRow = document.createElement('div');
+  buttonsRow.style.margin = '6px 0';
+  buttonsRow.appendChild(analyseButton);
+  buttonsRow.appendChild(importButton);
+  buttonsRow.appendChild(applyButton);
+  buttonsRow.appendChild(importInput);
+
+  panel.appendChild(title);
+  panel.appendChild(controlsRow);
+  panel.appendChild(buttonsRow);
+  panel.appendChild(chart);
+  panel.appendChild(info);
+  parentElement.appendChild(panel);
+
+  return {
+    panel,
+    degreeInput,
+    analyseButton,
+    importButton,
+    applyButton,
+    chart,
+    getSpectrum: () => currentSpectrum
+  };
+}
+
+/**
+ * Creates the canvas used for the power spectrum bar chart
+ * @param {Object} size - { width, height } in pixels
+ * @returns {HTMLCanvasElement} The created canvas
+ */
+function createChartCanvas(size) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  canvas.style.display = 'block';
+  canvas.style.background = '#fff';
+  canvas.style.border = '1px solid #ccc';
+  return canvas;
+}
+
+/**
+ * Draws the power per degree as a bar chart. Degree 0 (the mean radius) dwarfs every other
+ * degree, so bars are scaled to the largest power among l >= 1 and l = 0 is omitted.
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @param {Object} spectrum - Spectrum from spectralAnalysis.js
+ */
+function drawPowerSpectrum(canvas, spectrum) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const power = spectrum.power.slice(1);
+  const maxPower = Math.max(...power, 1e-12);
+
+  const labelHeight = 14;
+  const barWidth = width / power.length;
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'center';
+
+  power.forEach((value, i) => {
+    const barHeight = (value / maxPower) * (height - labelHeight - 4);
+    const x = i * barWidth;
+
+    ctx.fillStyle = 'rgb(40, 120, 255)';
+    ctx.fillRect(x + 2, height - labelHeight - barHeight, barWidth - 4, barHeight);
+
+    ctx.fillStyle = '#333';
+    ctx.fillText(String(i + 1), x + barWidth / 2, height - 3);
+  });
+}
+
+/**
+ * Summarises a spectrum: fit quality and the dominant non-constant modes
+ * @param {Object} spectrum - Spectrum from spectralAnalysis.js
+ * @returns {string} Human-readable description
+ */
+function describeSpectrum(spectrum) {
+  const dominant = spectrum.coefficients
+    .filter(c => c.l > 0)
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+    .slice(0, 3)
+    .map(c => `Y(${c.l},${c.m}) ${c.part === 'real' ? 'Re' : 'Im'} ${c.value.toFixed(1)}`);
+
+  const scale = spectrum.scale !== undefined ? ` (points scaled ×${spectrum.scale.toPrecision(3)})` : '';
+  return `Mean radius ${spectrum.meanRadius.toFixed(1)}${scale}, RMS error ${spectrum.rmsError.toFixed(2)}. ` +
+    `Dominant: ${dominant.join(', ')}`;
+}
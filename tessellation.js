@@ -0,0 +1,306 @@
+// tessellation.js - Base tessellations of the unit sphere as indexed meshes
+//
+// Every tessellation shares its vertices between triangles (no duplicated seam column, one
+// vertex per pole) and carries, per vertex, the spherical angles the deformation modes are
+// evaluated with:
+//   {
+//     type: 'icosphere',
+//     vertexCount: 642,
+//     angles: Float32Array,      // theta (0 to 2π, 0 at the poles), phi (0 at +Z to π) per vertex
+//     basePoints: Float32Array,  // Unit vector x, y, z per vertex (sin φ cos θ, sin φ sin θ, cos φ)
+//     indices: Uint32Array,      // 3 vertex indices per triangle, counter-clockwise seen from outside
+//     edges: Uint32Array         // 2 vertex indices per unique edge (for wireframes)
+//   }
+// The UV tessellation is the latitude/longitude grid of ShapeDeformer.createDeformedSphere()
+// with the seam and poles welded; the icosphere (subdivided icosahedron) and cube sphere
+// (normalised cube) spread their triangles evenly, without crowding at the poles.
+
+export const TESSELLATION_TYPES = ['uv', 'icosphere', 'cubesphere'];
+
+export const TESSELLATION_LABELS = {
+  uv: 'UV (latitude/longitude)',
+  icosphere: 'Icosphere',
+  cubesphere: 'Cube sphere'
+};
+
+// Maximum icosphere subdivision level (40962 vertices at 6)
+const MAX_ICOSPHERE_LEVEL = 6;
+
+// Larger than any vertex index, so (a, b) pairs map to unique numeric keys
+const EDGE_KEY_STRIDE = 2 ** 22;
+
+/**
+ * Creates a base tessellation with roughly as many vertices as a UV grid of the given size,
+ * so the same resolution settings suit every type
+ * @param {string} type - One of TESSELLATION_TYPES
+ * @param {number} numPointsTheta - Grid resolution along the equator
+ * @param {number} numPointsPhi - Grid resolution from pole to pole
+ * @returns {Object} The base mesh (see the top of this file)
+ */
+export function createTessellation(type, numPointsTheta, numPointsPhi) {
+  const targetVertices = numPointsTheta * numPointsPhi;
+  switch (type) {
+    case 'uv':
+      return createUVSphere(numPointsTheta, numPointsPhi);
+    case 'icosphere': {
+      // An icosphere of level k has 10 * 4^k + 2 vertices
+      const level = Math.round(Math.log(Math.max(targetVertices / 10, 1)) / Math.log(4));
+      return createIcosphere(Math.min(level, MAX_ICOSPHERE_LEVEL));
+    }
+    case 'cubesphere':
+      // A cube sphere with n segments per face edge has 6 * n^2 + 2 vertices
+      return createCubeSphere(Math.max(1, Math.round(Math.sqrt(targetVertices / 6))));
+    default:
+      throw new Error(`Unknown tessellation "${type}" (expected ${TESSELLATION_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Latitude/longitude sphere with a welded seam and single-vertex poles
+ * @param {number} numPointsTheta - Segments along the equator (at least 3)
+ * @param {number} numPointsPhi - Segments from pole to pole (at least 2)
+ * @returns {Object} The base mesh
+ */
+export function createUVSphere(numPointsTheta, numPointsPhi) {
+  const columns = Math.max(3, numPointsTheta);
+  const rows = Math.max(2, numPointsPhi);
+  const directions = [{ theta: 0, phi: 0 }];
+  for (let j = 1; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      directions.push({ theta: i * 2 * Math.PI / columns, phi: j * Math.PI / rows });
+    }
+  }
+  directions.push({ theta: 0, phi: Math.PI });
+
+  const north = 0;
+  const south = directions.length - 1;
+  const vertexIndex = (j, i) => 1 + (j - 1) * columns + (i % columns);
+
+  // Same winding as the grid triangles of the renderers: (j, i), (j + 1, i), (j, i + 1)
+  const indices = [];
+  for (let i = 0; i < columns; i++) {
+    indices.push(north, vertexIndex(1, i), vertexIndex(1, i + 1));
+    indices.push(vertexIndex(rows - 1, i), south, vertexIndex(rows - 1, i + 1));
+  }
+  for (let j = 1; j < rows - 1; j++) {
+    for (let i = 0; i < columns; i++) {
+      const a = vertexIndex(j, i);
+      const b = vertexIndex(j, i + 1);
+      const c = vertexIndex(j + 1, i);
+      const d = vertexIndex(j + 1, i + 1);
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  const mesh = buildMesh('uv', directions.length, indices);
+  directions.forEach(({ theta, phi }, v) => {
+    mesh.angles[v * 2] = theta;
+    mesh.angles[v * 2 + 1] = phi;
+    mesh.basePoints[v * 3] = Math.sin(phi) * Math.cos(theta);
+    mesh.basePoints[v * 3 + 1] = Math.sin(phi) * Math.sin(theta);
+    mesh.basePoints[v * 3 + 2] = Math.cos(phi);
+  });
+  return mesh;
+}
+
+/**
+ * Subdivided icosahedron: every level splits each triangle into four
+ * @param {number} level - Subdivision level (0 is the icosahedron)
+ * @returns {Object} The base mesh
+ */
+export function createIcosphere(level) {
+  const t = (1 + Math.sqrt(5)) / 2;
+  const points = [
+    [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+    [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+    [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+  ].map(normalize);
+  let faces = [
+    [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+    [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+    [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+    [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+  ];
+
+  for (let l = 0; l < level; l++) {
+    // Midpoints are shared by the two triangles on either side of an edge
+    const midpoints = new Map();
+    const midpoint = (a, b) => {
+      const key = a < b ? a * EDGE_KEY_STRIDE + b : b * EDGE_KEY_STRIDE + a;
+      let index = midpoints.get(key);
+      if (index === undefined) {
+        const [pa, pb] = [points[a], points[b]];
+        index = points.push(normalize([pa[0] + pb[0], pa[1] + pb[1], pa[2] + pb[2]])) - 1;
+        midpoints.set(key, index);
+      }
+      return index;
+    };
+
+    const subdivided = [];
+    for (const [a, b, c] of faces) {
+      const ab = midpoint(a, b);
+      const bc = midpoint(b, c);
+      const ca = midpoint(c, a);
+      subdivided.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+    }
+    faces = subdivided;
+  }
+
+  return meshFromPoints('icosphere', points, faces.flat());
+}
+
+/**
+ * Cube with n x n quads per face, projected onto the sphere with the area-preserving
+ * ("spherified cube") mapping so the cells stay similar in size
+ * @param {number} segments - Quads along each face edge
+ * @returns {Object} The base mesh
+ */
+export function createCubeSphere(segments) {
+  const n = Math.max(1, segments);
+  const points = [];
+  const pointIndices = new Map(); // Welds the vertices on shared cube edges and corners
+  const indices = [];
+
+  // Vertex at integer cube lattice coordinates (0 to n on each axis)
+  const vertexAt = (ix, iy, iz) => {
+    const key = (ix * (n + 1) + iy) * (n + 1) + iz;
+    let index = pointIndices.get(key);
+    if (index === undefined) {
+      const [x, y, z] = [ix, iy, iz].map(c => 2 * c / n - 1);
+      index = points.push(normalize([
+        x * Math.sqrt(1 - y * y / 2 - z * z / 2 + y * y * z * z / 3),
+        y * Math.sqrt(1 - z * z / 2 - x * x / 2 + z * z * x * x / 3),
+        z * Math.sqrt(1 - x * x / 2 - y * y / 2 + x * x * y * y / 3)
+      ])) - 1;
+      pointIndices.set(key, index);
+    }
+    return index;
+  };
+
+  // Each face: the fixed axis and its side (0 or n), and the two axes spanning it
+  for (let axis = 0; axis < 3; axis++) {
+    for (const side of [0, n]) {
+      const u = (axis + 1) % 3;
+      const v = (axis + 2) % 3;
+      const lattice = (a, b) => {
+        const coords = [0, 0, 0];
+        coords[axis] = side;
+        coords[u] = a;
+        coords[v] = b;
+        return vertexAt(coords[0], coords[1], coords[2]);
+      };
+
+      for (let a = 0; a < n; a++) {
+        for (let b = 0; b < n; b++) {
+          const p00 = lattice(a, b);
+          const p10 = lattice(a + 1, b);
+          const p01 = lattice(a, b + 1);
+          const p11 = lattice(a + 1, b + 1);
+          indices.push(p00, p10, p11, p00, p11, p01);
+        }
+      }
+    }
+  }
+
+  return meshFromPoints('cubesphere', points, indices);
+}
+
+/**
+ * Grid that wraps around in both directions (the topology of a torus): theta runs around
+ * the ring and phi from 0 to π once around the tube. Its basePoints are left for the
+ * surface to fill in, as the grid does not lie on the sphere.
+ * @param {number} numPointsTheta - Segments around the ring (at least 3)
+ * @param {number} numPointsPhi - Segments around the tube (at least 3)
+ * @returns {Object} The base mesh
+ */
+export function createPeriodicGrid(numPointsTheta, numPointsPhi) {
+  const columns = Math.max(3, numPointsTheta);
+  const rows = Math.max(3, numPointsPhi);
+  const vertexIndex = (j, i) => (j % rows) * columns + (i % columns);
+
+  const indices = [];
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      const a = vertexIndex(j, i);
+      const b = vertexIndex(j, i + 1);
+      const c = vertexIndex(j + 1, i);
+      const d = vertexIndex(j + 1, i + 1);
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  const mesh = buildMesh('periodic', rows * columns, indices);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      const v = vertexIndex(j, i);
+      mesh.angles[v * 2] = i * 2 * Math.PI / columns;
+      mesh.angles[v * 2 + 1] = j * Math.PI / rows;
+    }
+  }
+  return mesh;
+}
+
+// Base mesh from unit vectors and triangles, deriving the angles and fixing the winding
+function meshFromPoints(type, points, indices) {
+  const mesh = buildMesh(type, points.length, indices);
+  points.forEach(([x, y, z], v) => {
+    mesh.basePoints.set([x, y, z], v * 3);
+    mesh.angles[v * 2] = Math.hypot(x, y) > 1e-12 ? (Math.atan2(y, x) + 2 * Math.PI) % (2 * Math.PI) : 0;
+    mesh.angles[v * 2 + 1] = Math.acos(Math.max(-1, Math.min(1, z)));
+  });
+  orientOutward(mesh);
+  return mesh;
+}
+
+// Allocate a base mesh with its triangles and unique edges
+function buildMesh(type, vertexCount, indices) {
+  const edges = [];
+  const seen = new Set();
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[t + k];
+      const b = indices[t + (k + 1) % 3];
+      const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+      if (!seen.has(key)) {
+        seen.add(key);
+        edges.push(a, b);
+      }
+    }
+  }
+
+  return {
+    type,
+    vertexCount,
+    angles: new Float32Array(vertexCount * 2),
+    basePoints: new Float32Array(vertexCount * 3),
+    indices: new Uint32Array(indices),
+    edges: new Uint32Array(edges)
+  };
+}
+
+// Make every triangle counter-clockwise seen from outside the (convex) unit sphere
+function orientOutward(mesh) {
+  const { basePoints: p, indices } = mesh;
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = indices[t] * 3, b = indices[t + 1] * 3, c = indices[t + 2] * 3;
+    const e1 = [p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]];
+    const e2 = [p[c] - p[a], p[c + 1] - p[a + 1], p[c + 2] - p[a + 2]];
+    const normal = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0]
+    ];
+    // The centroid direction points outwards
+    const outward = normal[0] * (p[a] + p[b] + p[c]) + normal[1] * (p[a + 1] + p[b + 1] + p[c + 1]) + normal[2] * (p[a + 2] + p[b + 2] + p[c + 2]);
+    if (outward < 0) {
+      const swap = indices[t + 1];
+      indices[t + 1] = indices[t + 2];
+      indices[t + 2] = swap;
+    }
+  }
+}
+
+function normalize([x, y, z]) {
+  const length = Math.hypot(x, y, z);
+  return [x / length, y / length, z / length];
+}
@@ -0,0 +1,320 @@
+// timeline.js - Keyframe timeline for mode amplitudes and parameters
+//
+// A timeline is stored with a preset as:
+//   {
+//     duration: 8,                      // Seconds
+//     playback: 'loop',                 // 'once', 'loop' or 'pingpong'
+//     tracks: [
+//       {
+//         mode: 'ripple',               // Mode ID
+//         property: 'amplitude',        // 'amplitude' or the name of a schema parameter
+//         interpolation: 'catmullRom',  // 'linear', 'bezier' or 'catmullRom'
+//         keyframes: [{ time: 0, value: 0 }, { time: 4, value: 20, inTangent: 0, outTangent: 0 }]
+//       }
+//     ]
+//   }
+// Bezier segments use the keyframes' tangents (value change per second, 0 when omitted) as
+// handles, so a plain Bezier track eases in and out of every keyframe. Catmull-Rom tracks
+// pass smoothly through the keyframes using their neighbours. Non-numeric values (select
+// parameters) hold the previous keyframe's value.
+
+import { Interpolation } from './camera.js';
+
+export const INTERPOLATION_TYPES = ['linear', 'bezier', 'catmullRom'];
+
+export const PLAYBACK_MODES = ['once', 'loop', 'pingpong'];
+
+// Default timeline length in seconds
+const DEFAULT_TIMELINE_DURATION = 10;
+
+// Keyframes closer than this (seconds) are treated as the same keyframe
+const KEYFRAME_TIME_EPSILON = 1e-3;
+
+/**
+ * Value of a track at a given time
+ * @param {Object} track - Track with keyframes sorted by time
+ * @param {number} time - Time in seconds
+ * @returns {*} The interpolated value, or undefined for a track without keyframes
+ */
+export function evaluateTrack(track, time) {
+  const keys = track.keyframes;
+  if (keys.length === 0) return undefined;
+  if (time <= keys[0].time) return keys[0].value;
+  if (time >= keys[keys.length - 1].time) return keys[keys.length - 1].value;
+
+  let i = 0;
+  while (time >= keys[i + 1].time) i++;
+
+  const k0 = keys[i];
+  const k1 = keys[i + 1];
+  if (typeof k0.value !== 'number' || typeof k1.value !== 'number') return k0.value;
+
+  const span = k1.time - k0.time;
+  const t = (time - k0.time) / span;
+
+  switch (track.interpolation) {
+    case 'bezier': {
+      const handle1 = k0.value + (k0.outTangent || 0) * span / 3;
+      const handle2 = k1.value - (k1.inTangent || 0) * span / 3;
+      return Interpolation.cubicBezierValue(k0.value, handle1, handle2, k1.value, t);
+    }
+    case 'catmullRom': {
+      const before = i > 0 ? keys[i - 1].value : k0.value;
+      const after = i + 2 < keys.length ? keys[i + 2].value : k1.value;
+      return Interpolation.catmullRomValue(
+        typeof before === 'number' ? before : k0.value,
+        k0.value,
+        k1.value,
+        typeof after === 'number' ? after : k1.value,
+        t
+      );
+    }
+    default:
+      return Interpolation.lerp(k0.value, k1.value, t);
+  }
+}
+
+/**
+ * Checks timeline data (as stored in a preset) against the available modes
+ * @param {Object} data - Timeline data
+ * @param {Object} shapeDeformer - The ShapeDeformer instance
+ * @returns {Array<string>} Warnings for tracks that cannot be played
+ */
+export function validateTimeline(data, shapeDeformer) {
+  const warnings = [];
+  for (const track of data.tracks || []) {
+    const index = shapeDeformer.findModeIndex(track.mode);
+    if (index === -1) {
+      warnings.push(`Timeline track for unknown mode "${track.mode}" is ignored`);
+      continue;
+    }
+    const mode = shapeDeformer.modes[index];
+    if (track.property !== 'amplitude' && !mode.getParamSchema().some(param => param.name === track.property)) {
+      warnings.push(`Timeline track for unknown parameter "${track.property}" of mode "${track.mode}" is ignored`);
+    }
+    if (!INTERPOLATION_TYPES.includes(track.interpolation)) {
+      warnings.push(`Timeline track ${track.mode}.${track.property} has unknown interpolation "${track.interpolation}"; using linear`);
+    }
+  }
+  return warnings;
+}
+
+// Keyframed tracks for mode amplitudes and parameters, with its own playhead: play, pause,
+// scrub, and loop or ping-pong between 0 and the duration
+export class KeyframeTimeline {
+  constructor(data = null) {
+    this.tracks = [];
+    this.duration = DEFAULT_TIMELINE_DURATION;
+    this.playback = 'loop';
+
+    this.time = 0;          // Playhead in seconds
+    this.playing = false;
+    this.direction = 1;     // -1 while a ping-pong runs backwards
+
+    if (data) this.load(data);
+  }
+
+  // Replace the tracks and settings with stored data (see the top of this file); the playhead is kept
+  load(data) {
+    this.tracks = (data.tracks || []).map(track => ({
+      mode: track.mode,
+      property: track.property,
+      interpolation: INTERPOLATION_TYPES.includes(track.interpolation) ? track.interpolation : 'linear',
+      keyframes: (track.keyframes || [])
+        .filter(key => Number.isFinite(key.time))
+        .map(key => ({ ...key }))
+        .sort((a, b) => a.time - b.time)
+    }));
+    this.duration = data.duration > 0 ? data.duration : DEFAULT_TIMELINE_DURATION;
+    this.playback = PLAYBACK_MODES.includes(data.playback) ? data.playback : 'loop';
+    this.time = Math.min(this.time, this.duration);
+  }
+
+  // Remove every track
+  clear() {
+    this.tracks = [];
+  }
+
+  hasTracks() {
+    return this.tracks.some(track => track.keyframes.length > 0);
+  }
+
+  getTrack(mode, property) {
+    return this.tracks.find(track => track.mode === mode && track.property === property) || null;
+  }
+
+  // Track for a mode property, created (with the given interpolation) if missing
+  addTrack(mode, property, interpolation = 'linear') {
+    let track = this.getTrack(mode, property);
+    if (!track) {
+      track = { mode, property, interpolation, keyframes: [] };
+      this.tracks.push(track);
+    }
+    return track;
+  }
+
+  removeTrack(mode, property) {
+    this.tracks = this.tracks.filter(track => track.mode !== mode || track.property !== property);
+  }
+
+  setInterpolation(mode, property, interpolation) {
+    if (!INTERPOLATION_TYPES.includes(interpolation)) {
+      throw new Error(`Unknown interpolation "${interpolation}" (expected ${INTERPOLATION_TYPES.join(', ')})`);
+    }
+    this.addTrack(mode, property).interpolation = interpolation;
+  }
+
+  // Add a keyframe, replacing one at the same time; returns the keyframe
+  setKeyframe(mode, property, time, value, options = {}) {
+    const track = this.addTrack(mode, property, options.interpolation);
+    const keyframe = { time, value };
+    if (options.inTangent !== undefined) keyframe.inTangent = options.inTangent;
+    if (options.outTangent !== undefined) keyframe.outTangent = options.outTangent;
+
+    track.keyframes = track.keyframes.filter(key => Math.abs(key.time - time) > KEYFRAME_TIME_EPSILON);
+    track.keyframes.push(keyframe);
+    track.keyframes.sort((a, b) => a.time - b.time);
+    return keyframe;
+  }
+
+  // Remove the keyframe nearest to a time (within tolerance seconds); returns whether one was removed
+  removeKeyframe(mode, property, time, tolerance = 0.05) {
+    const track = this.getTrack(mode, property);
+    if (!track) return false;
+
+    let nearest = -1;
+    track.keyframes.forEach((key, i) => {
+      const distance = Math.abs(key.time - time);
+      if (distance <= tolerance && (nearest === -1 || distance < Math.abs(track.keyframes[nearest].time - time))) {
+        nearest = i;
+      }
+    });
+    if (nearest === -1) return false;
+
+    track.keyframes.splice(nearest, 1);
+    if (track.keyframes.length === 0) this.removeTrack(mode, property);
+    return true;
+  }
+
+  /**
+   * Writes the tracks' values at a time into the modes. Tracks of missing modes or
+   * parameters are skipped.
+   * @param {Object} shapeDeformer - The ShapeDeformer instance
+   * @param {number} time - Time in seconds (the playhead by default)
+   */
+  apply(shapeDeformer, time = this.time) {
+    for (const track of this.tracks) {
+      const value = evaluateTrack(track, time);
+      const index = shapeDeformer.findModeIndex(track.mode);
+      if (value === undefined || index === -1) continue;
+
+      if (track.property === 'amplitude') {
+        shapeDeformer.setAmplitude(index, value);
+      } else {
+        try {
+          shapeDeformer.setParam(index, track.property, value);
+        } catch (error) {
+          // Unknown parameter; reported by validateTimeline() when the timeline was loaded
+        }
+      }
+    }
+  }
+
+  play() {
+    // Playing a finished one-shot timeline starts it over
+    if (this.playback === 'once' && this.time >= this.duration) this.time = 0;
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+    return this.playing;
+  }
+
+  // Pause and rewind to the start
+  stop() {
+    this.playing = false;
+    this.time = 0;
+    this.direction = 1;
+  }
+
+  // Move the playhead (scrubbing)
+  setTime(time) {
+    this.time = Math.max(0, Math.min(time, this.duration));
+  }
+
+  setDuration(duration) {
+    this.duration = Math.max(duration, KEYFRAME_TIME_EPSILON);
+    this.setTime(this.time);
+  }
+
+  setPlayback(playback) {
+    if (!PLAYBACK_MODES.includes(playback)) {
+      throw new Error(`Unknown playback mode "${playback}" (expected ${PLAYBACK_MODES.join(', ')})`);
+    }
+    this.playback = playback;
+    if (playback !== 'pingpong') this.direction = 1;
+  }
+
+  // Playhead position a given time (seconds) after starting from 0, following the playback
+  // mode; unlike update() it does not depend on the playback history
+  playheadAt(elapsed) {
+    const { duration } = this;
+    if (this.playback === 'loop') {
+      return ((elapsed % duration) + duration) % duration;
+    }
+    if (this.playback === 'pingpong') {
+      const phase = ((elapsed % (2 * duration)) + 2 * duration) % (2 * duration);
+      return phase <= duration ? phase : 2 * duration - phase;
+    }
+    return Math.max(0, Math.min(elapsed, duration));
+  }
+
+  // Advance the playhead by a wall-clock interval (seconds); returns whether it moved
+  update(deltaSeconds) {
+    if (!this.playing || deltaSeconds === 0) return false;
+
+    let time = this.time + deltaSeconds * this.direction;
+    const { duration } = this;
+
+    if (this.playback === 'loop') {
+      time = ((time % duration) + duration) % duration;
+    } else if (this.playback === 'pingpong') {
+      // Reflect at either end, reversing the direction each time
+      while (time > duration || time < 0) {
+        time = time > duration ? 2 * duration - time : -time;
+        this.direction = -this.direction;
+      }
+    } else if (time >= duration || time <= 0) {
+      time = Math.max(0, Math.min(time, duration));
+      this.playing = false;
+    }
+
+    this.time = time;
+    return true;
+  }
+
+  // Data for storing the timeline in a preset
+  toJSON() {
+    return {
+      duration: this.duration,
+      playback: this.playback,
+      tracks: this.tracks
+        .filter(track => track.keyframes.length > 0)
+        .map(track => ({
+          mode: track.mode,
+          property: track.property,
+          interpolation: track.interpolation,
+          keyframes: track.keyframes.map(key => ({ ...key }))
+        }))
+    };
+  }
+}
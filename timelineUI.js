@@ -0,0 +1,319 @@
+// timelineUI.js
+// A module to handle the keyframe timeline panel for the nuChladni application
+
+import { INTERPOLATION_TYPES, PLAYBACK_MODES } from './timeline.js';
+
+/**
+ * Sets up the timeline panel: transport (play/pause, stop, loop/ping-pong), a scrub bar, an
+ * overview of the keyframed tracks and controls to key the current value of any mode
+ * amplitude or parameter at the playhead
+ * @param {Object} shapeDeformer - The ShapeDeformer instance (its timeline is edited)
+ * @param {HTMLElement} parentElement - The parent element to append the panel to
+ * @param {Object} options - Configuration options; options.onChange() is called after the
+ *   panel changed the modes (scrubbing, keying)
+ * @returns {Object} Object containing references to the created UI elements and an update function
+ */
+export function setupTimelinePanel(shapeDeformer, parentElement, options = {}) {
+  // Default options
+  const defaultOptions = {
+    position: { bottom: '10px', left: '330px' },
+    zIndex: 101,
+    width: 520,
+    labelWidth: 130,
+    rowHeight: 16,
+    onChange: null
+  };
+
+  // Merge options with defaults
+  const config = { ...defaultOptions, ...options };
+  const timeline = shapeDeformer.timeline;
+
+  // Create the panel container
+  const panel = document.createElement('details');
+  panel.className = 'timeline-panel';
+  panel.style.position = 'absolute';
+  panel.style.bottom = config.position.bottom;
+  panel.style.left = config.position.left;
+  panel.style.zIndex = config.zIndex;
+  panel.style.background = 'rgba(255, 255, 255, 0.8)';
+  panel.style.padding = '5px';
+  panel.style.borderRadius = '5px';
+  panel.style.fontSize = '12px';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Timeline';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  const notifyChange = () => {
+    if (config.onChange) config.onChange();
+  };
+
+  // Apply the timeline at the playhead after scrubbing or editing
+  const applyAtPlayhead = () => {
+    timeline.apply(shapeDeformer);
+    notifyChange();
+    update();
+  };
+
+  // ---- Transport ----
+  const transportRow = document.createElement('div');
+
+  const playButton = document.createElement('button');
+  playButton.addEventListener('click', () => {
+    timeline.toggle();
+    update();
+  });
+
+  const stopButton = document.createElement('button');
+  stopButton.textContent = 'Stop';
+  stopButton.title = 'Pause and rewind to the start';
+  stopButton.addEventListener('click', () => {
+    timeline.stop();
+    applyAtPlayhead();
+  });
+
+  const playbackSelect = createSelect(PLAYBACK_MODES);
+  playbackSelect.title = 'What happens at the end of the timeline';
+  playbackSelect.addEventListener('change', () => timeline.setPlayback(playbackSelect.value));
+
+  const durationLabel = document.createElement('span');
+  durationLabel.textContent = ' Length (s): ';
+  const durationInput = document.createElement('input');
+  durationInput.type = 'number';
+  durationInput.min = '0.5';
+  durationInput.step = '0.5';
+  durationInput.style.width = '50px';
+  durationInput.addEventListener('change', () => {
+    const duration = parseFloat(durationInput.value);
+    if (duration > 0) timeline.setDuration(duration);
+    update();
+  });
+
+  const timeDisplay = document.createElement('span');
+  timeDisplay.style.marginLeft = '8px';
+
+  transportRow.appendChild(playButton);
+  transportRow.appendChild(stopButton);
+  transportRow.appendChild(playbackSelect);
+  transportRow.appendChild(durationLabel);
+  transportRow.appendChild(durationInput);
+  transportRow.appendChild(timeDisplay);
+  panel.appendChild(transportRow);
+
+  // ---- Scrub bar ----
+  const scrubSlider = document.createElement('input');
+  scrubSlider.type = 'range';
+  scrubSlider.min = '0';
+  scrubSlider.step = '0.01';
+  scrubSlider.style.width = `${config.width}px`;
+  scrubSlider.addEventListener('input', () => {
+    timeline.setTime(parseFloat(scrubSlider.value));
+    applyAtPlayhead();
+  });
+  panel.appendChild(document.createElement('div')).appendChild(scrubSlider);
+
+  // ---- Track overview: one row per track with its keyframes; click to scrub ----
+  const trackCanvas = document.createElement('canvas');
+  trackCanvas.width = config.width;
+  trackCanvas.style.display = 'block';
+  trackCanvas.style.background = 'transparent';
+  trackCanvas.style.cursor = 'pointer';
+  trackCanvas.addEventListener('click', (event) => {
+    const x = event.offsetX - config.labelWidth;
+    if (x < 0) return;
+    timeline.setTime((x / (config.width - config.labelWidth)) * timeline.duration);
+    applyAtPlayhead();
+  });
+  panel.appendChild(trackCanvas);
+
+  // ---- Keying ----
+  const keyRow = document.createElement('div');
+  const modeSelect = document.createElement('select');
+  const propertySelect = document.createElement('select');
+  const interpolationSelect = createSelect(INTERPOLATION_TYPES);
+  interpolationSelect.title = 'Interpolation of the selected track';
+
+  const renderModeOptions = () => {
+    const selected = modeSelect.value;
+    modeSelect.innerHTML = '';
+    for (const mode of shapeDeformer.modes) {
+      const option = document.createElement('option');
+      option.value = mode.id;
+      option.textContent = mode.name;
+      modeSelect.appendChild(option);
+    }
+    if (selected && shapeDeformer.findModeIndex(selected) !== -1) modeSelect.value = selected;
+  };
+
+  const renderPropertyOptions = () => {
+    const mode = shapeDeformer.modes[shapeDeformer.findModeIndex(modeSelect.value)];
+    propertySelect.innerHTML = '';
+    if (!mode) return;
+
+    const properties = [{ name: 'amplitude', label: 'Amplitude' }, ...mode.getParamSchema()];
+    for (const property of properties) {
+      const option = document.createElement('option');
+      option.value = property.name;
+      option.textContent = property.label;
+      propertySelect.appendChild(option);
+    }
+    showTrackInterpolation();
+  };
+
+  // Show the interpolation of the selected track, if it exists
+  const showTrackInterpolation = () => {
+    const track = timeline.getTrack(modeSelect.value, propertySelect.value);
+    if (track) interpolationSelect.value = track.interpolation;
+  };
+
+  modeSelect.addEventListener('change', renderPropertyOptions);
+  propertySelect.addEventListener('change', showTrackInterpolation);
+  interpolationSelect.addEventListener('change', () => {
+    if (timeline.getTrack(modeSelect.value, propertySelect.value)) {
+      timeline.setInterpolation(modeSelect.value, propertySelect.value, interpolationSelect.value);
+      applyAtPlayhead();
+    }
+  });
+
+  const keyButton = document.createElement('button');
+  keyButton.textContent = 'Key';
+  keyButton.title = 'Keyframe the current value at the playhead';
+  keyButton.addEventListener('click', () => {
+    const index = shapeDeformer.findModeIndex(modeSelect.value);
+    if (index === -1) return;
+
+    const property = propertySelect.value;
+    const value = property === 'amplitude'
+      ? shapeDeformer.modes[index].amplitude
+      : shapeDeformer.getParam(index, property);
+    timeline.setKeyframe(modeSelect.value, property, timeline.time, value, {
+      interpolation: interpolationSelect.value
+    });
+    update();
+  });
+
+  const deleteKeyButton = document.createElement('button');
+  deleteKeyButton.textContent = 'Delete Key';
+  deleteKeyButton.title = 'Delete the keyframe of the selected track at the playhead';
+  deleteKeyButton.addEventListener('click', () => {
+    const tolerance = timeline.duration / 100;
+    if (timeline.removeKeyframe(modeSelect.value, propertySelect.value, timeline.time, tolerance)) {
+      applyAtPlayhead();
+    }
+  });
+
+  const clearTrackButton = document.createElement('button');
+  clearTrackButton.textContent = 'Clear Track';
+  clearTrackButton.addEventListener('click', () => {
+    timeline.removeTrack(modeSelect.value, propertySelect.value);
+    update();
+  });
+
+  keyRow.appendChild(modeSelect);
+  keyRow.appendChild(propertySelect);
+  keyRow.appendChild(interpolationSelect);
+  keyRow.appendChild(keyButton);
+  keyRow.appendChild(deleteKeyButton);
+  keyRow.appendChild(clearTrackButton);
+  panel.appendChild(keyRow);
+
+  // ---- Drawing ----
+  const drawTracks = () => {
+    const tracks = timeline.tracks;
+    const height = Math.max(tracks.length, 1) * config.rowHeight + 4;
+    if (trackCanvas.height !== height) trackCanvas.height = height;
+
+    const ctx = trackCanvas.getContext('2d');
+    const plotWidth = config.width - config.labelWidth;
+    const timeToX = time => config.labelWidth + (time / timeline.duration) * plotWidth;
+    ctx.clearRect(0, 0, trackCanvas.width, trackCanvas.height);
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'middle';
+
+    if (tracks.length === 0) {
+      ctx.fillStyle = '#777';
+      ctx.fillText('No keyframes yet: pick a mode and property, then press Key', 4, height / 2);
+    }
+
+    tracks.forEach((track, row) => {
+      const y = row * config.rowHeight + config.rowHeight / 2 + 2;
+      const index = shapeDeformer.findModeIndex(track.mode);
+      const name = index === -1 ? track.mode : shapeDeformer.modes[index].name;
+
+      ctx.fillStyle = '#333';
+      ctx.fillText(`${name} ${track.property}`, 4, y, config.labelWidth - 8);
+
+      ctx.strokeStyle = '#ccc';
+      ctx.beginPath();
+      ctx.moveTo(config.labelWidth, y);
+      ctx.lineTo(config.width, y);
+      ctx.stroke();
+
+      // Keyframes as diamonds
+      ctx.fillStyle = '#4a90d9';
+      for (const key of track.keyframes) {
+        const x = timeToX(key.time);
+        ctx.beginPath();
+        ctx.moveTo(x, y - 5);
+        ctx.lineTo(x + 4, y);
+        ctx.lineTo(x, y + 5);
+        ctx.lineTo(x - 4, y);
+        ctx.closePath();
+        ctx.fill();
+      }
+    });
+
+    // Playhead
+    const playheadX = timeToX(timeline.time);
+    ctx.strokeStyle = '#d33';
+    ctx.beginPath();
+    ctx.moveTo(playheadX, 0);
+    ctx.lineTo(playheadX, height);
+    ctx.stroke();
+  };
+
+  // Refresh the panel from the timeline (call after it changed elsewhere, e.g. every frame)
+  let modeCount = -1;
+  const update = () => {
+    if (shapeDeformer.modes.length !== modeCount) {
+      modeCount = shapeDeformer.modes.length;
+      renderModeOptions();
+      renderPropertyOptions();
+    }
+
+    playButton.textContent = timeline.playing ? 'Pause' : 'Play';
+    playbackSelect.value = timeline.playback;
+    if (document.activeElement !== durationInput) durationInput.value = String(timeline.duration);
+    scrubSlider.max = String(timeline.duration);
+    scrubSlider.value = String(timeline.time);
+    timeDisplay.textContent = `${timeline.time.toFixed(2)} / ${timeline.duration.toFixed(2)} s`;
+    if (panel.open) drawTracks();
+  };
+  update();
+  panel.addEventListener('toggle', update);
+
+  parentElement.appendChild(panel);
+
+  return {
+    panel,
+    playButton,
+    stopButton,
+    scrubSlider,
+    trackCanvas,
+    keyButton,
+    update
+  };
+}
+
+// Create a <select> with one option per value
+function createSelect(values) {
+  const select = document.createElement('select');
+  for (const value of values) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.appendChild(option);
+  }
+  return select;
+}
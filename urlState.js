@@ -0,0 +1,232 @@
+// urlState.js - Encodes the whole scene (shape, camera, render and playback settings) into the
+// URL hash so that a link reproduces exactly what its sender saw
+
+import { Quaternion } from './camera.js';
+import { PRESET_VERSION } from './presets.js';
+
+// Version of the URL state document
+export const URL_STATE_VERSION = 1;
+
+// Name of the hash parameter holding the encoded state (#s=...)
+const HASH_PARAMETER = 's';
+
+// Round to a fixed number of decimals to keep the encoded state short
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+const roundVector = (v, decimals) => [round(v.x, decimals), round(v.y, decimals), round(v.z, decimals)];
+
+/**
+ * Captures the scene as a compact plain object
+ * @param {Object} scene - { shapeDeformer, camera, renderer, clock }; all but shapeDeformer are optional
+ * @returns {Object} The scene state
+ */
+export function captureSceneState(scene) {
+  const { shapeDeformer, camera, renderer, clock } = scene;
+
+  // Modes as in a preset, with entries that only carry an amplitude shortened to the number
+  const preset = shapeDeformer.getCurrentPreset();
+  const modes = {};
+  for (const [id, entry] of Object.entries(preset.modes)) {
+    modes[id] = Object.keys(entry).length === 1 ? round(entry.amplitude, 3) : entry;
+  }
+
+  const state = { v: URL_STATE_VERSION, m: modes };
+  if (preset.stack) state.o = preset.stack;
+  if (preset.timeline) state.l = preset.timeline;
+  if (shapeDeformer.tessellation !== 'uv') state.b = shapeDeformer.tessellation;
+  if (shapeDeformer.baseSurface.type !== 'sphere') {
+    state.u = { t: shapeDeformer.baseSurface.type, p: shapeDeformer.baseSurface.getParams() };
+  }
+
+  if (camera) {
+    const q = camera.quaternion;
+    state.c = {
+      p: roundVector(camera.position, 2),
+      q: [round(q.x, 5), round(q.y, 5), round(q.z, 5), round(q.w, 5)],
+      a: roundVector(camera.target, 2),
+      f: round(camera.fov, 2),
+      z: round(camera.zoom, 4),
+      o: camera.orthographic ? 1 : 0
+    };
+    if (camera.mode === 'path') {
+      state.c.d = Math.round(camera.pathDuration);
+      state.c.t = round(camera.getPathProgress(), 4);
+    }
+  }
+
+  if (renderer) {
+    state.r = {
+      l: roundVector(renderer.lightDir, 4),
+      d: round(renderer.depth, 2),
+      x: round(renderer.modelRotationX, 4)
+    };
+  }
+
+  if (clock) {
+    // The animation time, so animated and decaying modes are caught at the same moment
+    state.k = { s: clock.timeScale, p: clock.playing ? 1 : 0, t: round(clock.time, 3) };
+  }
+
+  return state;
+}
+
+/**
+ * Applies a captured scene state. Missing sections leave that part of the scene unchanged.
+ * Links from before the camera path settings were dropped still carry them (state.g); the
+ * orbit is always the same circle, so they are ignored.
+ * @param {Object} scene - { shapeDeformer, camera, renderer, clock, startOrbit(duration) }
+ * @param {Object} state - State from captureSceneState()
+ * @returns {Array<string>} Warnings (e.g. unknown modes in the shape)
+ */
+export function applySceneState(scene, state) {
+  const { shapeDeformer, camera, renderer, clock, startOrbit } = scene;
+  const warnings = [];
+
+  if (state.v > URL_STATE_VERSION) {
+    warnings.push(`The link was made by a newer version (${state.v}); some settings may be ignored`);
+  }
+
+  if (state.m) {
+    const modes = {};
+    for (const [id, entry] of Object.entries(state.m)) {
+      modes[id] = typeof entry === 'number' ? { amplitude: entry } : entry;
+    }
+    warnings.push(...shapeDeformer.applyPreset({ version: PRESET_VERSION, name: 'Shared Link', modes, stack: state.o, timeline: state.l }));
+    
+    // Links without a tessellation or base surface use the default UV sphere
+    try {
+      shapeDeformer.setTessellation(state.b || 'uv');
+      shapeDeformer.setBaseSurface(state.u ? state.u.t : 'sphere', state.u ? state.u.p : {});
+    } catch (error) {
+      warnings.push(error.message);
+    }
+  }
+
+  if (camera && state.c) {
+    const c = state.c;
+    camera.fov = c.f;
+    camera.zoom = c.z;
+    camera.orthographic = c.o === 1;
+    camera.target.set(c.a[0], c.a[1], c.a[2]);
+    camera.setPosition(c.p[0], c.p[1], c.p[2]);
+    camera.setQuaternion(new Quaternion(c.q[0], c.q[1], c.q[2], c.q[3]).normalize());
+    camera.updateProjectionMatrix();
+
+    if (c.d !== undefined && startOrbit) {
+      startOrbit(c.d);
+      camera.setPathProgress(c.t || 0);
+    } else {
+      camera.stopPath();
+    }
+  }
+
+  if (renderer && state.r) {
+    renderer.setLightDirection(state.r.l[0], state.r.l[1], state.r.l[2]);
+    renderer.depth = state.r.d;
+    renderer.modelRotationX = state.r.x;
+  }
+
+  if (clock && state.k) {
+    clock.setTimeScale(state.k.s);
+    if (state.k.t !== undefined) {
+      clock.setTime(state.k.t);
+      shapeDeformer.setTime(state.k.t);
+    }
+    if (state.k.p) {
+      clock.play();
+    } else {
+      clock.pause();
+    }
+  }
+
+  return warnings;
+}
+
+// State object -> URL-safe base64 of its JSON
+export function encodeSceneState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Inverse of encodeSceneState(); throws on malformed input
+export function decodeSceneState(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  const state = JSON.parse(new TextDecoder().decode(bytes));
+  if (!state || typeof state !== 'object') {
+    throw new Error('The link does not contain a scene state');
+  }
+  return state;
+}
+
+/**
+ * Keeps the URL hash in sync with the scene: restores a state found in the hash (now and
+ * whenever the hash changes) and rewrites the hash, debounced, after any user interaction.
+ * The hash is replaced rather than pushed, so the browser history is not flooded.
+ * @param {Object} scene - See applySceneState()
+ * @param {Object} options - { debounce: delay in ms (default 300), onRestore(warnings): called after a state was applied }
+ * @returns {Object} { restore, update, scheduleUpdate, dispose }
+ */
+export function setupURLStateSync(scene, options = {}) {
+  const config = { debounce: 300, onRestore: null, ...options };
+  let timer = null;
+  let lastEncoded = null;
+
+  // Apply the state in the current hash, if any; returns whether one was applied
+  const restore = () => {
+    const encoded = new URLSearchParams(window.location.hash.slice(1)).get(HASH_PARAMETER);
+    if (!encoded || encoded === lastEncoded) return false;
+
+    try {
+      const warnings = applySceneState(scene, decodeSceneState(encoded));
+      lastEncoded = encoded;
+      if (config.onRestore) config.onRestore(warnings);
+      return true;
+    } catch (error) {
+      console.warn(`Could not restore the scene from the URL: ${error.message}`);
+      return false;
+    }
+  };
+
+  // Write the current state into the hash
+  const update = () => {
+    timer = null;
+    const encoded = encodeSceneState(captureSceneState(scene));
+    if (encoded === lastEncoded) return;
+
+    lastEncoded = encoded;
+    const url = `${window.location.pathname}${window.location.search}#${HASH_PARAMETER}=${encoded}`;
+    window.history.replaceState(null, '', url);
+  };
+
+  const scheduleUpdate = () => {
+    if (timer !== null) clearTimeout(timer);
+    timer = setTimeout(update, config.debounce);
+  };
+
+  // Any interaction may have changed the scene: sliders, buttons, selectors, camera moves
+  const events = ['input', 'change', 'click', 'mouseup', 'keyup', 'wheel'];
+  for (const type of events) {
+    window.addEventListener(type, scheduleUpdate, { capture: true, passive: true });
+  }
+  window.addEventListener('hashchange', restore);
+
+  return {
+    restore,
+    update,
+    scheduleUpdate,
+    dispose: () => {
+      if (timer !== null) clearTimeout(timer);
+      for (const type of events) {
+        window.removeEventListener(type, scheduleUpdate, { capture: true });
+      }
+      window.removeEventListener('hashchange', restore);
+    }
+  };
+}
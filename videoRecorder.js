@@ -0,0 +1,103 @@
+// videoRecorder.js - Records the canvas to a WebM video with MediaRecorder
+//
+// Only the canvas is captured (via canvas.captureStream()), not the control panels around
+// it. The recording ends when stop() is called or after an optional fixed duration, e.g.
+// one full camera orbit (camera.pathDuration).
+
+// Preferred containers/codecs, best first
+export const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export const DEFAULT_RECORDING_OPTIONS = {
+  fps: 30,
+  bitrate: 8000000,      // Bits per second
+  timeslice: 1000        // Milliseconds of video per data chunk
+};
+
+/**
+ * First WebM type from VIDEO_MIME_TYPES the browser can record
+ * @returns {string|null} The MIME type, or null when recording is not supported
+ */
+export function getSupportedVideoType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Records a canvas at a chosen frame rate and bitrate
+export class CanvasRecorder {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.options = { ...DEFAULT_RECORDING_OPTIONS, ...options };
+    this.mediaRecorder = null;
+    this.stream = null;
+    this.startTime = 0;
+    this.stopTimer = null;
+  }
+
+  get recording() {
+    return this.mediaRecorder !== null;
+  }
+
+  // Milliseconds recorded so far
+  getElapsed() {
+    return this.recording ? performance.now() - this.startTime : 0;
+  }
+
+  /**
+   * Starts recording
+   * @param {number|null} duration - Stop automatically after this many milliseconds
+   * @returns {Promise<Blob>} The WebM video, once the recording has ended
+   */
+  start(duration = null) {
+    if (this.recording) throw new Error('Already recording');
+    if (typeof this.canvas.captureStream !== 'function') {
+      throw new Error('This browser cannot capture the canvas');
+    }
+    const mimeType = getSupportedVideoType();
+    if (!mimeType) throw new Error('This browser cannot record WebM video');
+
+    const { fps, bitrate, timeslice } = this.options;
+    this.stream = this.canvas.captureStream(fps);
+    const mediaRecorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: bitrate });
+    this.mediaRecorder = mediaRecorder;
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      mediaRecorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      });
+      mediaRecorder.addEventListener('stop', () => {
+        this.release();
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      });
+      mediaRecorder.addEventListener('error', (event) => {
+        this.release();
+        reject(event.error || new Error('Recording failed'));
+      });
+    });
+
+    mediaRecorder.start(timeslice);
+    this.startTime = performance.now();
+    if (duration > 0) {
+      this.stopTimer = setTimeout(() => this.stop(), duration);
+    }
+    return finished;
+  }
+
+  // End the recording; the promise returned by start() then resolves with the video
+  stop() {
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      this.mediaRecorder.stop();
+    }
+  }
+
+  // Stop the capture stream and forget the finished recorder
+  release() {
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+    }
+    this.stream = null;
+    this.mediaRecorder = null;
+  }
+}
@@ -0,0 +1,433 @@
+// WebGL renderer module - draws the deformed shape on the GPU with a real depth buffer
+import { Matrix4 } from './camera.js';
+
+// Vertex shader for CPU-deformed points: transforms them and passes camera-space positions on.
+// GPU-deformed meshes use the vertex shader assembled by ShapeDeformer.buildDeformationShader().
+const VERTEX_SHADER_SOURCE = `#version 300 es
+layout(location = 0) in vec3 a_position;
+
+uniform mat4 u_model;
+uniform mat4 u_view;
+uniform mat4 u_projection;
+
+out vec3 v_viewPosition;
+
+void main() {
+  vec4 viewPosition = u_view * u_model * vec4(a_position, 1.0);
+  v_viewPosition = viewPosition.xyz;
+  gl_Position = u_projection * viewPosition;
+}
+`;
+
+// Fragment shader: flat shading from screen-space derivatives, matching the Canvas2D look
+const FRAGMENT_SHADER_SOURCE = `#version 300 es
+precision highp float;
+
+in vec3 v_viewPosition;
+
+uniform vec3 u_lightDir;
+uniform vec2 u_depthRange;
+uniform float u_depthCue;
+uniform vec4 u_lineColor;
+uniform bool u_drawLines;
+
+out vec4 fragColor;
+
+void main() {
+  if (u_drawLines) {
+    fragColor = u_lineColor;
+    return;
+  }
+
+  // Per-triangle normal in camera space, always facing the viewer
+  vec3 normal = normalize(cross(dFdx(v_viewPosition), dFdy(v_viewPosition)));
+
+  // Depth cueing: darken fragments further away
+  float depth = -v_viewPosition.z;
+  float range = max(u_depthRange.y - u_depthRange.x, 1e-5);
+  float relativeDepth = clamp((depth - u_depthRange.x) / range, 0.0, 1.0);
+  float shade = 1.0 - 0.6 * u_depthCue * relativeDepth;
+
+  float intensity = max(0.1, dot(normal, u_lightDir)) * shade;
+  fragColor = vec4(40.0 * intensity, 120.0 * intensity, 120.0 + 135.0 * intensity, 255.0) / 255.0;
+}
+`;
+
+// Upper bound on compiled GPU-deformation programs kept alive at once
+const MAX_CACHED_PROGRAMS = 32;
+
+// Vertex uniform vectors taken by everything but the deformation uniforms (the three matrices
+// plus headroom). Each float array element is counted as a whole vector, as GLSL ES may pad it.
+const RESERVED_UNIFORM_VECTORS = 16;
+
+export class WebGLRenderer {
+    constructor(canvas, shapeDeformer, config = {}) {
+      this.canvas = canvas;
+      this.gl = canvas.getContext('webgl2', { antialias: true });
+      if (!this.gl) {
+        throw new Error('WebGL2 is not available');
+      }
+      this.shapeDeformer = shapeDeformer;
+
+      // Configure light direction with defaults (camera space, +Y up, +Z towards the viewer)
+      this.lightDir = config.lightDir || { x: 0.5, y: 0.5, z: 0.7 };
+      this.normalizeLightDirection();
+
+      // Object tilt around X (radians) and depth cueing strength (0-200)
+      this.modelRotationX = config.modelRotationX || 0;
+      this.depth = config.depth !== undefined ? config.depth : 100;
+
+      // Draw the mesh edges over the surface like the Canvas2D renderer's triangle strokes
+      this.wireframe = config.wireframe !== false;
+
+      // Camera through which the shape is viewed
+      this.camera = config.camera || null;
+
+      // Evaluate deformation modes in the vertex shader when every active mode supports it;
+      // otherwise (or when disabled) the JS evaluation in ShapeDeformer is used
+      this.gpuDeformation = config.gpuDeformation !== false;
+
+      this.modelMatrix = new Matrix4();
+      this.initGL();
+
+      // Bind context for methods that might be called externally
+      this.resizeCanvas = this.resizeCanvas.bind(this);
+
+      // Set up the resize listener if auto-resize is enabled (default true)
+      this.autoResize = config.autoResize !== false;
+      if (this.autoResize) {
+        window.addEventListener('resize', this.resizeCanvas);
+        this.resizeCanvas();
+      }
+    }
+
+    // Report whether WebGL2 can be used, without claiming a context on the real canvas
+    static isSupported() {
+      try {
+        const testCanvas = document.createElement('canvas');
+        return !!testCanvas.getContext('webgl2');
+      } catch (e) {
+        return false;
+      }
+    }
+
+    // Compile the shader program and create the GPU buffers
+    initGL() {
+      const gl = this.gl;
+
+      // Compiled programs keyed by vertex shader source (GPU deformation generates new sources
+      // as modes are switched on and off)
+      this.programCache = new Map();
+      this.cpuProgram = this.getProgram(VERTEX_SHADER_SOURCE);
+
+      // Generated sources that failed to compile or link, so they are not retried every frame
+      this.failedSources = new Set();
+
+      // The GPU path is skipped when a shader's uniform arrays would not fit
+      this.maxVertexUniformVectors = gl.getParameter(gl.MAX_VERTEX_UNIFORM_VECTORS);
+
+      this.positionBuffer = gl.createBuffer();
+      this.angleBuffer = gl.createBuffer();
+      this.basePointBuffer = gl.createBuffer();
+      this.surfacePositionBuffer = gl.createBuffer();
+      this.normalBuffer = gl.createBuffer();
+      this.triangleIndexBuffer = gl.createBuffer();
+      this.lineIndexBuffer = gl.createBuffer();
+
+      // The CPU path reads the deformed positions; the GPU path reads the base mesh attributes
+      // of ShapeDeformer.buildDeformationShader()
+      this.cpuVao = this.createVertexArray([[this.positionBuffer, 3]]);
+      this.gpuVao = this.createVertexArray([
+        [this.angleBuffer, 2],
+        [this.basePointBuffer, 3],
+        [this.surfacePositionBuffer, 3],
+        [this.normalBuffer, 3]
+      ]);
+
+      // Base mesh the index and angle buffers were built for
+      this.baseMesh = null;
+      this.triangleIndexCount = 0;
+      this.lineIndexCount = 0;
+    }
+
+    // Create a vertex array reading attribute location i from the i-th [buffer, size] pair
+    createVertexArray(attributes) {
+      const gl = this.gl;
+      const vao = gl.createVertexArray();
+      gl.bindVertexArray(vao);
+      attributes.forEach(([buffer, size], location) => {
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+      });
+      gl.bindVertexArray(null);
+      return vao;
+    }
+
+    // Get (compiling on first use) the program for a vertex shader source, with its uniform locations
+    getProgram(vertexSource) {
+      let programInfo = this.programCache.get(vertexSource);
+      if (programInfo) return programInfo;
+
+      const gl = this.gl;
+      const program = this.createProgram(vertexSource, FRAGMENT_SHADER_SOURCE);
+      const uniforms = {};
+      for (const name of ['u_model', 'u_view', 'u_projection', 'u_amplitudes', 'u_phases', 'u_envelopes', 'u_depths', 'u_params', 'u_lightDir', 'u_depthRange', 'u_depthCue', 'u_lineColor', 'u_drawLines']) {
+        uniforms[name] = gl.getUniformLocation(program, name);
+      }
+
+      programInfo = { program, uniforms };
+      this.programCache.set(vertexSource, programInfo);
+
+      // Keep the cache bounded: drop the oldest generated program (never the CPU-path program)
+      if (this.programCache.size > MAX_CACHED_PROGRAMS) {
+        for (const [source, cached] of this.programCache) {
+          if (cached !== this.cpuProgram && cached !== programInfo) {
+            gl.deleteProgram(cached.program);
+            this.programCache.delete(source);
+            break;
+          }
+        }
+      }
+      return programInfo;
+    }
+
+    // Compile and link a vertex/fragment shader pair
+    createProgram(vertexSource, fragmentSource) {
+      const gl = this.gl;
+      const vertexShader = this.compileShader(gl.VERTEX_SHADER, vertexSource);
+      const fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, fragmentSource);
+
+      const program = gl.createProgram();
+      gl.attachShader(program, vertexShader);
+      gl.attachShader(program, fragmentShader);
+      gl.linkProgram(program);
+
+      // Shaders are no longer needed once linked
+      gl.deleteShader(vertexShader);
+      gl.deleteShader(fragmentShader);
+
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        const log = gl.getProgramInfoLog(program);
+        gl.deleteProgram(program);
+        throw new Error(`Failed to link shader program: ${log}`);
+      }
+      return program;
+    }
+
+    compileShader(type, source) {
+      const gl = this.gl;
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(`Failed to compile shader: ${log}`);
+      }
+      return shader;
+    }
+
+    // Resize the canvas to match the window dimensions
+    resizeCanvas() {
+      this.canvas.width = window.innerWidth;
+      this.canvas.height = window.innerHeight;
+
+      if (this.camera) {
+        this.camera.setAspect(this.canvas.width / this.canvas.height);
+      }
+    }
+
+    // Normalize the light direction vector
+    normalizeLightDirection() {
+      const lightLength = Math.sqrt(
+        this.lightDir.x ** 2 +
+        this.lightDir.y ** 2 +
+        this.lightDir.z ** 2
+      );
+
+      this.lightDir.x /= lightLength;
+      this.lightDir.y /= lightLength;
+      this.lightDir.z /= lightLength;
+    }
+
+    // Update light direction with a new vector
+    setLightDirection(x, y, z) {
+      this.lightDir = { x, y, z };
+      this.normalizeLightDirection();
+    }
+
+    // Set the camera used to view the shape
+    setCamera(camera) {
+      this.camera = camera;
+      if (this.camera) {
+        this.camera.setAspect(this.canvas.width / this.canvas.height);
+      }
+    }
+
+    // Upload the triangles, edges and per-vertex attributes of a base mesh
+    uploadBaseMesh(baseMesh) {
+      const gl = this.gl;
+
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.triangleIndexBuffer);
+      gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, baseMesh.indices, gl.STATIC_DRAW);
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.lineIndexBuffer);
+      gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, baseMesh.edges, gl.STATIC_DRAW);
+
+      // Static attributes for the GPU deformation path
+      const attributes = [
+        [this.angleBuffer, baseMesh.angles],
+        [this.basePointBuffer, baseMesh.basePoints],
+        [this.surfacePositionBuffer, baseMesh.surfacePositions],
+        [this.normalBuffer, baseMesh.normals]
+      ];
+      for (const [buffer, data] of attributes) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+      }
+
+      this.triangleIndexCount = baseMesh.indices.length;
+      this.lineIndexCount = baseMesh.edges.length;
+      this.baseMesh = baseMesh;
+    }
+
+    // Main drawing function to render the shape through the camera
+    draw(numPointsTheta, numPointsPhi) {
+      const gl = this.gl;
+      gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      if (!this.camera) return;
+      this.camera.updateMatrices();
+
+      // The ShapeDeformer caches its base tessellation, so this only uploads after a change
+      const baseMesh = this.shapeDeformer.getBaseMesh(numPointsTheta, numPointsPhi);
+      if (this.baseMesh !== baseMesh) {
+        this.uploadBaseMesh(baseMesh);
+      }
+
+      if (this.gpuDeformation && this.shapeDeformer.canEvaluateOnGPU() && this.drawGPUDeformed()) return;
+      this.drawCPUDeformed(numPointsTheta, numPointsPhi);
+    }
+
+    // Evaluate the deformation in the vertex shader generated by the ShapeDeformer. Returns
+    // false (without drawing) when the shader's uniforms exceed the GPU's limit or the shader
+    // does not compile, in which case the caller falls back to the CPU path.
+    drawGPUDeformed() {
+      const gl = this.gl;
+      const shader = this.shapeDeformer.buildDeformationShader();
+      if (RESERVED_UNIFORM_VECTORS + shader.uniformCount > this.maxVertexUniformVectors) return false;
+      if (this.failedSources.has(shader.vertexSource)) return false;
+
+      let programInfo;
+      try {
+        programInfo = this.getProgram(shader.vertexSource);
+      } catch (error) {
+        console.warn('GPU deformation shader failed, using the CPU path:', error);
+        if (this.failedSources.size >= MAX_CACHED_PROGRAMS) this.failedSources.clear();
+        this.failedSources.add(shader.vertexSource);
+        return false;
+      }
+
+      gl.useProgram(programInfo.program);
+      if (shader.amplitudes.length > 0) {
+        gl.uniform1fv(programInfo.uniforms.u_amplitudes, shader.amplitudes);
+        gl.uniform1fv(programInfo.uniforms.u_phases, shader.phases);
+        gl.uniform1fv(programInfo.uniforms.u_envelopes, shader.envelopes);
+        gl.uniform1fv(programInfo.uniforms.u_depths, shader.depths);
+      }
+      if (shader.params.length > 0) {
+        gl.uniform1fv(programInfo.uniforms.u_params, shader.params);
+      }
+
+      this.renderMesh(programInfo, this.gpuVao, shader.boundingRadius);
+      return true;
+    }
+
+    // Evaluate the deformation in JS (the reference path) and upload the resulting points
+    drawCPUDeformed(numPointsTheta, numPointsPhi) {
+      const gl = this.gl;
+
+      // Deform the vertices of the base tessellation and upload them
+      const mesh = this.shapeDeformer.createDeformedMesh(numPointsTheta, numPointsPhi);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, mesh.positions, gl.DYNAMIC_DRAW);
+
+      this.renderMesh(this.cpuProgram, this.cpuVao, mesh.boundingRadius);
+    }
+
+    // Issue the draw calls for a mesh with the given program and vertex array
+    renderMesh(programInfo, vao, boundingRadius) {
+      const gl = this.gl;
+      const uniforms = programInfo.uniforms;
+
+      // Object tilt around the X axis
+      const c = Math.cos(this.modelRotationX);
+      const s = Math.sin(this.modelRotationX);
+      this.modelMatrix.set(
+        1, 0, 0, 0,
+        0, c, -s, 0,
+        0, s, c, 0,
+        0, 0, 0, 1
+      );
+
+      // Depth range spanned by the shape's bounding sphere (centred on the origin)
+      const centerDepth = -this.camera.viewMatrix.transformPoint({ x: 0, y: 0, z: 0 }).z;
+
+      gl.useProgram(programInfo.program);
+      gl.uniformMatrix4fv(uniforms.u_model, false, this.modelMatrix.elements);
+      gl.uniformMatrix4fv(uniforms.u_view, false, this.camera.viewMatrix.elements);
+      gl.uniformMatrix4fv(uniforms.u_projection, false, this.camera.projectionMatrix.elements);
+      gl.uniform3f(uniforms.u_lightDir, this.lightDir.x, this.lightDir.y, this.lightDir.z);
+      gl.uniform2f(uniforms.u_depthRange, centerDepth - boundingRadius, centerDepth + boundingRadius);
+      gl.uniform1f(uniforms.u_depthCue, this.depth / 200);
+      gl.uniform4f(uniforms.u_lineColor, 0, 0, 0, 0.2);
+
+      gl.bindVertexArray(vao);
+      gl.enable(gl.DEPTH_TEST);
+      gl.enable(gl.CULL_FACE);
+      gl.cullFace(gl.BACK);
+
+      // Push the surface back slightly so the mesh edges win the depth test
+      gl.enable(gl.POLYGON_OFFSET_FILL);
+      gl.polygonOffset(1, 1);
+      gl.uniform1i(uniforms.u_drawLines, 0);
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.triangleIndexBuffer);
+      gl.drawElements(gl.TRIANGLES, this.triangleIndexCount, gl.UNSIGNED_INT, 0);
+      gl.disable(gl.POLYGON_OFFSET_FILL);
+
+      if (this.wireframe) {
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthMask(false);
+        gl.uniform1i(uniforms.u_drawLines, 1);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.lineIndexBuffer);
+        gl.drawElements(gl.LINES, this.lineIndexCount, gl.UNSIGNED_INT, 0);
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+      }
+
+      gl.bindVertexArray(null);
+    }
+
+    // Clean up method to remove event listeners and release GPU resources
+    dispose() {
+      window.removeEventListener('resize', this.resizeCanvas);
+
+      const gl = this.gl;
+      gl.deleteBuffer(this.positionBuffer);
+      gl.deleteBuffer(this.angleBuffer);
+      gl.deleteBuffer(this.basePointBuffer);
+      gl.deleteBuffer(this.surfacePositionBuffer);
+      gl.deleteBuffer(this.normalBuffer);
+      gl.deleteBuffer(this.triangleIndexBuffer);
+      gl.deleteBuffer(this.lineIndexBuffer);
+      gl.deleteVertexArray(this.cpuVao);
+      gl.deleteVertexArray(this.gpuVao);
+      for (const { program } of this.programCache.values()) {
+        gl.deleteProgram(program);
+      }
+      this.programCache.clear();
+    }
+  }
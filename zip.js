@@ -0,0 +1,140 @@
+// zip.js - Minimal ZIP archive writer (stored entries, no compression)
+//
+// Enough to bundle rendered frames or exported files into one download without a
+// dependency. PNG data is already deflated, so storing it uncompressed costs nothing.
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum as used by ZIP and PNG
+ * @param {Uint8Array} bytes - Data to checksum
+ * @param {number} crc - Running checksum to continue from (0 to start)
+ * @returns {number} The checksum as an unsigned 32-bit integer
+ */
+export function crc32(bytes, crc = 0) {
+  let c = (crc ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Limits of the classic ZIP format (this writer has no zip64 support): entry counts are
+// 16-bit and sizes and offsets 32-bit
+export const MAX_ZIP_ENTRIES = 0xFFFF;
+export const MAX_ZIP_BYTES = 0xFFFFFFFF;
+
+// Writes a ZIP archive entry by entry. The entry contents are passed through untouched, so
+// they can be Blobs that are never read back into one buffer (see renderFramesToZip()).
+// Adding an entry that would exceed the format's limits throws instead of writing a
+// corrupt archive.
+export class ZipWriter {
+  constructor() {
+    this.encoder = new TextEncoder();
+    this.parts = [];         // Local headers, names and contents, in archive order
+    this.centralParts = [];  // Central directory entries and names
+    this.offset = 0;         // Bytes written before the central directory
+    this.centralSize = 0;
+    this.entryCount = 0;
+  }
+
+  // Add an entry from its bytes
+  add(name, data) {
+    this.addEntry(name, data, data.length, crc32(data));
+  }
+
+  // Add an entry whose size and CRC-32 are already known; content is a Uint8Array or a Blob
+  addEntry(name, content, size, crc) {
+    const nameBytes = this.encoder.encode(name);
+    const entrySize = 30 + nameBytes.length + size;
+    if (this.entryCount + 1 > MAX_ZIP_ENTRIES) {
+      throw new Error(`A zip archive holds at most ${MAX_ZIP_ENTRIES} files`);
+    }
+    if (this.offset + entrySize + this.centralSize + 46 + nameBytes.length + 22 > MAX_ZIP_BYTES) {
+      throw new Error('The zip archive would exceed 4 GB; use fewer or smaller files');
+    }
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);            // Version needed to extract
+    local.setUint16(6, 0x0800, true);        // Flags: UTF-8 names
+    local.setUint16(8, 0, true);             // Method: stored
+    local.setUint16(10, 0, true);            // Modification time
+    local.setUint16(12, 0x21, true);         // Modification date (1980-01-01)
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);         // Compressed size
+    local.setUint32(22, size, true);         // Uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);            // Extra field length
+
+    // Central directory entry
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);          // Version made by
+    central.setUint16(6, 20, true);          // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, this.offset, true); // Offset of the local header
+
+    this.parts.push(new Uint8Array(local.buffer), nameBytes, content);
+    this.centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    this.offset += entrySize;
+    this.centralSize += 46 + nameBytes.length;
+    this.entryCount++;
+  }
+
+  // Parts of the finished archive, in order (join them with concatBytes() or new Blob())
+  finish() {
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, this.entryCount, true);
+    end.setUint16(10, this.entryCount, true);
+    end.setUint32(12, this.centralSize, true);
+    end.setUint32(16, this.offset, true);
+
+    return [...this.parts, ...this.centralParts, new Uint8Array(end.buffer)];
+  }
+}
+
+/**
+ * Builds a ZIP archive from files
+ * @param {Array<Object>} files - Entries as { name, data } where data is a Uint8Array
+ * @returns {Uint8Array} The archive bytes
+ */
+export function createZip(files) {
+  const writer = new ZipWriter();
+  for (const file of files) {
+    writer.add(file.name, file.data);
+  }
+  return concatBytes(writer.finish());
+}
+
+// Join byte arrays into one
+export function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+}